@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+// Load the CLI lazily so a missing native binary is reported with exit code 2
+// instead of Node's default exit code 1 (which means "different").
+try {
+  let { run } = await import('../lib/cli.js');
+  process.exitCode = await run(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 2;
+}
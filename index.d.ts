@@ -3,6 +3,8 @@
  * High-performance image diffing for Node.js
  */
 
+import type { EventEmitter } from 'node:events';
+
 // ============================================================================
 // Core Types
 // ============================================================================
@@ -49,6 +51,19 @@ export interface IntensityStats {
   stdDev: number;
 }
 
+/**
+ * Kind of change a cluster represents (`classifyChanges`)
+ *
+ * - `text` - Glyphs added, removed or replaced on a line of text
+ * - `color` - Same shapes, different color (including background color changes)
+ * - `shift` - Same shapes, moved within the cluster's box
+ * - `added` - Content present only in the current image
+ * - `removed` - Content present only in the baseline
+ * - `noise` - Tiny or faint differences (anti-aliasing, rendering noise)
+ * - `content` - Any other structural change
+ */
+export type ChangeType = 'text' | 'color' | 'shift' | 'added' | 'removed' | 'noise' | 'content';
+
 export interface DiffCluster {
   /** Number of pixels in this cluster */
   pixelCount: number;
@@ -58,6 +73,12 @@ export interface DiffCluster {
   avgIntensity: number;
   /** Bounding box containing this cluster */
   boundingBox: BoundingBox;
+  /** Kind of change (only with `classifyChanges: true`) */
+  changeType?: ChangeType;
+  /** Local SSIM over the cluster's bounding box (only with `perceptualMap`) */
+  ssim?: number | null;
+  /** Local GMSD over the cluster's bounding box (only with `perceptualMap`) */
+  gmsd?: number | null;
 }
 
 export interface DiffResult {
@@ -66,7 +87,10 @@ export interface DiffResult {
    * Note: This respects minClusterSize filtering - small clusters may be filtered as noise
    */
   isDifferent: boolean;
-  /** Percentage of pixels that differ (0.0 - 100.0) */
+  /**
+   * Percentage of pixels that differ (0.0 - 100.0), relative to the compared pixels:
+   * pixels excluded by region options (`maskedPixels`) are not counted
+   */
   diffPercentage: number;
   /** Total number of pixels compared */
   totalPixels: number;
@@ -77,7 +101,7 @@ export interface DiffResult {
   diffPixels: number;
   /** Number of pixels ignored due to anti-aliasing detection */
   aaPixelsIgnored: number;
-  /** Percentage of pixels ignored as anti-aliasing (0.0 - 100.0) */
+  /** Percentage of compared pixels ignored as anti-aliasing (0.0 - 100.0) */
   aaPercentage: number;
   /** Bounding box containing all differences (null if identical) */
   boundingBox: BoundingBox | null;
@@ -97,6 +121,61 @@ export interface DiffResult {
    * Typical range: 0.0 to ~0.3 for natural images
    */
   gmsdScore: number | null;
+  /**
+   * Number of pixels excluded by `ignoreRegions`, `includeRegions` or `maskImage`
+   * (0 when no region options are set). `totalPixels` includes them; `diffPercentage`
+   * and `aaPercentage` do not.
+   */
+  maskedPixels: number;
+  /**
+   * Row alignment (only with the `align` option; null if alignment gave up)
+   */
+  alignment?: RowAlignment | null;
+  /**
+   * Why alignment gave up and the images were compared unaligned (only with the
+   * `align` option when `alignment` is null): the widths differ, or more than
+   * `maxEditRows` rows would have to be inserted or removed
+   */
+  alignmentFallback?: 'widthMismatch' | 'maxEditRows';
+  /** Content that moved (only with the `detectMoves` option) */
+  moves?: ContentMove[];
+  /**
+   * Whether `maxDiffs` stopped the comparison early, so later rows were not
+   * compared (only from compareTiled())
+   */
+  truncated?: boolean;
+  /** Local similarity scores (only with the `perceptualMap` option) */
+  perceptualMap?: PerceptualMap;
+  /**
+   * Encoded PNG artifacts (only with the `returnImages` option; null for an
+   * artifact the engine did not produce)
+   */
+  images?: DiffImages;
+}
+
+/**
+ * Artifacts requested through `returnImages`
+ */
+export interface DiffImages {
+  diff?: Buffer | null;
+  mask?: Buffer | null;
+  overlay?: Buffer | null;
+}
+
+/**
+ * Bands found by row alignment
+ */
+export interface RowAlignment {
+  /** Rows present only in the current image (current image coordinates) */
+  inserted: Array<{ y: number; height: number }>;
+  /**
+   * Rows present only in the baseline: `y` in baseline coordinates, `at` where they were in
+   * the current image. They count toward `diffPixels` and `totalPixels` but have no pixels,
+   * clusters or bounding box in the current image's layout.
+   */
+  removed: Array<{ y: number; height: number; at: number }>;
+  /** Blocks that moved unchanged: baseline row `from` is now at current row `to` */
+  moved: Array<{ from: number; to: number; height: number }>;
 }
 
 // ============================================================================
@@ -152,6 +231,99 @@ export interface ClusterMergeOptions {
   maxWidthRatio?: number;
 }
 
+/**
+ * Options for row alignment (`align`)
+ */
+export interface AlignOptions {
+  /**
+   * Give up aligning (and compare unaligned) when more than this many rows
+   * would have to be inserted or removed
+   * @default 1000
+   */
+  maxEditRows?: number;
+  /**
+   * Smallest block of rows reported as a move
+   * @default 4
+   */
+  minMoveHeight?: number;
+}
+
+export interface DetectMovesOptions {
+  /**
+   * Largest offset, in pixels along either axis, reported as a move
+   * @default 64
+   */
+  maxDistance?: number;
+  /**
+   * Remove clusters explained by a move, and their diff pixels, from
+   * `diffClusters`, `diffPixels`, `diffPixelsList`, `diffPercentage` and
+   * `boundingBox`; pixels that also lie inside a remaining cluster are kept
+   * (`isDifferent` becomes false when nothing else changed)
+   * @default false
+   */
+  exclude?: boolean;
+}
+
+/**
+ * Content that moved between the baseline and current image (`detectMoves`)
+ */
+export interface ContentMove {
+  /** Where the content is in the baseline */
+  from: BoundingBox;
+  /** Where the content is in the current image */
+  to: BoundingBox;
+  /** Horizontal offset (positive = right) */
+  dx: number;
+  /** Vertical offset (positive = down) */
+  dy: number;
+  /** Clustered diff pixels explained by the move */
+  pixelCount: number;
+}
+
+export interface PerceptualMapOptions {
+  /**
+   * Width and height of each grid cell in pixels (at least 8)
+   * @default 32
+   */
+  cellSize?: number;
+}
+
+/**
+ * Score of the worst grid cell
+ */
+export interface PerceptualCell {
+  /** The cell (clipped to the image) */
+  box: BoundingBox;
+  score: number;
+}
+
+/**
+ * Local SSIM and GMSD scores on a grid of cells (`perceptualMap`)
+ *
+ * Computed on luminance at full resolution, so scores are comparable between
+ * cells and clusters but not identical to `perceptualScore`/`gmsdScore`.
+ */
+export interface PerceptualMap {
+  cellSize: number;
+  /** Cells per row */
+  columns: number;
+  /** Rows of cells */
+  rows: number;
+  /** SSIM per cell, row-major (`ssim[row * columns + column]`), 0.0-1.0 */
+  ssim: number[];
+  /** GMSD per cell, row-major, 0.0 = identical structure */
+  gmsd: number[];
+  /** Cell with the lowest SSIM (null when the compared area is empty) */
+  worstSsim: PerceptualCell | null;
+  /** Cell with the highest GMSD (null when the compared area is empty) */
+  worstGmsd: PerceptualCell | null;
+}
+
+/**
+ * Rendering of the diff image (`diffStyle`)
+ */
+export type DiffStyle = 'highlight' | 'heatmap' | 'grayscale' | 'blink' | 'boxes';
+
 export interface CompareOptions {
   /**
    * Perceptual color difference threshold using CIEDE2000 (Delta E units)
@@ -279,6 +451,17 @@ export interface CompareOptions {
    */
   overwrite?: boolean;
 
+  /**
+   * Return these artifacts as PNG Buffers on `result.images`
+   *
+   * Artifacts without a matching `diffPath`/`maskPath`/`overlayPath` are written
+   * to a temporary directory and removed after reading; artifacts with a path
+   * are written there as usual and also returned.
+   *
+   * @default undefined
+   */
+  returnImages?: Array<'diff' | 'mask' | 'overlay'>;
+
   /**
    * Color to use for highlighting differences in diff/mask output
    *
@@ -301,14 +484,132 @@ export interface CompareOptions {
    * ```
    */
   diffMaskColor?: string | [number, number, number] | [number, number, number, number];
+
+  /**
+   * How the `diffPath` (and `returnImages: ['diff']`) image is drawn
+   *
+   * - `highlight` - Changed pixels in `diffMaskColor`
+   * - `heatmap` - Dimmed grayscale base, changed pixels colored blue to red by intensity
+   * - `grayscale` - Dimmed grayscale base, changed pixels in `diffMaskColor`
+   * - `blink` - Animated PNG alternating baseline and current
+   * - `boxes` - Current image with numbered cluster bounding boxes in `diffMaskColor`
+   *
+   * Styles other than `highlight` require PNG input.
+   * @default 'highlight'
+   */
+  diffStyle?: DiffStyle;
+
+  /**
+   * Label every cluster with a `changeType` (text, color, shift, added, removed,
+   * noise or other content) from the baseline and current pixels in its box
+   *
+   * Enables `includeClusters` and requires PNG input. A shape that moved
+   * further than its own size shows up as separate `removed` and `added`
+   * clusters; `clusterMerge` helps keep nearby fragments together.
+   * @default false
+   */
+  classifyChanges?: boolean;
+
+  /**
+   * Report content that moved as a whole: a shape whose pixels reappear
+   * unchanged at an offset within `maxDistance` becomes an entry in `moves`
+   *
+   * Enables `includeClusters` and requires PNG input. With `exclude`, moved
+   * content no longer counts as a difference.
+   * @default false
+   */
+  detectMoves?: boolean | DetectMovesOptions;
+
+  /**
+   * Compute local SSIM and GMSD on a grid of cells, and over each cluster's
+   * bounding box, so one broken component is not averaged away by the page
+   *
+   * Enables `includeClusters` and requires PNG input. Independent of
+   * `includeSSIM`/`includeGMSD`.
+   * @default false
+   */
+  perceptualMap?: boolean | PerceptualMapOptions;
+
+  /**
+   * Regions to exclude from the comparison (timestamps, ads, carousels, avatars...)
+   *
+   * Pixels inside these boxes are treated as identical in both images, so they
+   * never count toward `diffPixels`, `diffClusters`, `boundingBox` or SSIM/GMSD,
+   * and appear as a flat gray fill in `diffPath`/`maskPath`/`overlayPath` outputs.
+   *
+   * Region masking decodes images in JavaScript and requires PNG or raw input;
+   * other formats throw `HONEYDIFF_UNSUPPORTED_FORMAT`.
+   *
+   * @default undefined
+   *
+   * @example
+   * ```typescript
+   * { ignoreRegions: [{ x: 0, y: 0, width: 1280, height: 64 }] }
+   * ```
+   */
+  ignoreRegions?: BoundingBox[];
+
+  /**
+   * Regions to compare; everything outside these boxes is excluded
+   *
+   * Can be combined with `ignoreRegions` to punch holes into an included area.
+   * Requires PNG input.
+   *
+   * @default undefined (compare the whole image)
+   */
+  includeRegions?: BoundingBox[];
+
+  /**
+   * Mask image marking excluded pixels (file path, PNG Buffer or raw pixels)
+   *
+   * Opaque, bright pixels (alpha >= 128 and any RGB channel >= 128) are excluded;
+   * black or transparent pixels are compared. The mask is aligned to the top-left
+   * corner of the compared images.
+   *
+   * @default undefined
+   */
+  maskImage?: ImageInput;
+
+  /**
+   * Align shifted content before comparing (variable-height screenshots)
+   *
+   * Rows are hashed and diffed like lines of text, so content pushed down by an
+   * insertion is compared against its baseline rows instead of being flagged as
+   * changed. Inserted rows still count as differences; rows that only moved do
+   * not. Artifacts and coordinates use the current image's layout.
+   *
+   * Only PNG inputs are supported.
+   * @default undefined (no alignment)
+   */
+  align?: boolean | AlignOptions;
 }
 
 // ============================================================================
 // Input Types
 // ============================================================================
 
-/** Image input can be a file path or a Buffer containing image data */
-export type ImageInput = string | Buffer;
+/**
+ * Uncompressed pixels, e.g. canvas `ImageData` or a raw browser capture
+ *
+ * `data` holds `width * height` pixels with no row padding. Any typed array
+ * (including `Uint8ClampedArray`) or ArrayBuffer is read as bytes.
+ */
+export interface RawImage {
+  /** Pixel bytes in `format` order */
+  data: ArrayBufferView | ArrayBuffer;
+  /** Width in pixels */
+  width: number;
+  /** Height in pixels */
+  height: number;
+  /**
+   * Channel order (`rgb` has no alpha and is treated as opaque)
+   * @default 'rgba'
+   */
+  format?: 'rgba' | 'bgra' | 'rgb';
+}
+
+/** Image input can be a file path, a Buffer containing encoded image data, or raw pixels */
+export type ImageInput = string | Buffer | RawImage;
 
 // ============================================================================
 // API Functions
@@ -317,8 +618,8 @@ export type ImageInput = string | Buffer;
 /**
  * Compare two images asynchronously (recommended)
  *
- * @param img1 - First image (file path or Buffer)
- * @param img2 - Second image (file path or Buffer)
+ * @param img1 - First image (file path, Buffer or raw pixels)
+ * @param img2 - Second image (file path, Buffer or raw pixels)
  * @param options - Comparison options
  * @returns Promise resolving to detailed diff results
  *
@@ -342,8 +643,8 @@ export function compare(
 /**
  * Quick asynchronous comparison (returns only boolean)
  *
- * @param img1 - First image (file path or Buffer)
- * @param img2 - Second image (file path or Buffer)
+ * @param img1 - First image (file path, Buffer or raw pixels)
+ * @param img2 - Second image (file path, Buffer or raw pixels)
  * @returns Promise resolving to true if different, false if identical
  *
  * @example
@@ -361,8 +662,8 @@ export function quickCompare(img1: ImageInput, img2: ImageInput): Promise<boolea
  * Use this only when you need blocking behavior.
  * For most cases, prefer the async compare() function.
  *
- * @param img1 - First image (file path or Buffer)
- * @param img2 - Second image (file path or Buffer)
+ * @param img1 - First image (file path, Buffer or raw pixels)
+ * @param img2 - Second image (file path, Buffer or raw pixels)
  * @param options - Comparison options
  * @returns Detailed diff results
  *
@@ -387,8 +688,8 @@ export function compareSync(
 /**
  * Quick synchronous comparison (returns only boolean, blocks event loop)
  *
- * @param img1 - First image (file path or Buffer)
- * @param img2 - Second image (file path or Buffer)
+ * @param img1 - First image (file path, Buffer or raw pixels)
+ * @param img2 - Second image (file path, Buffer or raw pixels)
  * @returns true if different, false if identical
  *
  * @example
@@ -400,6 +701,234 @@ export function compareSync(
  */
 export function quickCompareSync(img1: ImageInput, img2: ImageInput): boolean;
 
+// ============================================================================
+// Tiled Comparison API
+// ============================================================================
+
+/**
+ * Progress reported after each band of a tiled comparison
+ */
+export interface TiledProgress {
+  /** 1-based index of the band just compared */
+  band: number;
+  /** Total number of bands */
+  bands: number;
+  /** First row of the band */
+  y: number;
+  /** Rows in the band */
+  height: number;
+  /** Differing pixels found so far */
+  diffPixels: number;
+}
+
+/**
+ * Options for compareTiled()
+ *
+ * Artifact options (`diffPath`, `maskPath`, `overlayPath`, `returnImages`) and
+ * `align` are not supported, since they need the full images in memory.
+ */
+export interface TiledCompareOptions
+  extends Omit<
+    CompareOptions,
+    | 'diffPath'
+    | 'maskPath'
+    | 'overlayPath'
+    | 'returnImages'
+    | 'align'
+    | 'diffStyle'
+    | 'classifyChanges'
+    | 'detectMoves'
+    | 'perceptualMap'
+  > {
+  /**
+   * Rows decoded and compared at a time; memory use scales with width x bandHeight
+   * @default 1024
+   */
+  bandHeight?: number;
+  /** Called after each band */
+  onProgress?: (progress: TiledProgress) => void;
+}
+
+/**
+ * Compare two tall PNG images band by band with bounded memory
+ *
+ * Returns the same DiffResult shape as compare(). Clusters that touch across
+ * a band edge are merged, and `minClusterSize` applies to the merged clusters.
+ * `perceptualScore` and `gmsdScore` are pooled from per-band scores, so they
+ * can differ slightly from a whole-image comparison. When `maxDiffs` stops the
+ * comparison early, `truncated` is true and the result counts as different.
+ *
+ * @param img1 - First image (PNG file path, PNG Buffer or raw pixels)
+ * @param img2 - Second image (PNG file path, PNG Buffer or raw pixels)
+ * @param options - Comparison and tiling options
+ *
+ * @example
+ * ```typescript
+ * const result = await compareTiled('full-page-v1.png', 'full-page-v2.png', {
+ *   bandHeight: 2048,
+ *   includeClusters: true,
+ *   onProgress: ({ band, bands }) => console.log(`band ${band}/${bands}`)
+ * });
+ * ```
+ */
+export function compareTiled(
+  img1: ImageInput,
+  img2: ImageInput,
+  options?: TiledCompareOptions
+): Promise<DiffResult>;
+
+// ============================================================================
+// Batch Comparison API
+// ============================================================================
+
+/**
+ * A single baseline/current pair for compareBatch()
+ */
+export interface BatchPair {
+  /** Baseline image (file path, Buffer or raw pixels) */
+  baseline: ImageInput;
+  /** Current image (file path, Buffer or raw pixels) */
+  current: ImageInput;
+  /** Optional identifier echoed back in results (e.g. the screenshot name) */
+  id?: string;
+  /** Per-pair options, merged over the batch-wide CompareOptions */
+  options?: CompareOptions;
+}
+
+/**
+ * Options for compareBatch()
+ *
+ * Any CompareOptions given here apply to every pair.
+ */
+export interface BatchOptions extends CompareOptions {
+  /**
+   * Maximum number of comparisons running at the same time
+   * @default os.availableParallelism()
+   */
+  concurrency?: number;
+
+  /**
+   * Signal to cancel the batch
+   *
+   * No new pairs start once the signal is aborted; comparisons already running
+   * finish and are included in the summary. Pairs that never started are listed
+   * in `skipped`.
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Outcome of one pair in a batch
+ */
+export interface BatchEntry {
+  /** Position of the pair in the input array */
+  index: number;
+  /** The pair's `id`, or null if none was given */
+  id: string | null;
+  /** Baseline image as passed in */
+  baseline: ImageInput;
+  /** Current image as passed in */
+  current: ImageInput;
+  /** `changed` if the images differ, `unchanged` if they match, `error` if the comparison failed */
+  status: 'changed' | 'unchanged' | 'error';
+  /** Diff result (null when status is `error`) */
+  result: DiffResult | null;
+  /** The failure (null unless status is `error`) */
+  error: Error | null;
+  /** Time spent on this pair in milliseconds */
+  durationMs: number;
+}
+
+/**
+ * Progress snapshot emitted after every finished pair
+ */
+export interface BatchProgress {
+  /** Pairs finished so far */
+  completed: number;
+  /** Total pairs in the batch */
+  total: number;
+  /** Pairs that differ so far */
+  changed: number;
+  /** Pairs that match so far */
+  unchanged: number;
+  /** Pairs that failed so far */
+  errored: number;
+}
+
+/**
+ * Final summary of a batch
+ */
+export interface BatchSummary {
+  /** Total pairs in the batch */
+  total: number;
+  /** Pairs whose images differ */
+  changed: BatchEntry[];
+  /** Pairs whose images match */
+  unchanged: BatchEntry[];
+  /** Pairs whose comparison failed */
+  errored: BatchEntry[];
+  /** Pairs that never started because the batch was aborted */
+  skipped: { index: number; id: string | null }[];
+  /** Whether the batch was cancelled through its AbortSignal */
+  aborted: boolean;
+  /** Wall-clock duration of the batch in milliseconds */
+  durationMs: number;
+}
+
+/**
+ * A running batch of comparisons (returned by compareBatch())
+ *
+ * Work starts on the next tick, so listeners attached right after
+ * compareBatch() returns receive every event.
+ */
+export declare class ComparisonBatch extends EventEmitter {
+  /** Total pairs in the batch */
+  readonly total: number;
+  /** Pairs finished so far */
+  readonly completed: number;
+  /** Resolves with the summary once every pair has finished or the batch was aborted */
+  readonly done: Promise<BatchSummary>;
+
+  on(event: 'result', listener: (entry: BatchEntry) => void): this;
+  on(event: 'progress', listener: (progress: BatchProgress) => void): this;
+  on(event: 'end', listener: (summary: BatchSummary) => void): this;
+  once(event: 'result', listener: (entry: BatchEntry) => void): this;
+  once(event: 'progress', listener: (progress: BatchProgress) => void): this;
+  once(event: 'end', listener: (summary: BatchSummary) => void): this;
+}
+
+/**
+ * Compare many baseline/current pairs on a bounded pool of concurrent comparisons
+ *
+ * A failure on one pair is reported as an `error` entry and never stops the rest
+ * of the batch.
+ *
+ * @param pairs - Pairs to compare
+ * @param options - Concurrency, cancellation and CompareOptions shared by every pair
+ * @returns A ComparisonBatch emitting `result`, `progress` and `end` events
+ *
+ * @example
+ * ```typescript
+ * const batch = compareBatch(
+ *   screenshots.map((name) => ({
+ *     id: name,
+ *     baseline: `baselines/${name}.png`,
+ *     current: `current/${name}.png`,
+ *   })),
+ *   { concurrency: 8, includeClusters: true, signal: AbortSignal.timeout(60_000) }
+ * );
+ *
+ * batch.on('progress', ({ completed, total }) => console.log(`${completed}/${total}`));
+ * batch.on('result', (entry) => {
+ *   if (entry.status === 'error') console.error(`${entry.id}: ${entry.error.message}`);
+ * });
+ *
+ * const summary = await batch.done;
+ * console.log(`${summary.changed.length} changed, ${summary.errored.length} errored`);
+ * ```
+ */
+export function compareBatch(pairs: BatchPair[], options?: BatchOptions): ComparisonBatch;
+
 // ============================================================================
 // Dimensions API
 // ============================================================================
@@ -428,7 +957,7 @@ export interface ImageMetadata {
  * Fast utility to retrieve image width and height without loading the full image data.
  * Useful for pre-flight checks before comparison.
  *
- * @param img - Image (file path or Buffer)
+ * @param img - Image (file path, Buffer or raw pixels)
  * @returns Promise resolving to { width, height } in pixels
  *
  * @example
@@ -446,7 +975,7 @@ export function getDimensions(img: ImageInput): Promise<ImageDimensions>;
  * Fast utility to retrieve image width and height without loading the full image data.
  * Use this only when you need blocking behavior.
  *
- * @param img - Image (file path or Buffer)
+ * @param img - Image (file path, Buffer or raw pixels)
  * @returns { width, height } in pixels
  *
  * @example
@@ -579,8 +1108,24 @@ export interface WcagOptions {
    * @default false
    */
   checkAAA?: boolean;
+
+  /**
+   * Device pixels per CSS pixel of the screenshot (e.g. 2 for a Retina capture),
+   * used to turn glyph heights into font sizes
+   * @default 1
+   */
+  pixelRatio?: number;
 }
 
+/**
+ * What a violation region contains, which decides the contrast rule that applies
+ *
+ * - `normal` - Text below the large-text size: 4.5:1 (AA), 7:1 (AAA)
+ * - `large` - Text of at least 24px, or 18.66px bold: 3:1 (AA), 4.5:1 (AAA)
+ * - `non-text` - UI components and graphics (WCAG 1.4.11): 3:1
+ */
+export type WcagTextSize = 'normal' | 'large' | 'non-text';
+
 /**
  * A single WCAG color contrast violation region
  */
@@ -629,6 +1174,27 @@ export interface ContrastViolation {
 
   /** Whether this region fails WCAG AAA for large text (< 4.5:1) */
   failsAaaLarge: boolean;
+
+  /**
+   * Estimated content of the region, from the size and shape of its connected pieces
+   * (several glyph-sized pieces are text)
+   */
+  textSize: WcagTextSize;
+
+  /** Estimated ascender height of the text in CSS pixels (null for non-text) */
+  glyphHeight: number | null;
+
+  /**
+   * Estimated stroke width of the text in CSS pixels (null for non-text, and when
+   * the image is not PNG or raw pixels, so bold text is judged by size alone)
+   */
+  strokeWidth: number | null;
+
+  /** Whether this region fails the WCAG AA rule for its `textSize` */
+  applicableFailure: boolean;
+
+  /** Whether this region fails the WCAG AAA rule for its `textSize` */
+  applicableAaaFailure: boolean;
 }
 
 /**
@@ -664,6 +1230,20 @@ export interface WcagAnalysis {
 
   /** Percentage of edges passing WCAG AAA for large text (0.0-100.0) */
   aaaLargePassPercentage: number;
+
+  /**
+   * Percentage of edges passing WCAG AA with the threshold for each violation's
+   * `textSize` (0.0-100.0), on the same edge counts as `aaNormalPassPercentage`.
+   * Edges between two thresholds are attributed to violations by pixel share.
+   */
+  aaPassPercentage: number;
+
+  /**
+   * Percentage of edges passing WCAG AAA with the threshold for each violation's
+   * `textSize` (0.0-100.0), on the same edge counts as `aaNormalPassPercentage`.
+   * Edges between two thresholds are attributed to violations by pixel share.
+   */
+  aaaPassPercentage: number;
 }
 
 /**
@@ -671,8 +1251,10 @@ export interface WcagAnalysis {
  *
  * Detects text/content edges in an image and checks if they meet WCAG contrast requirements.
  * This is useful for catching accessibility issues in screenshots and UI designs.
+ * Each violation is classified as normal text, large text or a non-text component
+ * so `applicableFailure` reflects the rule that actually applies to it.
  *
- * @param img - Image to analyze (file path or Buffer)
+ * @param img - Image to analyze (file path, Buffer or raw pixels)
  * @param options - WCAG analysis options
  * @returns Promise resolving to detailed accessibility analysis
  *
@@ -685,13 +1267,13 @@ export interface WcagAnalysis {
  * });
  *
  * console.log(`Total edges: ${analysis.totalEdges}`);
- * console.log(`AA pass rate: ${analysis.aaNormalPassPercentage.toFixed(1)}%`);
+ * console.log(`AA pass rate: ${analysis.aaPassPercentage.toFixed(1)}%`);
  * console.log(`Found ${analysis.violations.length} violations`);
  *
  * for (let violation of analysis.violations.slice(0, 5)) {
  *   console.log(`Region at (${violation.boundingBox.x}, ${violation.boundingBox.y})`);
- *   console.log(`  Contrast: ${violation.contrastRatio.toFixed(2)}:1`);
- *   console.log(`  Fails AA: ${violation.failsAaNormal}`);
+ *   console.log(`  Contrast: ${violation.contrastRatio.toFixed(2)}:1 (${violation.textSize})`);
+ *   console.log(`  Fails AA: ${violation.applicableFailure}`);
  * }
  * ```
  */
@@ -703,7 +1285,7 @@ export function analyzeWcagContrast(img: ImageInput, options?: WcagOptions): Pro
  * Use this only when you need blocking behavior.
  * For most cases, prefer the async analyzeWcagContrast() function.
  *
- * @param img - Image to analyze (file path or Buffer)
+ * @param img - Image to analyze (file path, Buffer or raw pixels)
  * @param options - WCAG analysis options
  * @returns Detailed accessibility analysis
  *
@@ -743,7 +1325,7 @@ export interface WcagOutputOptions {
  * Generates an image with contrast violations highlighted in red (or custom color).
  * Useful for visual debugging of accessibility issues.
  *
- * @param img - Original image (file path or Buffer)
+ * @param img - Original image (file path, Buffer or raw pixels)
  * @param analysis - WCAG analysis result from analyzeWcagContrast()
  * @param outputPath - Path to save the overlay image
  * @param options - Output options
@@ -776,7 +1358,7 @@ export function saveWcagOverlay(
  * Use this only when you need blocking behavior.
  * For most cases, prefer the async saveWcagOverlay() function.
  *
- * @param img - Original image (file path or Buffer)
+ * @param img - Original image (file path, Buffer or raw pixels)
  * @param analysis - WCAG analysis result from analyzeWcagContrastSync()
  * @param outputPath - Path to save the overlay image
  * @param options - Output options
@@ -794,35 +1376,158 @@ export function saveWcagOverlaySync(
   options?: WcagOutputOptions
 ): void;
 
-// ============================================================================
-// Color Vision Deficiency (CVD) Simulation API
-// ============================================================================
-
 /**
- * Types of color vision deficiency (color blindness) that can be simulated.
+ * Render a WCAG violation overlay to a PNG Buffer instead of a file
  *
- * - `protanopia` - Red-blind (~1% of males). Reds appear dark/muddy, red-green confusion.
- * - `deuteranopia` - Green-blind (~1% of males, most common). Greens shift toward red/brown.
- * - `tritanopia` - Blue-blind (~0.003% of population). Blues appear greenish, yellow-purple confusion.
- * - `achromatopsia` - Complete color blindness (very rare). Only luminance is perceived.
+ * @param img - Original image (file path, Buffer or raw pixels)
+ * @param analysis - WCAG analysis result from analyzeWcagContrast()
+ * @param options - Output options (`overwrite` has no effect)
+ * @returns Promise resolving to the encoded PNG
  *
- * Short aliases are also accepted: `protan`, `deutan`, `tritan`, `achroma`, `monochromacy`
+ * @example
+ * ```typescript
+ * const analysis = await analyzeWcagContrast(screenshot);
+ * const overlay = await renderWcagOverlay(screenshot, analysis);
+ * await bucket.upload('wcag-overlay.png', overlay);
+ * ```
  */
-export type ColorBlindnessType =
-  | 'protanopia'
-  | 'deuteranopia'
-  | 'tritanopia'
-  | 'achromatopsia'
-  | 'protan'
-  | 'deutan'
-  | 'tritan'
-  | 'achroma'
-  | 'monochromacy';
+export function renderWcagOverlay(
+  img: ImageInput,
+  analysis: WcagAnalysis,
+  options?: WcagOutputOptions
+): Promise<Buffer>;
 
 /**
- * Information about a color blindness type
+ * Render a WCAG violation overlay to a PNG Buffer synchronously (blocks event loop)
+ *
+ * @param img - Original image (file path, Buffer or raw pixels)
+ * @param analysis - WCAG analysis result from analyzeWcagContrastSync()
+ * @param options - Output options (`overwrite` has no effect)
+ * @returns The encoded PNG
  */
-export interface ColorBlindnessTypeInfo {
+export function renderWcagOverlaySync(
+  img: ImageInput,
+  analysis: WcagAnalysis,
+  options?: WcagOutputOptions
+): Buffer;
+
+/**
+ * Options for compareWcag()
+ */
+export interface CompareWcagOptions extends WcagOptions {
+  /**
+   * Conformance level whose rules decide which violations count (using each
+   * violation's `applicableFailure` or `applicableAaaFailure`)
+   * @default 'AA'
+   */
+  level?: 'AA' | 'AAA';
+
+  /**
+   * Only consider violations touching one of this comparison's `diffClusters`
+   * (a compare() result with `includeClusters`)
+   */
+  diff?: DiffResult;
+}
+
+/**
+ * A violation found at the same place in both images
+ */
+export interface MatchedViolation {
+  baseline: ContrastViolation;
+  current: ContrastViolation;
+  /** Current minus baseline contrast ratio (negative = contrast got worse) */
+  contrastChange: number;
+}
+
+/**
+ * Contrast failures a change introduced, fixed or kept
+ */
+export interface WcagComparison {
+  /** Full analysis of the baseline image */
+  baseline: WcagAnalysis;
+  /** Full analysis of the current image */
+  current: WcagAnalysis;
+  /** Failing violations in the current image with no baseline counterpart */
+  introduced: ContrastViolation[];
+  /** Failing baseline violations with no current counterpart */
+  fixed: ContrastViolation[];
+  /** Failing violations present in both images */
+  unchanged: MatchedViolation[];
+  /** Whether `introduced` is not empty */
+  hasNewViolations: boolean;
+}
+
+/**
+ * Find the contrast failures a change introduced or fixed
+ *
+ * Analyzes both images like analyzeWcagContrast() and matches the violations
+ * failing the rule for their text size by location (overlapping bounding
+ * boxes, largest overlap first).
+ *
+ * @param baseline - Baseline image (file path, Buffer or raw pixels)
+ * @param current - Current image (file path, Buffer or raw pixels)
+ * @param options - WCAG analysis options, conformance level and diff scope
+ * @returns Promise resolving to new, fixed and unchanged violations
+ *
+ * @example
+ * ```typescript
+ * const diff = await compare('baseline.png', 'current.png', { includeClusters: true });
+ * const wcag = await compareWcag('baseline.png', 'current.png', { diff });
+ *
+ * if (wcag.hasNewViolations) {
+ *   console.log(`${wcag.introduced.length} new contrast failures`);
+ * }
+ * ```
+ */
+export function compareWcag(
+  baseline: ImageInput,
+  current: ImageInput,
+  options?: CompareWcagOptions
+): Promise<WcagComparison>;
+
+/**
+ * Find the contrast failures a change introduced or fixed synchronously (blocks event loop)
+ *
+ * @param baseline - Baseline image (file path, Buffer or raw pixels)
+ * @param current - Current image (file path, Buffer or raw pixels)
+ * @param options - WCAG analysis options, conformance level and diff scope
+ * @returns New, fixed and unchanged violations
+ */
+export function compareWcagSync(
+  baseline: ImageInput,
+  current: ImageInput,
+  options?: CompareWcagOptions
+): WcagComparison;
+
+// ============================================================================
+// Color Vision Deficiency (CVD) Simulation API
+// ============================================================================
+
+/**
+ * Types of color vision deficiency (color blindness) that can be simulated.
+ *
+ * - `protanopia` - Red-blind (~1% of males). Reds appear dark/muddy, red-green confusion.
+ * - `deuteranopia` - Green-blind (~1% of males, most common). Greens shift toward red/brown.
+ * - `tritanopia` - Blue-blind (~0.003% of population). Blues appear greenish, yellow-purple confusion.
+ * - `achromatopsia` - Complete color blindness (very rare). Only luminance is perceived.
+ *
+ * Short aliases are also accepted: `protan`, `deutan`, `tritan`, `achroma`, `monochromacy`
+ */
+export type ColorBlindnessType =
+  | 'protanopia'
+  | 'deuteranopia'
+  | 'tritanopia'
+  | 'achromatopsia'
+  | 'protan'
+  | 'deutan'
+  | 'tritan'
+  | 'achroma'
+  | 'monochromacy';
+
+/**
+ * Information about a color blindness type
+ */
+export interface ColorBlindnessTypeInfo {
   /** The canonical type identifier (e.g., "protanopia") */
   type: string;
   /** Human-readable name (e.g., "Protanopia") */
@@ -872,7 +1577,7 @@ export interface CvdWcagReport {
  * specified type of color vision deficiency. Uses the Brettel, Viénot & Mollon
  * 1997 algorithm, which is considered the gold standard for CVD simulation.
  *
- * @param img - Image to transform (file path or Buffer)
+ * @param img - Image to transform (file path, Buffer or raw pixels)
  * @param cvdType - Type of color blindness to simulate
  * @returns Promise resolving to a Buffer containing the simulated PNG image
  *
@@ -902,7 +1607,7 @@ export function simulateColorBlindness(
  * Use this only when you need blocking behavior.
  * For most cases, prefer the async simulateColorBlindness() function.
  *
- * @param img - Image to transform (file path or Buffer)
+ * @param img - Image to transform (file path, Buffer or raw pixels)
  * @param cvdType - Type of color blindness to simulate
  * @returns Buffer containing the simulated PNG image
  *
@@ -919,7 +1624,7 @@ export function simulateColorBlindnessSync(img: ImageInput, cvdType: ColorBlindn
  *
  * Convenience function that simulates CVD and saves the output in one step.
  *
- * @param img - Image to transform (file path or Buffer)
+ * @param img - Image to transform (file path, Buffer or raw pixels)
  * @param cvdType - Type of color blindness to simulate
  * @param outputPath - Path where the simulated image should be saved
  * @returns Promise that resolves when the file is saved
@@ -946,7 +1651,7 @@ export function saveColorBlindnessSimulation(
  *
  * Use this only when you need blocking behavior.
  *
- * @param img - Image to transform (file path or Buffer)
+ * @param img - Image to transform (file path, Buffer or raw pixels)
  * @param cvdType - Type of color blindness to simulate
  * @param outputPath - Path where the simulated image should be saved
  *
@@ -967,7 +1672,7 @@ export function saveColorBlindnessSimulationSync(
  * Generates simulated images for all CVD types (protanopia, deuteranopia,
  * tritanopia, achromatopsia), saving each with a suffix indicating the type.
  *
- * @param img - Image to transform (file path or Buffer)
+ * @param img - Image to transform (file path, Buffer or raw pixels)
  * @param outputPrefix - Base path for output files (without extension)
  * @param extension - File extension to use (default: "png")
  * @returns Promise that resolves when all files are saved
@@ -993,7 +1698,7 @@ export function saveAllColorBlindnessSimulations(
  *
  * Use this only when you need blocking behavior.
  *
- * @param img - Image to transform (file path or Buffer)
+ * @param img - Image to transform (file path, Buffer or raw pixels)
  * @param outputPrefix - Base path for output files (without extension)
  * @param extension - File extension to use (default: "png")
  *
@@ -1015,7 +1720,7 @@ export function saveAllColorBlindnessSimulationsSync(
  * deficiency, then runs WCAG contrast analysis. This finds contrast violations
  * that only appear for colorblind users - critical for inclusive design.
  *
- * @param img - Image to analyze (file path or Buffer)
+ * @param img - Image to analyze (file path, Buffer or raw pixels)
  * @param cvdType - Type of color blindness to simulate
  * @param options - WCAG analysis options
  * @returns Promise resolving to WCAG analysis results for the simulated image
@@ -1045,7 +1750,7 @@ export function analyzeWcagForCvd(
  *
  * Use this only when you need blocking behavior.
  *
- * @param img - Image to analyze (file path or Buffer)
+ * @param img - Image to analyze (file path, Buffer or raw pixels)
  * @param cvdType - Type of color blindness to simulate
  * @param options - WCAG analysis options
  * @returns WCAG analysis results for the simulated image
@@ -1069,7 +1774,7 @@ export function analyzeWcagForCvdSync(
  * dichromatic color blindness. This provides a comprehensive accessibility
  * report covering the majority of color vision deficiencies.
  *
- * @param img - Image to analyze (file path or Buffer)
+ * @param img - Image to analyze (file path, Buffer or raw pixels)
  * @param options - WCAG analysis options (same options used for all analyses)
  * @returns Promise resolving to a report containing WCAG analysis for each vision type
  *
@@ -1099,7 +1804,7 @@ export function analyzeWcagAllCvd(img: ImageInput, options?: WcagOptions): Promi
  *
  * Use this only when you need blocking behavior.
  *
- * @param img - Image to analyze (file path or Buffer)
+ * @param img - Image to analyze (file path, Buffer or raw pixels)
  * @param options - WCAG analysis options
  * @returns Report containing WCAG analysis for each vision type
  *
@@ -1144,6 +1849,110 @@ export function analyzeWcagAllCvdSync(img: ImageInput, options?: WcagOptions): C
  */
 export function getColorBlindnessTypes(): ColorBlindnessTypeInfo[];
 
+/**
+ * Options for compareUnderCvd(): CompareOptions used for every comparison, plus
+ * the deficiencies to simulate
+ *
+ * Artifact options (`diffPath`, `maskPath`, `overlayPath`, `returnImages`,
+ * `diffStyle`) only apply to the normal-vision comparison.
+ */
+export interface CompareUnderCvdOptions extends CompareOptions {
+  /**
+   * Deficiencies to simulate
+   * @default every type from getColorBlindnessTypes()
+   */
+  types?: ColorBlindnessType[];
+
+  /**
+   * Share of a normal-vision cluster's differing pixels that must still differ
+   * in a simulated comparison for the change to count as visible (0.0-1.0)
+   * @default 0.25
+   */
+  minVisibleShare?: number;
+}
+
+/**
+ * A normal-vision change that a deficiency (mostly) hides
+ */
+export interface HiddenCluster {
+  /** Cluster from the normal-vision comparison */
+  cluster: DiffCluster;
+  /** Share of its differing pixels that still differ in the simulated comparison (0.0-1.0) */
+  visibleShare: number;
+}
+
+/**
+ * Comparison of the simulated images for one deficiency
+ */
+export interface CvdDeficiencyComparison {
+  /** Color blindness type (e.g. "deuteranopia") */
+  type: string;
+  /** Human-readable name (e.g. "Deuteranopia") */
+  name: string;
+  /** Comparison of the simulated baseline and current images */
+  result: DiffResult;
+  /** Normal-vision clusters hidden under this deficiency */
+  hiddenClusters: HiddenCluster[];
+  /** Whether `hiddenClusters` is not empty */
+  hasHiddenChanges: boolean;
+}
+
+/**
+ * Result of compareUnderCvd()
+ */
+export interface CvdComparison {
+  /** Comparison as seen with normal vision (always includes clusters) */
+  normalVision: DiffResult;
+  /** One entry per simulated deficiency, in the order of `types` */
+  deficiencies: CvdDeficiencyComparison[];
+  /** Whether any deficiency hides a normal-vision change */
+  hasHiddenChanges: boolean;
+}
+
+/**
+ * Find changes that color-blind users may not see
+ *
+ * Simulates each deficiency on both images and compares the simulated pair with
+ * the same options. A normal-vision cluster whose differing pixels mostly stop
+ * differing (the colors became confusable, or their difference fell below
+ * `threshold`) is reported as hidden for that deficiency.
+ *
+ * @param baseline - Baseline image (file path, Buffer or raw pixels)
+ * @param current - Current image (file path, Buffer or raw pixels)
+ * @param options - Comparison options, deficiency types and visibility share
+ * @returns Promise resolving to normal-vision and per-deficiency comparisons
+ *
+ * @example
+ * ```typescript
+ * const report = await compareUnderCvd('baseline.png', 'current.png', { threshold: 2.3 });
+ *
+ * for (let deficiency of report.deficiencies) {
+ *   for (let { cluster } of deficiency.hiddenClusters) {
+ *     console.log(`${deficiency.name} may not notice the change at`, cluster.boundingBox);
+ *   }
+ * }
+ * ```
+ */
+export function compareUnderCvd(
+  baseline: ImageInput,
+  current: ImageInput,
+  options?: CompareUnderCvdOptions
+): Promise<CvdComparison>;
+
+/**
+ * Find changes that color-blind users may not see synchronously (blocks event loop)
+ *
+ * @param baseline - Baseline image (file path, Buffer or raw pixels)
+ * @param current - Current image (file path, Buffer or raw pixels)
+ * @param options - Comparison options, deficiency types and visibility share
+ * @returns Normal-vision and per-deficiency comparisons
+ */
+export function compareUnderCvdSync(
+  baseline: ImageInput,
+  current: ImageInput,
+  options?: CompareUnderCvdOptions
+): CvdComparison;
+
 // ============================================================================
 // Diff Fingerprint API
 // ============================================================================
@@ -1271,3 +2080,859 @@ export function fingerprintSimilaritySync(fp1: DiffFingerprint, fp2: DiffFingerp
  * ```
  */
 export function fingerprintHashSync(fingerprint: DiffFingerprint): string;
+
+/**
+ * Options for groupFingerprints()
+ */
+export interface GroupFingerprintsOptions {
+  /**
+   * Minimum fingerprintSimilaritySync() score against a group's representative
+   * for a diff to join that group (0.0-1.0)
+   * @default 0.8
+   */
+  minSimilarity?: number;
+}
+
+/**
+ * A group of related diffs
+ */
+export interface FingerprintGroup {
+  /** Coarse hash shared by every member */
+  hash: string;
+  /** Index (into the input array) of the diff that represents the group */
+  representative: number;
+  /** The representative's fingerprint */
+  fingerprint: DiffFingerprint;
+  /** Indices of all members, the representative first */
+  members: number[];
+}
+
+/**
+ * Group many diffs into change groups (synchronous)
+ *
+ * Fingerprints are bucketed by coarse hash, so only diffs with the same hash
+ * are scored against each other. Inside a bucket each diff joins the group
+ * whose representative it is most similar to, if the score reaches
+ * `minSimilarity`, or becomes the representative of a new group.
+ *
+ * @param fingerprints - Fingerprints from computeFingerprintSync(); `null` entries are skipped
+ * @param options - Grouping options
+ * @returns Groups sorted by size, largest first
+ *
+ * @example
+ * ```typescript
+ * const fingerprints = results.map((r) => computeFingerprintSync(r.result, r.width, r.height));
+ *
+ * for (const group of groupFingerprints(fingerprints, { minSimilarity: 0.85 })) {
+ *   console.log(`${group.members.length} pages share this change`, results[group.representative].name);
+ * }
+ * ```
+ */
+export function groupFingerprints(
+  fingerprints: Array<DiffFingerprint | null | undefined>,
+  options?: GroupFingerprintsOptions
+): FingerprintGroup[];
+
+/**
+ * Version written by encodeFingerprint() and fingerprintToJSON()
+ */
+export declare const FINGERPRINT_FORMAT_VERSION: 1;
+
+/**
+ * Encode a fingerprint in the compact, versioned binary format
+ *
+ * Floating point fields are stored as 32-bit floats, so decoded values can
+ * differ from the originals in the last digits.
+ *
+ * @param fingerprint - Fingerprint to encode
+ * @returns Encoded bytes (typically well under 100 bytes)
+ */
+export function encodeFingerprint(fingerprint: DiffFingerprint): Buffer;
+
+/**
+ * Decode a fingerprint written by encodeFingerprint()
+ *
+ * Throws a HoneydiffError with `HONEYDIFF_UNSUPPORTED_FORMAT` for data from
+ * another format version and `HONEYDIFF_DECODE_FAILED` for truncated data.
+ *
+ * @param data - Encoded bytes
+ */
+export function decodeFingerprint(data: Buffer | Uint8Array): DiffFingerprint;
+
+/**
+ * Versioned JSON form of a fingerprint
+ */
+export interface FingerprintJSON extends DiffFingerprint {
+  version: typeof FINGERPRINT_FORMAT_VERSION;
+}
+
+/**
+ * Versioned JSON form of a fingerprint, ready for JSON.stringify()
+ * @param fingerprint - Fingerprint to serialize
+ */
+export function fingerprintToJSON(fingerprint: DiffFingerprint): FingerprintJSON;
+
+/**
+ * Read a fingerprint from its JSON form
+ * @param json - A FingerprintJSON object or its JSON string
+ */
+export function fingerprintFromJSON(json: FingerprintJSON | string): DiffFingerprint;
+
+/**
+ * An entry of a FingerprintIndex
+ */
+export interface FingerprintIndexEntry<M = unknown> {
+  id: string;
+  fingerprint: DiffFingerprint;
+  /** Data stored with add() */
+  metadata: M | null;
+  /** ISO timestamp */
+  addedAt: string;
+}
+
+/**
+ * A nearest() match
+ */
+export interface FingerprintMatch<M = unknown> extends FingerprintIndexEntry<M> {
+  /** fingerprintSimilaritySync() score (0.0-1.0) */
+  similarity: number;
+}
+
+/**
+ * Options for FingerprintIndex.nearest()
+ */
+export interface NearestOptions {
+  /**
+   * Maximum number of matches
+   * @default 1
+   */
+  k?: number;
+  /**
+   * Minimum similarity for a match
+   * @default 0
+   */
+  minSimilarity?: number;
+}
+
+/**
+ * File-backed index of known diff fingerprints
+ *
+ * Record the fingerprints of approved changes, then look up new diffs in later
+ * builds to see whether the same change was approved before. The file is JSON
+ * with base64-encoded binary fingerprints; writes are atomic and serialized.
+ *
+ * @example
+ * ```typescript
+ * const index = await FingerprintIndex.open('.honeydiff/approved.json');
+ *
+ * // After a reviewer approves a change
+ * await index.add('checkout/summary', fingerprint, { build: 1234 });
+ *
+ * // In a later CI run
+ * const [match] = index.nearest(newFingerprint, { minSimilarity: 0.9 });
+ * if (match) console.log(`Previously approved as ${match.id}`);
+ * ```
+ */
+export declare class FingerprintIndex<M = unknown> {
+  private constructor();
+
+  /**
+   * Open (or create) an index file
+   * @param path - Index file path; the file is created on the first write
+   * @throws If the file is corrupt (`DECODE_FAILED`) or has an unsupported
+   *   version (`UNSUPPORTED_FORMAT`)
+   */
+  static open<M = unknown>(path: string): Promise<FingerprintIndex<M>>;
+
+  /** Index file path */
+  readonly path: string;
+
+  /** Number of entries */
+  readonly size: number;
+
+  /** Whether an entry exists */
+  has(id: string): boolean;
+
+  /** An entry by id, or null */
+  get(id: string): FingerprintIndexEntry<M> | null;
+
+  /**
+   * Add or replace an entry and save the index
+   * @param id - Caller-chosen id (e.g. the approved screenshot's name)
+   * @param fingerprint - Fingerprint to store
+   * @param metadata - JSON-serializable data stored with the entry
+   */
+  add(id: string, fingerprint: DiffFingerprint, metadata?: M): Promise<FingerprintIndexEntry<M>>;
+
+  /**
+   * Remove an entry and save the index
+   * @returns Whether the entry existed
+   */
+  remove(id: string): Promise<boolean>;
+
+  /**
+   * The `k` entries most similar to a fingerprint, most similar first
+   */
+  nearest(fingerprint: DiffFingerprint, options?: NearestOptions): FingerprintMatch<M>[];
+}
+
+// ============================================================================
+// Policy API
+// ============================================================================
+
+/**
+ * Metrics a policy rule can check
+ *
+ * - `diffPercentage`, `diffPixels`, `perceptualScore`, `gmsdScore` - Result fields
+ * - `heightDiff` - Rows gained or lost (0 when the heights match)
+ * - `clusterCount`, `maxClusterSize` - Number of clusters, pixels in the largest one
+ * - `intensityStats.*` - Fields of `intensityStats`
+ */
+export type PolicyMetric =
+  | 'diffPercentage'
+  | 'diffPixels'
+  | 'perceptualScore'
+  | 'gmsdScore'
+  | 'heightDiff'
+  | 'clusterCount'
+  | 'maxClusterSize'
+  | 'intensityStats.max'
+  | 'intensityStats.min'
+  | 'intensityStats.mean'
+  | 'intensityStats.median'
+  | 'intensityStats.stdDev';
+
+/**
+ * A metric that must lie within bounds (at least one of `min`/`max`)
+ */
+export interface PolicyRule {
+  metric: PolicyMetric;
+  /** Smallest passing value (inclusive) */
+  min?: number;
+  /** Largest passing value (inclusive) */
+  max?: number;
+  /**
+   * Only measure inside this region (every metric except `heightDiff`)
+   *
+   * Pixel and intensity metrics need `includeDiffPixels`; cluster metrics count
+   * clusters touching the region; `perceptualScore`/`gmsdScore` average the
+   * `perceptualMap` cells it covers. `diffPercentage` is relative to the region's area.
+   */
+  region?: BoundingBox;
+  /** Label used in reports (default: the metric, plus the region) */
+  name?: string;
+}
+
+/**
+ * A rule, or a group of rules: an array or `{ all }` passes when every member
+ * passes, `{ any }` when at least one does
+ */
+export type Policy = PolicyRule | Policy[] | { all: Policy[] } | { any: Policy[] };
+
+/**
+ * Outcome of one policy rule
+ */
+export interface PolicyCheck {
+  /** The rule's `name`, or its metric and region */
+  name: string;
+  metric: PolicyMetric;
+  region: BoundingBox | null;
+  min: number | null;
+  max: number | null;
+  /** Measured value (null when the result does not carry the metric) */
+  measured: number | null;
+  pass: boolean;
+  /** Why the rule failed (null when it passed) */
+  message: string | null;
+}
+
+export interface PolicyEvaluation {
+  verdict: 'pass' | 'fail';
+  pass: boolean;
+  /** Failed rules that decided the verdict (failures inside a passing `any` group are left out) */
+  failures: PolicyCheck[];
+  /** Every rule's outcome, in policy order */
+  checks: PolicyCheck[];
+}
+
+/**
+ * Decide whether a comparison passes a declarative policy
+ *
+ * A rule whose metric the result does not carry (e.g. `perceptualScore` without
+ * `includeSSIM`) fails with `measured: null` and a hint in `message`.
+ *
+ * @param result - Result of compare()
+ * @param policy - Rule, array of rules, or `{ all }` / `{ any }` group
+ * @returns Verdict, the failed rules and every rule's measured value
+ *
+ * @example
+ * ```typescript
+ * const result = await compare('baseline.png', 'current.png', {
+ *   includeClusters: true,
+ *   includeSSIM: true
+ * });
+ * const evaluation = evaluate(result, [
+ *   { metric: 'diffPercentage', max: 0.5 },
+ *   { metric: 'perceptualScore', min: 0.98 },
+ *   { metric: 'maxClusterSize', max: 500 },
+ *   { metric: 'heightDiff', max: 0 },
+ *   { metric: 'diffPixels', max: 0, region: { x: 0, y: 0, width: 1280, height: 80 }, name: 'header' }
+ * ]);
+ *
+ * for (let failure of evaluation.failures) console.log(failure.message);
+ * ```
+ */
+export function evaluate(result: DiffResult, policy: Policy): PolicyEvaluation;
+
+// ============================================================================
+// Calibration API
+// ============================================================================
+
+/**
+ * Options for calibrate(): CompareOptions applied to every comparison, except
+ * the calibrated settings and output artifacts
+ */
+export interface CalibrateOptions
+  extends Omit<
+    CompareOptions,
+    | 'threshold'
+    | 'minClusterSize'
+    | 'antialiasing'
+    | 'diffPath'
+    | 'maskPath'
+    | 'overlayPath'
+    | 'returnImages'
+    | 'diffStyle'
+  > {
+  /** Share added to the measured threshold and cluster size (default: 0.25) */
+  margin?: number;
+  /**
+   * Largest noise cluster (pixels) left for minClusterSize to filter; above it
+   * the threshold is raised instead (default: 16)
+   */
+  maxNoiseCluster?: number;
+}
+
+/**
+ * Noise between one pair of samples, compared exactly (threshold 0, anti-aliasing detection on)
+ */
+export interface CalibrationPair {
+  /** Indices of the compared samples */
+  samples: [number, number];
+  diffPixels: number;
+  aaPixelsIgnored: number;
+  clusterCount: number;
+  /** Pixel count of the largest cluster (0 if identical) */
+  largestCluster: number;
+  intensityStats: IntensityStats | null;
+}
+
+/**
+ * Worst pair at one step of the threshold ladder
+ */
+export interface CalibrationStep {
+  threshold: number;
+  largestCluster: number;
+  diffPixels: number;
+}
+
+export interface CalibrationNoise {
+  pairs: CalibrationPair[];
+  diffPixels: { max: number; mean: number };
+  aaPixelsIgnored: { max: number; mean: number };
+  /** Highest Delta E between any two samples */
+  maxIntensity: number;
+  /** Mean Delta E of the differing pixels */
+  meanIntensity: number;
+  clusterSizes: { count: number; max: number; p95: number };
+  /** Thresholds tried, up to the chosen one */
+  byThreshold: CalibrationStep[];
+}
+
+export interface Calibration {
+  /** Recommended settings, to spread into CompareOptions */
+  options: { threshold: number; minClusterSize: number; antialiasing: boolean };
+  /** Why each setting was chosen */
+  explanations: { threshold: string; minClusterSize: string; antialiasing: string };
+  noise: CalibrationNoise;
+  /** Whether every pair compares identical with the recommended options */
+  verified: boolean;
+}
+
+/**
+ * Recommend compare options from several captures of the same, unchanged UI
+ *
+ * Every pair of samples is compared; the differences are noise. The result is
+ * the strictest threshold, minClusterSize and antialiasing setting that would
+ * have marked every pair identical, loosened by `margin`.
+ *
+ * @param samples - Two or more captures of the same UI
+ * @param options - Calibration options and CompareOptions such as regions
+ * @returns Recommended options, their explanations and the measured noise
+ *
+ * @example
+ * ```typescript
+ * const calibration = await calibrate(['run-1.png', 'run-2.png', 'run-3.png']);
+ * console.log(calibration.explanations.threshold);
+ *
+ * const result = await compare('baseline.png', 'current.png', calibration.options);
+ * ```
+ */
+export function calibrate(samples: ImageInput[], options?: CalibrateOptions): Promise<Calibration>;
+
+// ============================================================================
+// Report API
+// ============================================================================
+
+/**
+ * One comparison to include in an HTML report
+ */
+export interface ReportEntry {
+  /** Display name (e.g. the screenshot or test name) */
+  name?: string;
+  /** Baseline image (file path, Buffer or raw pixels) */
+  baseline: ImageInput;
+  /** Current image (file path, Buffer or raw pixels) */
+  current: ImageInput;
+  /** Optional diff image, e.g. the file written through `diffPath` */
+  diff?: ImageInput;
+  /** Result of comparing baseline and current (enable `includeClusters` to get outlines) */
+  result: DiffResult;
+  /** Optional WCAG analysis of the current image */
+  wcag?: WcagAnalysis;
+  /** Optional CVD report for the current image from analyzeWcagAllCvd() */
+  cvd?: CvdWcagReport;
+}
+
+/**
+ * Options for generateReport()
+ */
+export interface ReportOptions {
+  /**
+   * Report title
+   * @default "Honeydiff report"
+   */
+  title?: string;
+
+  /**
+   * Name of the HTML file written into the output directory
+   * @default "index.html"
+   */
+  fileName?: string;
+
+  /**
+   * Whether to overwrite an existing report file
+   * @default false
+   */
+  overwrite?: boolean;
+}
+
+/**
+ * Generate a self-contained HTML report for a set of comparisons
+ *
+ * Baseline, current and diff images are embedded in the HTML file. Each entry
+ * gets a side-by-side, slider and onion-skin viewer, clickable outlines for
+ * `diffClusters` and WCAG violations, the perceptual and intensity metrics from
+ * the DiffResult, and tables for WCAG/CVD violations when they are provided.
+ *
+ * @param results - Comparisons to include
+ * @param outputDir - Directory to write the report into (created if missing)
+ * @param options - Report options
+ * @returns Promise resolving to the path of the written HTML file
+ *
+ * @example
+ * ```typescript
+ * const result = await compare('baseline.png', 'current.png', {
+ *   includeClusters: true,
+ *   includeSSIM: true,
+ *   diffPath: 'artifacts/diff.png',
+ * });
+ *
+ * const reportPath = await generateReport(
+ *   [{ name: 'Homepage', baseline: 'baseline.png', current: 'current.png', diff: 'artifacts/diff.png', result }],
+ *   'artifacts/report',
+ *   { overwrite: true }
+ * );
+ * console.log(`Report written to ${reportPath}`);
+ * ```
+ */
+export function generateReport(
+  results: ReportEntry[],
+  outputDir: string,
+  options?: ReportOptions
+): Promise<string>;
+
+// ============================================================================
+// Baseline Store API
+// ============================================================================
+
+/**
+ * Browser/viewport variant of a baseline
+ *
+ * The same test name can have one baseline per variant.
+ */
+export interface BaselineVariant {
+  /** Browser or engine name (e.g. "chromium") */
+  browser?: string;
+  /** Viewport as "1280x720" or { width, height } */
+  viewport?: string | { width: number; height: number };
+}
+
+/**
+ * An approved baseline in the manifest
+ */
+export interface BaselineEntry {
+  /** Test or screenshot name */
+  name: string;
+  /** Normalized variant (viewport always stored as "WxH") */
+  variant: { browser?: string; viewport?: string };
+  /** SHA-256 content hash of the stored screenshot */
+  hash: string;
+  /** Stored image format (`png`, `jpeg`, `webp`...); entries written before this field are `png` */
+  format?: string;
+  /** Image width in pixels */
+  width: number;
+  /** Image height in pixels */
+  height: number;
+  /** ISO timestamp of approval */
+  approvedAt: string;
+}
+
+/**
+ * A screenshot waiting for approval
+ */
+export interface PendingBaseline {
+  /** Manifest key (name plus variant) */
+  key: string;
+  /** Test or screenshot name */
+  name: string;
+  /** Normalized variant */
+  variant: { browser?: string; viewport?: string };
+  /** SHA-256 content hash of the candidate screenshot */
+  hash: string;
+  /** Stored image format (`png`, `jpeg`, `webp`...) */
+  format?: string;
+  /** Image width in pixels */
+  width: number;
+  /** Image height in pixels */
+  height: number;
+  /** `new` when there is no baseline yet, `changed` when it differs from the baseline */
+  status: 'new' | 'changed';
+  /** ISO timestamp of the check that produced this entry */
+  checkedAt: string;
+  /** Hash of the baseline it was compared against (`changed` only) */
+  baselineHash?: string;
+  /** Diff percentage against the baseline (`changed` only) */
+  diffPercentage?: number;
+  /** Fingerprint of the diff (`changed` only) */
+  fingerprint?: DiffFingerprint | null;
+  /** Coarse fingerprint hash used by approveByFingerprint() (`changed` only) */
+  fingerprintHash?: string | null;
+}
+
+/**
+ * Options for BaselineStore.check()
+ */
+export interface BaselineCheckOptions {
+  /** Browser/viewport variant */
+  variant?: BaselineVariant;
+  /** CompareOptions for this check, merged over the store's defaults */
+  compareOptions?: CompareOptions;
+}
+
+/**
+ * Outcome of BaselineStore.check()
+ */
+export interface BaselineCheckResult {
+  /** Manifest key (name plus variant) */
+  key: string;
+  /** `new` (no baseline), `passed` (matches) or `changed` (differs, pending approval) */
+  status: 'new' | 'passed' | 'changed';
+  /** Content hash of the screenshot that is now pending, or of the matching baseline */
+  hash: string;
+  /** Diff result (null when there was nothing to compare) */
+  result: DiffResult | null;
+  /** Fingerprint of the diff (`changed` only) */
+  fingerprint: DiffFingerprint | null;
+}
+
+/**
+ * Build the manifest key for a test name and variant
+ *
+ * @example
+ * ```typescript
+ * baselineKey('checkout', { browser: 'chromium', viewport: { width: 1280, height: 720 } });
+ * // "checkout [chromium 1280x720]"
+ * ```
+ */
+export function baselineKey(name: string, variant?: BaselineVariant): string;
+
+/**
+ * Content-addressed baseline directory with an approve/reject workflow
+ *
+ * Screenshots are stored once, in the format they were captured in, under
+ * `objects/<sha256>.<format>`; `manifest.json` maps each test name + variant
+ * to its approved baseline and any pending candidate. Objects no longer
+ * referenced by the manifest are deleted. Writes are serialized, so concurrent
+ * check() calls are safe within one store instance.
+ *
+ * @example
+ * ```typescript
+ * const store = await BaselineStore.open('.baselines', {
+ *   compareOptions: { threshold: 2.0, clusterMerge: true },
+ * });
+ *
+ * const check = await store.check('checkout', screenshot, {
+ *   variant: { browser: 'chromium', viewport: '1280x720' },
+ * });
+ *
+ * if (check.status === 'changed') {
+ *   console.log(`Changed by ${check.result!.diffPercentage.toFixed(2)}%`);
+ * }
+ *
+ * // Later, from a review tool:
+ * await store.approve('checkout', { browser: 'chromium', viewport: '1280x720' });
+ * await store.approveByFingerprint('0000000000000021');
+ * ```
+ */
+export declare class BaselineStore {
+  /**
+   * Open (or create) a baseline store
+   * @param dir - Store directory
+   * @param options - `compareOptions` used by every check() (clusters are always enabled)
+   * @throws If `manifest.json` is corrupt (`DECODE_FAILED`) or has an unsupported
+   *   version (`UNSUPPORTED_FORMAT`)
+   */
+  static open(dir: string, options?: { compareOptions?: CompareOptions }): Promise<BaselineStore>;
+
+  private constructor();
+
+  /** Store directory */
+  readonly dir: string;
+
+  /**
+   * Path of a stored screenshot by content hash
+   * @param format - Image format; looked up in the manifest when omitted
+   */
+  objectPath(hash: string, format?: string): string;
+
+  /** Approved baseline for a name/variant, or null */
+  getBaseline(name: string, variant?: BaselineVariant): BaselineEntry | null;
+
+  /** All screenshots awaiting approval */
+  listPending(): PendingBaseline[];
+
+  /**
+   * Compare a screenshot against its baseline and record the outcome
+   *
+   * @param name - Test or screenshot name
+   * @param screenshot - Current screenshot (file path, PNG Buffer or raw pixels)
+   * @param options - Variant and per-check CompareOptions
+   */
+  check(
+    name: string,
+    screenshot: ImageInput,
+    options?: BaselineCheckOptions
+  ): Promise<BaselineCheckResult>;
+
+  /**
+   * Promote the pending screenshot to be the baseline
+   * @throws If nothing is pending for this name/variant
+   */
+  approve(name: string, variant?: BaselineVariant): Promise<BaselineEntry>;
+
+  /**
+   * Discard the pending screenshot, keeping the current baseline
+   * @throws If nothing is pending for this name/variant
+   */
+  reject(name: string, variant?: BaselineVariant): Promise<PendingBaseline>;
+
+  /**
+   * Approve every pending change whose fingerprint hash matches
+   * @param hash - Hash from fingerprintHashSync()
+   * @returns Keys of the approved entries
+   */
+  approveByFingerprint(hash: string): Promise<string[]>;
+}
+
+// ============================================================================
+// Test Matcher API
+// ============================================================================
+
+/**
+ * Options for toMatchHoneydiffSnapshot()
+ */
+export interface SnapshotMatchOptions extends CompareOptions {
+  /**
+   * Largest difference that still passes (default: 0)
+   *
+   * Measured in pixels or percent depending on `failureThresholdType`.
+   */
+  failureThreshold?: number;
+  /** Unit of `failureThreshold` (default: 'pixel') */
+  failureThresholdType?: 'pixel' | 'percent';
+  /** Snapshot file name (default: the test name plus a per-test counter) */
+  snapshotName?: string;
+  /** Baseline directory (default: `__snapshots__/__honeydiff__` next to the test file) */
+  snapshotsDir?: string;
+}
+
+/**
+ * Matcher declarations for Jest/Vitest `expect`
+ *
+ * Merge into your runner's matcher types, e.g. for Vitest:
+ * `declare module 'vitest' { interface Assertion<T> extends HoneydiffMatchers<Promise<void>> {} }`
+ */
+export interface HoneydiffMatchers<R = unknown> {
+  toMatchHoneydiffSnapshot(options?: SnapshotMatchOptions): R;
+}
+
+/**
+ * Jest/Vitest matcher comparing a screenshot with its stored baseline
+ *
+ * Register with `expect.extend({ toMatchHoneydiffSnapshot })` and await the
+ * assertion. Missing baselines are written (except in CI), failing ones are
+ * rewritten with `-u`. On failure the received image, diff and overlay are
+ * written to `__diff_output__/` and listed in the message.
+ *
+ * @param received - Screenshot (file path, PNG Buffer or raw pixels)
+ * @param options - CompareOptions plus threshold and naming options
+ */
+export declare function toMatchHoneydiffSnapshot(
+  this: object,
+  received: ImageInput,
+  options?: SnapshotMatchOptions
+): Promise<{ pass: boolean; message: () => string }>;
+
+// ============================================================================
+// Playwright API
+// ============================================================================
+
+/**
+ * Anything with a Playwright-style `screenshot()` method (Page or Locator)
+ */
+export interface ScreenshotTarget {
+  screenshot(options?: object): Promise<Buffer>;
+}
+
+/**
+ * Options for the `expectScreenshot` fixture
+ *
+ * Merged over the project's `honeydiffOptions`.
+ */
+export interface ExpectScreenshotOptions extends SnapshotMatchOptions {
+  /** Page or locator to capture (default: the test's `page`) */
+  target?: ScreenshotTarget;
+  /** Options forwarded to `target.screenshot()` */
+  screenshotOptions?: object;
+  /** Compare this screenshot instead of capturing one */
+  screenshot?: ImageInput;
+}
+
+/**
+ * Compares a screenshot with the baseline at `testInfo.snapshotPath(name + '.png')`
+ *
+ * Throws when the diff exceeds the failure threshold (after attaching
+ * `-expected`, `-actual`, `-diff` and `-overlay` images to the test) or when
+ * the baseline is missing and snapshots are not being updated. Resolves with
+ * the DiffResult, or null when a new baseline was written.
+ */
+export type ExpectScreenshot = (
+  name: string,
+  options?: ExpectScreenshotOptions
+) => Promise<DiffResult | null>;
+
+/**
+ * Fixture types added by `test.extend(honeydiffFixtures)`
+ */
+export interface HoneydiffFixtures {
+  /** Project-level CompareOptions and thresholds (`use: { honeydiffOptions }`) */
+  honeydiffOptions: SnapshotMatchOptions;
+  /** Screenshot assertion backed by honeydiff */
+  expectScreenshot: ExpectScreenshot;
+}
+
+/**
+ * Fixture definitions for Playwright's `test.extend()`
+ *
+ * Typed loosely so the package does not depend on `@playwright/test`; use
+ * `base.extend<HoneydiffFixtures>(honeydiffFixtures)` for typed fixtures.
+ */
+export declare const honeydiffFixtures: {
+  honeydiffOptions: [SnapshotMatchOptions, { option: true }];
+  expectScreenshot: (
+    fixtures: { page: ScreenshotTarget; honeydiffOptions: SnapshotMatchOptions },
+    use: (value: ExpectScreenshot) => Promise<void>,
+    testInfo: object
+  ) => Promise<void>;
+};
+
+// ============================================================================
+// Error API
+// ============================================================================
+
+/**
+ * Stable error codes carried by every error Honeydiff throws
+ *
+ * | Code | Meaning |
+ * |------|---------|
+ * | `HONEYDIFF_FILE_NOT_FOUND` | An input file does not exist or cannot be read |
+ * | `HONEYDIFF_UNSUPPORTED_FORMAT` | The input is not an image format this operation supports |
+ * | `HONEYDIFF_DECODE_FAILED` | The input could not be decoded (corrupt or truncated data) |
+ * | `HONEYDIFF_DIMENSION_MISMATCH` | The images have dimensions the operation cannot work with |
+ * | `HONEYDIFF_OUTPUT_EXISTS` | An output file exists and `overwrite` is not set |
+ * | `HONEYDIFF_BASELINE_NOT_FOUND` | A baseline store entry or pending screenshot does not exist |
+ * | `HONEYDIFF_INVALID_ARGUMENT` | An argument or option is invalid (thrown as a `TypeError`) |
+ * | `HONEYDIFF_UNSUPPORTED_PLATFORM` | No prebuilt binary exists for this OS/architecture |
+ * | `HONEYDIFF_LOAD_FAILED` | The native binary could not be loaded |
+ * | `HONEYDIFF_ENGINE_ERROR` | Any other failure reported by the native engine |
+ *
+ * Messages may change between releases; codes do not.
+ */
+export declare const ErrorCodes: {
+  readonly FILE_NOT_FOUND: 'HONEYDIFF_FILE_NOT_FOUND';
+  readonly UNSUPPORTED_FORMAT: 'HONEYDIFF_UNSUPPORTED_FORMAT';
+  readonly DECODE_FAILED: 'HONEYDIFF_DECODE_FAILED';
+  readonly DIMENSION_MISMATCH: 'HONEYDIFF_DIMENSION_MISMATCH';
+  readonly OUTPUT_EXISTS: 'HONEYDIFF_OUTPUT_EXISTS';
+  readonly BASELINE_NOT_FOUND: 'HONEYDIFF_BASELINE_NOT_FOUND';
+  readonly INVALID_ARGUMENT: 'HONEYDIFF_INVALID_ARGUMENT';
+  readonly UNSUPPORTED_PLATFORM: 'HONEYDIFF_UNSUPPORTED_PLATFORM';
+  readonly LOAD_FAILED: 'HONEYDIFF_LOAD_FAILED';
+  readonly ENGINE_ERROR: 'HONEYDIFF_ENGINE_ERROR';
+};
+
+/**
+ * One of the `ErrorCodes` values
+ */
+export type HoneydiffErrorCode = (typeof ErrorCodes)[keyof typeof ErrorCodes];
+
+/**
+ * Error thrown (or rejected with) by every Honeydiff function
+ *
+ * Invalid arguments are the exception: they throw a `TypeError` whose `code`
+ * is `HONEYDIFF_INVALID_ARGUMENT`. The original native or file system error,
+ * if any, is available as `cause`.
+ *
+ * @example
+ * ```typescript
+ * import { compare, ErrorCodes } from '@vizzly-testing/honeydiff';
+ *
+ * try {
+ *   await compare('baseline.png', 'current.png', { diffPath: 'diff.png' });
+ * } catch (error) {
+ *   if (error.code === ErrorCodes.FILE_NOT_FOUND) {
+ *     // No baseline yet
+ *   } else if (error.code === ErrorCodes.OUTPUT_EXISTS) {
+ *     // Pass overwrite: true
+ *   } else {
+ *     throw error;
+ *   }
+ * }
+ * ```
+ */
+export declare class HoneydiffError extends Error {
+  constructor(code: HoneydiffErrorCode, message: string, options?: { cause?: unknown });
+  readonly name: 'HoneydiffError';
+  readonly code: HoneydiffErrorCode;
+}
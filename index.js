@@ -2,45 +2,49 @@
  * @vizzly-testing/honeydiff - Native Node.js bindings for Honeydiff
  */
 
-import { existsSync } from 'node:fs';
-import { createRequire } from 'node:module';
-import { dirname, join } from 'node:path';
-import { fileURLToPath } from 'node:url';
-
-const require = createRequire(import.meta.url);
-const __dirname = dirname(fileURLToPath(import.meta.url));
-
-let addon;
-
-// Try to load the native addon:
-// 1. First try load-platform.cjs (exists in published npm package with multi-platform binaries)
-// 2. Fall back to index.node (exists in local development builds)
-const platformLoaderPath = join(__dirname, 'load-platform.cjs');
-
-if (existsSync(platformLoaderPath)) {
-  // Published package: use platform-specific loader (CommonJS)
-  addon = require(platformLoaderPath);
-} else {
-  // Local development: use directly built index.node
-  try {
-    addon = require('./index.node');
-  } catch (e) {
-    throw new Error(
-      '@vizzly-testing/honeydiff: Failed to load native binary.\n' +
-        'If developing locally, run "cargo build --release" first.\n' +
-        'Original error: ' +
-        e.message
-    );
-  }
-}
+import { renderWcagOverlay, renderWcagOverlaySync } from './lib/artifacts.js';
+import { BaselineStore, baselineKey } from './lib/baselines.js';
+import { ComparisonBatch, compareBatch } from './lib/batch.js';
+import { calibrate } from './lib/calibrate.js';
+import { compare, compareSync } from './lib/compare.js';
+import { compareUnderCvd, compareUnderCvdSync } from './lib/cvd.js';
+import { ErrorCodes, HoneydiffError } from './lib/errors.js';
+import {
+  decodeFingerprint,
+  encodeFingerprint,
+  FINGERPRINT_FORMAT_VERSION,
+  fingerprintFromJSON,
+  fingerprintToJSON,
+} from './lib/fingerprint-codec.js';
+import { FingerprintIndex } from './lib/fingerprint-index.js';
+import { groupFingerprints } from './lib/fingerprints.js';
+import { acceptRawInput } from './lib/image.js';
+import { toMatchHoneydiffSnapshot } from './lib/matchers.js';
+import addon from './lib/native.js';
+import { honeydiffFixtures } from './lib/playwright.js';
+import { evaluate } from './lib/policy.js';
+import { generateReport } from './lib/report.js';
+import { compareTiled } from './lib/tiled.js';
+import {
+  analyzeWcagAllCvd,
+  analyzeWcagAllCvdSync,
+  analyzeWcagContrast,
+  analyzeWcagContrastSync,
+  analyzeWcagForCvd,
+  analyzeWcagForCvdSync,
+  compareWcag,
+  compareWcagSync,
+} from './lib/wcag.js';
 
 // Core comparison API
-export const compare = addon.compare;
-export const quickCompare = addon.quickCompare;
-export const compareSync = addon.compareSync;
-export const quickCompareSync = addon.quickCompareSync;
-export const getDimensions = addon.getDimensions;
-export const getDimensionsSync = addon.getDimensionsSync;
+export { compare, compareSync, compareTiled };
+export const quickCompare = acceptRawInput(addon.quickCompare, 2, { async: true });
+export const quickCompareSync = acceptRawInput(addon.quickCompareSync, 2);
+export const getDimensions = acceptRawInput(addon.getDimensions, 1, { async: true });
+export const getDimensionsSync = acceptRawInput(addon.getDimensionsSync, 1);
+
+// Batch comparison API
+export { ComparisonBatch, compareBatch };
 
 // Image Metadata API
 export const getImageMetadata = addon.getImageMetadata;
@@ -49,25 +53,67 @@ export const getImageMetadataFromFile = addon.getImageMetadataFromFile;
 export const getImageMetadataFromFileSync = addon.getImageMetadataFromFileSync;
 
 // WCAG Accessibility API
-export const analyzeWcagContrast = addon.analyzeWcagContrast;
-export const analyzeWcagContrastSync = addon.analyzeWcagContrastSync;
-export const saveWcagOverlay = addon.saveWcagOverlay;
-export const saveWcagOverlaySync = addon.saveWcagOverlaySync;
+export { analyzeWcagContrast, analyzeWcagContrastSync, compareWcag, compareWcagSync };
+export const saveWcagOverlay = acceptRawInput(addon.saveWcagOverlay, 1, { async: true });
+export const saveWcagOverlaySync = acceptRawInput(addon.saveWcagOverlaySync, 1);
+export { renderWcagOverlay, renderWcagOverlaySync };
 
 // Color Vision Deficiency (CVD) Simulation API
-export const simulateColorBlindness = addon.simulateColorBlindness;
-export const simulateColorBlindnessSync = addon.simulateColorBlindnessSync;
-export const saveColorBlindnessSimulation = addon.saveColorBlindnessSimulation;
-export const saveColorBlindnessSimulationSync = addon.saveColorBlindnessSimulationSync;
-export const saveAllColorBlindnessSimulations = addon.saveAllColorBlindnessSimulations;
-export const saveAllColorBlindnessSimulationsSync = addon.saveAllColorBlindnessSimulationsSync;
-export const analyzeWcagForCvd = addon.analyzeWcagForCvd;
-export const analyzeWcagForCvdSync = addon.analyzeWcagForCvdSync;
-export const analyzeWcagAllCvd = addon.analyzeWcagAllCvd;
-export const analyzeWcagAllCvdSync = addon.analyzeWcagAllCvdSync;
+export const simulateColorBlindness = acceptRawInput(addon.simulateColorBlindness, 1, {
+  async: true,
+});
+export const simulateColorBlindnessSync = acceptRawInput(addon.simulateColorBlindnessSync, 1);
+export const saveColorBlindnessSimulation = acceptRawInput(addon.saveColorBlindnessSimulation, 1, {
+  async: true,
+});
+export const saveColorBlindnessSimulationSync = acceptRawInput(
+  addon.saveColorBlindnessSimulationSync,
+  1
+);
+export const saveAllColorBlindnessSimulations = acceptRawInput(
+  addon.saveAllColorBlindnessSimulations,
+  1,
+  { async: true }
+);
+export const saveAllColorBlindnessSimulationsSync = acceptRawInput(
+  addon.saveAllColorBlindnessSimulationsSync,
+  1
+);
+export { analyzeWcagAllCvd, analyzeWcagAllCvdSync, analyzeWcagForCvd, analyzeWcagForCvdSync };
 export const getColorBlindnessTypes = addon.getColorBlindnessTypes;
+export { compareUnderCvd, compareUnderCvdSync };
 
 // Diff Fingerprint API
 export const computeFingerprintSync = addon.computeFingerprintSync;
 export const fingerprintSimilaritySync = addon.fingerprintSimilaritySync;
 export const fingerprintHashSync = addon.fingerprintHashSync;
+export { groupFingerprints };
+export {
+  decodeFingerprint,
+  encodeFingerprint,
+  FINGERPRINT_FORMAT_VERSION,
+  FingerprintIndex,
+  fingerprintFromJSON,
+  fingerprintToJSON,
+};
+
+// Policy API
+export { evaluate };
+
+// Calibration API
+export { calibrate };
+
+// Report API
+export { generateReport };
+
+// Baseline Store API
+export { BaselineStore, baselineKey };
+
+// Test Matcher API
+export { toMatchHoneydiffSnapshot };
+
+// Playwright API
+export { honeydiffFixtures };
+
+// Error API
+export { ErrorCodes, HoneydiffError };
@@ -0,0 +1,299 @@
+/**
+ * Row alignment for variable-height comparisons
+ *
+ * Rows are hashed and the two row sequences are diffed like lines of text
+ * (Myers' O(ND) algorithm), so content that was pushed down by an insertion
+ * lines up with its baseline again. Blocks deleted in one place and inserted
+ * unchanged in another are reported as moves.
+ *
+ * The comparison then runs on a realigned baseline that has the current
+ * image's height and row layout: matched and moved rows come from the
+ * baseline, changed rows are paired in order, and inserted rows are copied
+ * from the current image so the engine does not count them twice.
+ */
+
+import { createHash } from 'node:crypto';
+import { mergeBoxes } from './boxes.js';
+import { intensityHistogram, intensityStats } from './stats.js';
+
+const DEFAULT_MAX_EDIT_ROWS = 1000;
+const DEFAULT_MIN_MOVE_HEIGHT = 4;
+
+// Map every row to a small integer id; equal rows share an id across both images
+function rowIds(image1, image2) {
+  let ids = new Map();
+  let hashRows = ({ width, height, data }) => {
+    let stride = width * 4;
+    let out = new Int32Array(height);
+    for (let y = 0; y < height; y++) {
+      let key = createHash('sha1')
+        .update(data.subarray(y * stride, (y + 1) * stride))
+        .digest('base64');
+      let id = ids.get(key);
+      if (id === undefined) {
+        id = ids.size;
+        ids.set(key, id);
+      }
+      out[y] = id;
+    }
+    return out;
+  };
+  return [hashRows(image1), hashRows(image2)];
+}
+
+/**
+ * Matching index pairs [i, j] (a[i] === b[j]) of a shortest edit script
+ *
+ * Returns null when more than `maxEdits` insertions + deletions are needed.
+ */
+function myersMatches(a, b, maxEdits) {
+  let n = a.length;
+  let m = b.length;
+  let limit = Math.min(n + m, maxEdits);
+  let offset = limit + 1;
+  let v = new Int32Array(2 * limit + 3);
+  let trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= limit && found < 0; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+  if (found < 0) return null;
+
+  let matches = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d >= 0; d--) {
+    let prev = trace[d];
+    let k = x - y;
+    let prevK =
+      k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1]) ? k + 1 : k - 1;
+    let prevX = d === 0 ? 0 : prev[offset + prevK];
+    let prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return matches.reverse();
+}
+
+// Hunks of unmatched rows between consecutive matches: { a: [start, end), b: [start, end) }
+function hunks(matches, n, m) {
+  let out = [];
+  let prevA = 0;
+  let prevB = 0;
+  for (let [i, j] of [...matches, [n, m]]) {
+    if (i > prevA || j > prevB) {
+      out.push({ a: [prevA, i], b: [prevB, j] });
+    }
+    prevA = i + 1;
+    prevB = j + 1;
+  }
+  return out;
+}
+
+function blockKey(ids, [start, end]) {
+  return ids.subarray(start, end).join(',');
+}
+
+// Blocks of identical rows (blank space, solid backgrounds) move trivially; do not report them
+function isUniform(ids, [start, end]) {
+  for (let i = start + 1; i < end; i++) {
+    if (ids[i] !== ids[start]) return false;
+  }
+  return true;
+}
+
+/**
+ * Align two decoded images row by row
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image1 - Baseline
+ * @param {{ width: number, height: number, data: Uint8Array }} image2 - Current
+ * @param {{ maxEditRows?: number, minMoveHeight?: number }} [options]
+ * @returns {{ aligned: { width: number, height: number, data: Uint8Array },
+ *   inserted: Array<{ y: number, height: number }>,
+ *   removed: Array<{ y: number, height: number, at: number }>,
+ *   moved: Array<{ from: number, to: number, height: number }> }|null} null when the images
+ *   have different widths or need more than `maxEditRows` inserted/removed rows
+ */
+export function alignRows(image1, image2, options = {}) {
+  let { maxEditRows = DEFAULT_MAX_EDIT_ROWS, minMoveHeight = DEFAULT_MIN_MOVE_HEIGHT } = options;
+  if (image1.width !== image2.width) return null;
+
+  let [ids1, ids2] = rowIds(image1, image2);
+  let n = ids1.length;
+  let m = ids2.length;
+
+  // Common prefix and suffix need no diffing
+  let prefix = 0;
+  while (prefix < n && prefix < m && ids1[prefix] === ids2[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < n - prefix &&
+    suffix < m - prefix &&
+    ids1[n - 1 - suffix] === ids2[m - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  let middle = myersMatches(
+    ids1.subarray(prefix, n - suffix),
+    ids2.subarray(prefix, m - suffix),
+    maxEditRows
+  );
+  if (!middle) return null;
+
+  let matches = [];
+  for (let i = 0; i < prefix; i++) matches.push([i, i]);
+  for (let [i, j] of middle) matches.push([i + prefix, j + prefix]);
+  for (let s = suffix; s > 0; s--) matches.push([n - s, m - s]);
+
+  let { width } = image2;
+  let stride = width * 4;
+  let aligned = { width, height: m, data: new Uint8Array(m * stride) };
+  let copyRow = (source, from, to) => {
+    aligned.data.set(source.data.subarray(from * stride, (from + 1) * stride), to * stride);
+  };
+
+  for (let [i, j] of matches) copyRow(image1, i, j);
+
+  // Pair deleted and inserted blocks with identical content as moves
+  let changes = hunks(matches, n, m);
+  let deletions = new Map();
+  for (let hunk of changes) {
+    let length = hunk.a[1] - hunk.a[0];
+    if (length >= minMoveHeight && !isUniform(ids1, hunk.a)) {
+      let key = blockKey(ids1, hunk.a);
+      if (!deletions.has(key)) deletions.set(key, []);
+      deletions.get(key).push(hunk);
+    }
+  }
+
+  let moved = [];
+  for (let hunk of changes) {
+    let length = hunk.b[1] - hunk.b[0];
+    if (length < minMoveHeight || isUniform(ids2, hunk.b)) continue;
+    let source = deletions.get(blockKey(ids2, hunk.b))?.find((candidate) => !candidate.movedTo);
+    if (!source || source === hunk) continue;
+    source.movedTo = hunk;
+    hunk.movedFrom = source;
+    moved.push({ from: source.a[0], to: hunk.b[0], height: length });
+    for (let r = 0; r < length; r++) copyRow(image1, source.a[0] + r, hunk.b[0] + r);
+  }
+
+  let inserted = [];
+  let removed = [];
+  for (let hunk of changes) {
+    let deleted = hunk.movedTo ? 0 : hunk.a[1] - hunk.a[0];
+    let added = hunk.movedFrom ? 0 : hunk.b[1] - hunk.b[0];
+    let paired = Math.min(deleted, added);
+
+    // Changed rows: compare them in order against the baseline rows they replaced
+    for (let r = 0; r < paired; r++) copyRow(image1, hunk.a[0] + r, hunk.b[0] + r);
+
+    if (added > paired) {
+      let y = hunk.b[0] + paired;
+      for (let r = y; r < hunk.b[1]; r++) copyRow(image2, r, r);
+      inserted.push({ y, height: added - paired });
+    }
+    if (deleted > paired) {
+      removed.push({ y: hunk.a[0] + paired, height: deleted - paired, at: hunk.b[0] + paired });
+    }
+  }
+
+  moved.sort((p, q) => p.to - q.to);
+  return { aligned, inserted, removed, moved };
+}
+
+/**
+ * Count inserted and removed rows as differences in a result computed on the realigned baseline
+ *
+ * Inserted bands get a full-width cluster each, the same way rows past the end
+ * of the shorter image are reported without alignment. Removed bands have no
+ * place in the current image's layout: their pixels count toward `diffPixels`
+ * and `totalPixels`, but not toward the pixel list, clusters or bounding box.
+ *
+ * @param {object} result - DiffResult of the realigned baseline vs the current image
+ * @param {ReturnType<typeof alignRows>} alignment
+ * @param {{ height: number }} image1 - Original baseline (for heightDiff)
+ * @returns {object} The result
+ */
+export function applyAlignment(result, alignment, image1) {
+  let { inserted, removed, moved, aligned } = alignment;
+  let { width, height } = aligned;
+
+  for (let band of inserted) {
+    let count = width * band.height;
+    let box = { x: 0, y: band.y, width, height: band.height };
+    result.diffPixels += count;
+    result.boundingBox = mergeBoxes(result.boundingBox, box);
+
+    if (result.diffClusters) {
+      result.diffClusters.push({
+        pixelCount: count,
+        centerOfMass: [(width - 1) / 2, band.y + (band.height - 1) / 2],
+        avgIntensity: 255,
+        boundingBox: box,
+      });
+    }
+    if (result.diffPixelsList) {
+      for (let y = band.y; y < band.y + band.height; y++) {
+        for (let x = 0; x < width; x++) {
+          result.diffPixelsList.push({ x, y, intensity: 255 });
+        }
+      }
+    }
+  }
+
+  for (let band of removed) {
+    result.diffPixels += width * band.height;
+    result.totalPixels += width * band.height;
+  }
+
+  result.diffClusters?.sort((a, b) => b.pixelCount - a.pixelCount);
+  if (result.diffPixelsList) {
+    result.intensityStats = intensityStats(intensityHistogram(result.diffPixelsList));
+  }
+  result.diffPercentage = result.totalPixels ? (result.diffPixels / result.totalPixels) * 100 : 0;
+  result.isDifferent = result.isDifferent || inserted.length > 0 || removed.length > 0;
+  result.heightDiff =
+    image1.height !== height
+      ? {
+          height1: image1.height,
+          height2: height,
+          extraPixels: width * Math.abs(image1.height - height),
+        }
+      : null;
+  result.alignment = { inserted, removed, moved };
+  return result;
+}
+
+/**
+ * Why alignRows() gave up on two images
+ * @param {{ width: number }} image1
+ * @param {{ width: number }} image2
+ * @returns {'widthMismatch'|'maxEditRows'}
+ */
+export function alignmentFallback(image1, image2) {
+  return image1.width !== image2.width ? 'widthMismatch' : 'maxEditRows';
+}
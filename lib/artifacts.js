@@ -0,0 +1,50 @@
+/**
+ * In-memory WCAG overlays
+ *
+ * The native engine only writes overlays to disk. renderWcagOverlay() writes
+ * to a private temporary directory, reads the PNG back and removes the
+ * directory again.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { toEncodedInput } from './image.js';
+import addon from './native.js';
+import { TEMP_PREFIX } from './returned-images.js';
+
+/**
+ * Render a WCAG violation overlay to a PNG Buffer instead of a file
+ * @param {string|Buffer|object} img - Original image
+ * @param {object} analysis - Result of analyzeWcagContrast()
+ * @param {object} [options] - WcagOutputOptions
+ * @returns {Promise<Buffer>}
+ */
+export async function renderWcagOverlay(img, analysis, options) {
+  let dir = await mkdtemp(TEMP_PREFIX);
+  try {
+    let path = join(dir, 'wcag-overlay.png');
+    await addon.saveWcagOverlay(toEncodedInput(img), analysis, path, options);
+    return await readFile(path);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Render a WCAG violation overlay to a PNG Buffer synchronously (blocks event loop)
+ * @param {string|Buffer|object} img - Original image
+ * @param {object} analysis - Result of analyzeWcagContrastSync()
+ * @param {object} [options] - WcagOutputOptions
+ * @returns {Buffer}
+ */
+export function renderWcagOverlaySync(img, analysis, options) {
+  let dir = mkdtempSync(TEMP_PREFIX);
+  try {
+    let path = join(dir, 'wcag-overlay.png');
+    addon.saveWcagOverlaySync(toEncodedInput(img), analysis, path, options);
+    return readFileSync(path);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Atomic, serialized file writes (and matching reads) for the on-disk stores
+ *
+ * Files are written to a uniquely named temporary file next to the target and
+ * renamed over it, so readers never see a partial file and concurrent writers
+ * never share a temporary file.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { ErrorCodes, HoneydiffError } from './errors.js';
+
+/**
+ * Replace a file atomically
+ * @param {string} path - Target file
+ * @param {string|Buffer} data
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(path, data) {
+  let temp = `${path}.${randomUUID()}.tmp`;
+  try {
+    await writeFile(temp, data);
+    await rename(temp, path);
+  } catch (error) {
+    await rm(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Replace a JSON file atomically (pretty-printed, with a trailing newline)
+ * @param {string} path - Target file
+ * @param {unknown} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export function writeJsonAtomic(path, value) {
+  return writeFileAtomic(path, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Read a JSON file written by writeJsonAtomic()
+ * @param {string} path - File to read
+ * @param {string} description - What the file is, for error messages (e.g. "baseline manifest")
+ * @returns {Promise<object>}
+ * @throws {HoneydiffError} DECODE_FAILED if the file is not a JSON object
+ */
+export async function readJsonFile(path, description) {
+  let value;
+  try {
+    value = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    throw new HoneydiffError(ErrorCodes.DECODE_FAILED, `Corrupt ${description} ${path}`, {
+      cause: error,
+    });
+  }
+  if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      `Corrupt ${description} ${path}: expected a JSON object`
+    );
+  }
+  return value;
+}
+
+/**
+ * Runs async tasks one at a time, in the order they were queued
+ */
+export class WriteQueue {
+  #tail = Promise.resolve();
+
+  /**
+   * Queue a task behind every task queued before it
+   *
+   * A failed task rejects its own promise but does not block later ones.
+   *
+   * @template T
+   * @param {() => Promise<T>|T} task
+   * @returns {Promise<T>}
+   */
+  run(task) {
+    let result = this.#tail.catch(() => {}).then(task);
+    this.#tail = result;
+    return result;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Stitching of per-band comparison results (`compareTiled`)
+ *
+ * Each band is compared on its own, so a cluster that crosses a band edge
+ * arrives as one piece per band. Pieces whose edge pixels touch
+ * (8-connected) are joined with a union-find over all clusters seen so far.
+ */
+
+import { containsBox, mergeBoxes } from './boxes.js';
+
+function mergeClusters(a, b) {
+  let pixelCount = a.pixelCount + b.pixelCount;
+  let weigh = (p, q) => (p * a.pixelCount + q * b.pixelCount) / pixelCount;
+  return {
+    pixelCount,
+    centerOfMass: [
+      weigh(a.centerOfMass[0], b.centerOfMass[0]),
+      weigh(a.centerOfMass[1], b.centerOfMass[1]),
+    ],
+    avgIntensity: weigh(a.avgIntensity, b.avgIntensity),
+    boundingBox: mergeBoxes(a.boundingBox, b.boundingBox),
+  };
+}
+
+const area = (box) => box.width * box.height;
+
+// Index of the band cluster that holds a connected piece of diff pixels, or -1
+//
+// A piece belongs to exactly one cluster, so the smallest cluster whose box
+// holds it and that has room for its pixels is the one it was clustered into.
+function owningCluster(clusters, box, pixelCount) {
+  let owner = -1;
+  for (let [i, cluster] of clusters.entries()) {
+    if (cluster.pixelCount < pixelCount || !containsBox(cluster.boundingBox, box)) continue;
+    if (owner === -1 || area(cluster.boundingBox) < area(clusters[owner].boundingBox)) owner = i;
+  }
+  return owner;
+}
+
+/**
+ * Band cluster of every diff pixel on a band's first and last rows
+ *
+ * Each edge pixel is labelled through the 8-connected piece of diff pixels it
+ * is part of, so a pixel that only lies inside another cluster's bounding box
+ * is not attributed to it.
+ *
+ * @param {Array<{ x: number, y: number }>} pixels - Band-relative diff pixels
+ * @param {Array<object>} clusters - Band-relative clusters
+ * @param {number} width - Band width
+ * @param {number} rows - Band height
+ * @returns {{ top: Map<number, number>, bottom: Map<number, number> }} Cluster index by x
+ */
+function edgeLabels(pixels, clusters, width, rows) {
+  // 1 marks a diff pixel, 2 one already assigned to a piece
+  let grid = new Uint8Array(width * rows);
+  for (let { x, y } of pixels) grid[y * width + x] = 1;
+  let top = new Map();
+  let bottom = new Map();
+
+  for (let start of pixels) {
+    if (start.y !== 0 && start.y !== rows - 1) continue;
+    if (grid[start.y * width + start.x] !== 1) continue;
+    grid[start.y * width + start.x] = 2;
+
+    let stack = [start.y * width + start.x];
+    let edge = [];
+    let box = null;
+    let count = 0;
+    while (stack.length > 0) {
+      let i = stack.pop();
+      let x = i % width;
+      let y = (i - x) / width;
+      count++;
+      box = mergeBoxes(box, { x, y, width: 1, height: 1 });
+      if (y === 0 || y === rows - 1) edge.push(i);
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(rows - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          let n = ny * width + nx;
+          if (grid[n] === 1) {
+            grid[n] = 2;
+            stack.push(n);
+          }
+        }
+      }
+    }
+
+    let owner = owningCluster(clusters, box, count);
+    if (owner === -1) continue;
+    for (let i of edge) {
+      if (i < width) top.set(i, owner);
+      if (i >= (rows - 1) * width) bottom.set(i % width, owner);
+    }
+  }
+  return { top, bottom };
+}
+
+/**
+ * Collects per-band results into one DiffResult
+ *
+ * Bands must carry `diffClusters` and `diffPixelsList`: clusters are joined
+ * across band edges through the pixels on each band's first and last rows.
+ */
+export class BandStitcher {
+  clusters = [];
+  parents = [];
+  histogram = new Array(256).fill(0);
+  diffPixelsList = [];
+  diffPixels = 0;
+  aaPixelsIgnored = 0;
+  maskedPixels = 0;
+  boundingBox = null;
+  ssim = { sum: 0, weight: 0 };
+  gmsd = { sum: 0, weight: 0 };
+  // Cluster index of each diff pixel on the last row of the previous band, by x
+  #edge = new Map();
+
+  constructor(width, keepPixels) {
+    this.width = width;
+    this.keepPixels = keepPixels;
+  }
+
+  #find(i) {
+    while (this.parents[i] !== i) {
+      this.parents[i] = this.parents[this.parents[i]];
+      i = this.parents[i];
+    }
+    return i;
+  }
+
+  #union(a, b) {
+    let ra = this.#find(a);
+    let rb = this.#find(b);
+    if (ra !== rb) this.parents[rb] = ra;
+  }
+
+  #addCluster(cluster) {
+    this.clusters.push(cluster);
+    this.parents.push(this.parents.length);
+    return this.clusters.length - 1;
+  }
+
+  // Join clusters whose pixels touch (8-connected) across the previous band edge
+  #stitch(topRow, bottomRow) {
+    for (let [x, index] of topRow) {
+      for (let dx = -1; dx <= 1; dx++) {
+        let above = this.#edge.get(x + dx);
+        if (above !== undefined) this.#union(above, index);
+      }
+    }
+    this.#edge = bottomRow;
+  }
+
+  /**
+   * Add a natively compared band whose first row is image row `y`
+   */
+  addBand(result, y, rows) {
+    this.diffPixels += result.diffPixels;
+    this.aaPixelsIgnored += result.aaPixelsIgnored;
+
+    if (result.boundingBox) {
+      this.boundingBox = mergeBoxes(this.boundingBox, {
+        ...result.boundingBox,
+        y: result.boundingBox.y + y,
+      });
+    }
+
+    let weight = this.width * rows;
+    if (result.perceptualScore != null) {
+      this.ssim.sum += result.perceptualScore * weight;
+      this.ssim.weight += weight;
+    }
+    if (result.gmsdScore != null) {
+      this.gmsd.sum += result.gmsdScore ** 2 * weight;
+      this.gmsd.weight += weight;
+    }
+
+    let first = this.clusters.length;
+    let bandClusters = result.diffClusters ?? [];
+    for (let cluster of bandClusters) {
+      this.#addCluster({
+        ...cluster,
+        centerOfMass: [cluster.centerOfMass[0], cluster.centerOfMass[1] + y],
+        boundingBox: { ...cluster.boundingBox, y: cluster.boundingBox.y + y },
+      });
+    }
+
+    let pixels = result.diffPixelsList ?? [];
+    for (let pixel of pixels) {
+      this.histogram[pixel.intensity]++;
+      if (this.keepPixels) this.diffPixelsList.push({ ...pixel, y: pixel.y + y });
+    }
+
+    let labels = edgeLabels(pixels, bandClusters, this.width, rows);
+    let shift = (row) => new Map([...row].map(([x, index]) => [x, first + index]));
+    let topRow = shift(labels.top);
+    let bottomRow = shift(labels.bottom);
+    this.#stitch(topRow, bottomRow);
+  }
+
+  /**
+   * Add rows that exist in only one image; every pixel counts as different
+   */
+  addExtraRows(y, rows) {
+    let { width } = this;
+    let count = width * rows;
+    this.diffPixels += count;
+    this.histogram[255] += count;
+    this.boundingBox = mergeBoxes(this.boundingBox, { x: 0, y, width, height: rows });
+
+    if (this.keepPixels) {
+      for (let py = y; py < y + rows; py++) {
+        for (let x = 0; x < width; x++) {
+          this.diffPixelsList.push({ x, y: py, intensity: 255 });
+        }
+      }
+    }
+
+    let index = this.#addCluster({
+      pixelCount: count,
+      centerOfMass: [(width - 1) / 2, y + (rows - 1) / 2],
+      avgIntensity: 255,
+      boundingBox: { x: 0, y, width, height: rows },
+    });
+    let fullRow = new Map();
+    for (let x = 0; x < width; x++) fullRow.set(x, index);
+    this.#stitch(fullRow, fullRow);
+  }
+
+  /** Clusters after merging across band edges, largest first */
+  mergedClusters() {
+    let merged = new Map();
+    this.clusters.forEach((cluster, i) => {
+      let root = this.#find(i);
+      let existing = merged.get(root);
+      merged.set(root, existing ? mergeClusters(existing, cluster) : cluster);
+    });
+    return [...merged.values()].sort((a, b) => b.pixelCount - a.pixelCount);
+  }
+}
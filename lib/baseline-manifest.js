@@ -0,0 +1,85 @@
+/**
+ * The baseline store's manifest: keys, entries and the approve step
+ *
+ * `manifest.json` holds `{ version, baselines: { [key]: entry }, pending: { [key]: entry } }`.
+ * Entries name their object by content hash and image format.
+ */
+
+import { ErrorCodes, HoneydiffError, invalidArgument } from './errors.js';
+
+export const MANIFEST_VERSION = 1;
+// Entries written before formats were recorded are PNG
+const DEFAULT_FORMAT = 'png';
+
+export function emptyManifest() {
+  return { version: MANIFEST_VERSION, baselines: {}, pending: {} };
+}
+
+/**
+ * A variant with string fields only; `{ width, height }` viewports become "WxH"
+ * @param {{ browser?: string, viewport?: string|{ width: number, height: number } }} [variant]
+ * @returns {{ browser?: string, viewport?: string }}
+ */
+export function normalizeVariant(variant = {}) {
+  let { browser, viewport } = variant;
+  if (viewport && typeof viewport === 'object') {
+    viewport = `${viewport.width}x${viewport.height}`;
+  }
+  let normalized = {};
+  if (browser) normalized.browser = String(browser);
+  if (viewport) normalized.viewport = String(viewport);
+  return normalized;
+}
+
+/**
+ * Build the manifest key for a test name and variant
+ * @param {string} name - Test or screenshot name
+ * @param {{ browser?: string, viewport?: string|{ width: number, height: number } }} [variant]
+ * @returns {string} e.g. "checkout/summary [chromium 1280x720]"
+ */
+export function baselineKey(name, variant) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw invalidArgument('Baseline name must be a non-empty string');
+  }
+  let { browser, viewport } = normalizeVariant(variant);
+  let suffix = [browser, viewport].filter(Boolean).join(' ');
+  return suffix ? `${name} [${suffix}]` : name;
+}
+
+/**
+ * Image format of a manifest entry's object
+ * @param {{ format?: string }} entry
+ * @returns {string}
+ */
+export function formatOf(entry) {
+  return entry.format ?? DEFAULT_FORMAT;
+}
+
+/**
+ * Promote a pending entry to be the baseline for its key
+ * @param {object} manifest - Manifest to change in place
+ * @param {string} key - Manifest key
+ * @returns {{ entry: object, previous: object|null }} The new baseline, and the baseline it
+ *   replaced (null if none or if it has the same object)
+ */
+export function approveKey(manifest, key) {
+  let pending = manifest.pending[key];
+  if (!pending) {
+    throw new HoneydiffError(ErrorCodes.BASELINE_NOT_FOUND, `No pending screenshot for "${key}"`);
+  }
+
+  let previous = manifest.baselines[key] ?? null;
+  let entry = {
+    name: pending.name,
+    variant: pending.variant,
+    hash: pending.hash,
+    format: formatOf(pending),
+    width: pending.width,
+    height: pending.height,
+    approvedAt: new Date().toISOString(),
+  };
+
+  manifest.baselines[key] = entry;
+  delete manifest.pending[key];
+  return { entry, previous: previous?.hash !== entry.hash ? previous : null };
+}
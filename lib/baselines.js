@@ -0,0 +1,309 @@
+/**
+ * On-disk baseline store with an approve/reject workflow
+ *
+ * Layout of a store directory:
+ *   manifest.json             - baselines and pending changes, keyed by test name + variant
+ *   objects/<sha256>.<format> - content-addressed screenshots (baselines and pending candidates),
+ *                               kept in the format they were captured in
+ *
+ * Object writes, manifest updates and object deletion run one at a time on a
+ * write queue. Objects that a check() is still comparing or about to record are
+ * held, so a concurrent update never deletes them.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { readJsonFile, WriteQueue, writeFileAtomic, writeJsonAtomic } from './atomic-file.js';
+import {
+  approveKey,
+  baselineKey,
+  emptyManifest,
+  formatOf,
+  MANIFEST_VERSION,
+  normalizeVariant,
+} from './baseline-manifest.js';
+import { compare } from './compare.js';
+import { ErrorCodes, HoneydiffError } from './errors.js';
+import { imageFormat, readImageBuffer } from './image.js';
+import addon from './native.js';
+
+export { baselineKey };
+
+/**
+ * Content-addressed baseline directory with pending/approved state
+ *
+ * Create instances with `BaselineStore.open(dir)`.
+ */
+export class BaselineStore {
+  #dir;
+  #manifest;
+  #compareOptions;
+  #queue = new WriteQueue();
+  // Hold counts of objects in use by running check() calls
+  #held = new Map();
+
+  constructor(dir, manifest, compareOptions) {
+    this.#dir = dir;
+    this.#manifest = manifest;
+    this.#compareOptions = compareOptions;
+  }
+
+  /**
+   * Open (or create) a baseline store
+   * @param {string} dir - Store directory
+   * @param {{ compareOptions?: object }} [options] - CompareOptions used by check()
+   * @returns {Promise<BaselineStore>}
+   */
+  static async open(dir, options = {}) {
+    await mkdir(join(dir, 'objects'), { recursive: true });
+
+    let manifestPath = join(dir, 'manifest.json');
+    let manifest = emptyManifest();
+    if (existsSync(manifestPath)) {
+      manifest = await readJsonFile(manifestPath, 'baseline manifest');
+      if (manifest.version !== MANIFEST_VERSION) {
+        throw new HoneydiffError(
+          ErrorCodes.UNSUPPORTED_FORMAT,
+          `Unsupported baseline manifest version ${manifest.version} in ${manifestPath}`
+        );
+      }
+    }
+
+    return new BaselineStore(dir, manifest, options.compareOptions ?? {});
+  }
+
+  /** Store directory */
+  get dir() {
+    return this.#dir;
+  }
+
+  /**
+   * Path of a stored object
+   * @param {string} hash - Content hash
+   * @param {string} [format] - Image format; looked up in the manifest when omitted
+   * @returns {string}
+   */
+  objectPath(hash, format = this.#formatOf(hash)) {
+    return join(this.#dir, 'objects', `${hash}.${format}`);
+  }
+
+  /**
+   * Approved baseline for a name/variant, or null
+   */
+  getBaseline(name, variant) {
+    return this.#manifest.baselines[baselineKey(name, variant)] ?? null;
+  }
+
+  /**
+   * All pending (new or changed) screenshots awaiting approval
+   */
+  listPending() {
+    return Object.entries(this.#manifest.pending).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  /**
+   * Compare a screenshot against its baseline and record the outcome
+   *
+   * - `new`: no baseline yet; the screenshot is pending approval
+   * - `passed`: matches the baseline; any pending change for this key is cleared
+   * - `changed`: differs from the baseline; the screenshot is pending approval
+   *
+   * @param {string} name - Test or screenshot name
+   * @param {string|Buffer|object} screenshot - Current screenshot (file path, PNG Buffer or raw pixels)
+   * @param {{ variant?: object, compareOptions?: object }} [options]
+   */
+  async check(name, screenshot, options = {}) {
+    let variant = normalizeVariant(options.variant);
+    let key = baselineKey(name, variant);
+    let buffer = await readImageBuffer(screenshot);
+    let object = {
+      hash: createHash('sha256').update(buffer).digest('hex'),
+      format: imageFormat(buffer) ?? 'bin',
+    };
+    let { hash, format } = object;
+    let checkedAt = new Date().toISOString();
+
+    let releaseObject = this.#hold([hash]);
+    let releaseBaseline = null;
+    let release = () => {
+      releaseObject();
+      releaseBaseline?.();
+    };
+    try {
+      // Read the baseline behind any queued approval, and hold it before the queue moves on
+      let baseline = await this.#queue.run(async () => {
+        await this.#storeObject(object, buffer);
+        let current = this.#manifest.baselines[key];
+        releaseBaseline = this.#hold([current?.hash]);
+        return current;
+      });
+
+      if (!baseline) {
+        let { width, height } = await addon.getDimensions(buffer);
+        await this.#update(release, ({ pending }) => {
+          let previous = pending[key];
+          pending[key] = { name, variant, hash, format, width, height, status: 'new', checkedAt };
+          return [previous];
+        });
+        return { key, status: 'new', hash, result: null, fingerprint: null };
+      }
+
+      let result = null;
+      if (baseline.hash !== hash) {
+        result = await compare(this.objectPath(baseline.hash, formatOf(baseline)), buffer, {
+          ...this.#compareOptions,
+          ...options.compareOptions,
+          includeClusters: true,
+        });
+      }
+
+      if (!result?.isDifferent) {
+        await this.#update(release, ({ pending }) => {
+          let stale = pending[key];
+          delete pending[key];
+          return [stale, object];
+        });
+        return { key, status: 'passed', hash: baseline.hash, result, fingerprint: null };
+      }
+
+      let { width, height } = await addon.getDimensions(buffer);
+      let fingerprint = addon.computeFingerprintSync(result, width, height);
+      await this.#update(release, ({ pending }) => {
+        let previous = pending[key];
+        pending[key] = {
+          name,
+          variant,
+          hash,
+          format,
+          width,
+          height,
+          status: 'changed',
+          baselineHash: baseline.hash,
+          diffPercentage: result.diffPercentage,
+          fingerprint,
+          fingerprintHash: fingerprint ? addon.fingerprintHashSync(fingerprint) : null,
+          checkedAt,
+        };
+        return [previous];
+      });
+      return { key, status: 'changed', hash, result, fingerprint };
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Promote the pending screenshot for a name/variant to be the baseline
+   * @returns {Promise<object>} The new baseline entry
+   */
+  async approve(name, variant) {
+    let key = baselineKey(name, variant);
+    let approved = null;
+    await this.#update(null, (manifest) => {
+      approved = approveKey(manifest, key);
+      return [approved.previous];
+    });
+    return approved.entry;
+  }
+
+  /**
+   * Discard the pending screenshot for a name/variant, keeping the current baseline
+   * @returns {Promise<object>} The discarded pending entry
+   */
+  async reject(name, variant) {
+    let key = baselineKey(name, variant);
+    let entry = null;
+    await this.#update(null, ({ pending }) => {
+      entry = pending[key];
+      if (!entry) {
+        throw new HoneydiffError(
+          ErrorCodes.BASELINE_NOT_FOUND,
+          `No pending screenshot for "${key}"`
+        );
+      }
+      delete pending[key];
+      return [entry];
+    });
+    return entry;
+  }
+
+  /**
+   * Approve every pending change whose fingerprint hash matches
+   *
+   * Lets a reviewer accept the same visual change (a header update, a new
+   * footer link...) across every page it appears on in one step.
+   *
+   * @param {string} hash - Fingerprint hash from fingerprintHashSync()
+   * @returns {Promise<string[]>} Keys of the approved entries
+   */
+  async approveByFingerprint(hash) {
+    let keys = [];
+    await this.#update(null, (manifest) => {
+      keys = Object.entries(manifest.pending)
+        .filter(([, entry]) => entry.status === 'changed' && entry.fingerprintHash === hash)
+        .map(([key]) => key);
+      return keys.map((key) => approveKey(manifest, key).previous);
+    });
+    return keys;
+  }
+
+  #formatOf(hash) {
+    let { baselines, pending } = this.#manifest;
+    let entry = [...Object.values(baselines), ...Object.values(pending)].find(
+      (candidate) => candidate.hash === hash
+    );
+    return formatOf(entry ?? {});
+  }
+
+  // Keep objects from being collected; returns a release function that is safe to call twice
+  #hold(hashes) {
+    let held = hashes.filter(Boolean);
+    for (let hash of held) this.#held.set(hash, (this.#held.get(hash) ?? 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      for (let hash of held) {
+        let count = this.#held.get(hash) - 1;
+        if (count > 0) this.#held.set(hash, count);
+        else this.#held.delete(hash);
+      }
+    };
+  }
+
+  /**
+   * Apply a manifest change on the write queue, save it and collect the objects it orphaned
+   *
+   * `change(manifest)` returns the entries it replaced or removed; the caller's
+   * holds are released once the change is applied so its own objects can be
+   * collected too.
+   */
+  #update(release, change) {
+    return this.#queue.run(async () => {
+      let replaced = change(this.#manifest);
+      release?.();
+      await writeJsonAtomic(join(this.#dir, 'manifest.json'), this.#manifest);
+      for (let object of replaced) {
+        if (object) await this.#collect(object);
+      }
+    });
+  }
+
+  async #storeObject(object, buffer) {
+    let path = this.objectPath(object.hash, object.format);
+    if (!existsSync(path)) await writeFileAtomic(path, buffer);
+  }
+
+  // Delete an object once no entry references it and no check() holds it
+  async #collect(object) {
+    let { baselines, pending } = this.#manifest;
+    let referenced = [...Object.values(baselines), ...Object.values(pending)].some(
+      (entry) => entry.hash === object.hash
+    );
+    if (!referenced && !this.#held.has(object.hash)) {
+      await rm(this.objectPath(object.hash, formatOf(object)), { force: true });
+    }
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Batch comparison on a bounded pool of concurrent compare() calls
+ */
+
+import { compare } from './compare.js';
+import { ComparisonBatch } from './comparison-batch.js';
+
+export { ComparisonBatch };
+
+/**
+ * Compare many baseline/current pairs with bounded concurrency
+ *
+ * @param {Array<{ baseline: string|Buffer, current: string|Buffer, id?: string, options?: object }>} pairs
+ * @param {object} [options] - `concurrency`, `signal` and CompareOptions applied to every pair
+ * @returns {ComparisonBatch}
+ */
+export function compareBatch(pairs, options) {
+  return new ComparisonBatch(pairs, options, compare);
+}
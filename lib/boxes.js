@@ -0,0 +1,46 @@
+/**
+ * Bounding box helpers shared by the JavaScript-side result builders
+ */
+
+/**
+ * Smallest box containing both boxes (either may be null)
+ * @param {{ x: number, y: number, width: number, height: number }|null} a
+ * @param {{ x: number, y: number, width: number, height: number }|null} b
+ */
+export function mergeBoxes(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  let x = Math.min(a.x, b.x);
+  let y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+/**
+ * Area shared by two boxes (0 when they do not overlap)
+ * @param {{ x: number, y: number, width: number, height: number }} a
+ * @param {{ x: number, y: number, width: number, height: number }} b
+ */
+export function intersectionArea(a, b) {
+  let width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  let height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Whether `inner` lies entirely inside `outer`
+ * @param {{ x: number, y: number, width: number, height: number }} outer
+ * @param {{ x: number, y: number, width: number, height: number }} inner
+ */
+export function containsBox(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height
+  );
+}
@@ -0,0 +1,18 @@
+/**
+ * Threshold calibration from captures of unchanged UI (`calibrate`)
+ */
+
+import { calibrate as calibrateWith } from './calibration.js';
+import { compare } from './compare.js';
+
+/**
+ * Recommend CompareOptions under which captures of unchanged UI compare identical
+ *
+ * @param {Array<string|Buffer|object>} samples - Two or more captures of the same, unchanged UI
+ * @param {object} [options] - CompareOptions applied to every comparison (e.g. regions),
+ *   plus `margin` (default 0.25) and `maxNoiseCluster` (default 16)
+ * @returns {Promise<object>} Calibration
+ */
+export function calibrate(samples, options) {
+  return calibrateWith(samples, options, compare);
+}
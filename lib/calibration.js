@@ -0,0 +1,197 @@
+/**
+ * Threshold calibration from captures of unchanged UI (`calibrate`)
+ *
+ * Every pair of samples is compared. Differences between them are noise by
+ * definition (font rasterization, GPU blending, anti-aliasing), so the
+ * recommended options are the strictest ones that would have marked every
+ * pair identical, loosened by a safety margin:
+ *
+ * - `antialiasing` stays on only if anti-aliasing detection absorbed noise
+ * - `threshold` is the lowest step of a Delta E ladder at which the largest
+ *   remaining noise cluster is small enough to filter out by size
+ * - `minClusterSize` filters the clusters still left at that threshold
+ *
+ * Comparisons are run by the compare() passed in; calibrate.js binds the
+ * engine's.
+ */
+
+import { invalidArgument } from './errors.js';
+import { toEncodedInput } from './image.js';
+
+// Delta E steps tried in order (2.0 is the compare() default)
+const THRESHOLDS = [0, 0.5, 1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10];
+const DEFAULT_MARGIN = 0.25;
+const DEFAULT_MAX_NOISE_CLUSTER = 16;
+// Set by the calibration, or artifacts that would be written once per comparison
+const OWN_OPTIONS = [
+  'threshold',
+  'minClusterSize',
+  'antialiasing',
+  'diffPath',
+  'maskPath',
+  'overlayPath',
+  'returnImages',
+  'diffStyle',
+];
+
+function checkOptions(samples, options) {
+  if (!Array.isArray(samples) || samples.length < 2) {
+    throw invalidArgument('calibrate: samples must be an array of at least two images');
+  }
+  let { margin = DEFAULT_MARGIN, maxNoiseCluster = DEFAULT_MAX_NOISE_CLUSTER, ...rest } = options;
+  if (typeof margin !== 'number' || !(margin >= 0)) {
+    throw invalidArgument('calibrate: margin must be a non-negative number');
+  }
+  if (!Number.isInteger(maxNoiseCluster) || maxNoiseCluster < 0) {
+    throw invalidArgument('calibrate: maxNoiseCluster must be a non-negative integer');
+  }
+  for (let key of OWN_OPTIONS) {
+    delete rest[key];
+  }
+  return { margin, maxNoiseCluster, compareOptions: rest };
+}
+
+function pairsOf(count) {
+  let pairs = [];
+  for (let a = 0; a < count; a++) {
+    for (let b = a + 1; b < count; b++) pairs.push([a, b]);
+  }
+  return pairs;
+}
+
+function largestCluster(result) {
+  return (result.diffClusters ?? []).reduce((max, cluster) => Math.max(max, cluster.pixelCount), 0);
+}
+
+function percentile(sorted, share) {
+  return sorted.length > 0
+    ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))]
+    : 0;
+}
+
+// Compare every pair with the given options, one comparison at a time
+async function compareAll(compare, inputs, pairs, options) {
+  let results = [];
+  for (let [a, b] of pairs) {
+    results.push(await compare(inputs[a], inputs[b], options));
+  }
+  return results;
+}
+
+function summarize(measured, pairs) {
+  let clusterSizes = measured
+    .flatMap((result) => (result.diffClusters ?? []).map((cluster) => cluster.pixelCount))
+    .sort((x, y) => x - y);
+  let noisyPixels = measured.reduce((total, result) => total + result.diffPixels, 0);
+  let intensitySum = measured.reduce(
+    (total, result) => total + (result.intensityStats?.mean ?? 0) * result.diffPixels,
+    0
+  );
+  let stat = (key) => ({
+    max: Math.max(...measured.map((result) => result[key])),
+    mean: measured.reduce((total, result) => total + result[key], 0) / measured.length,
+  });
+
+  return {
+    pairs: pairs.map(([a, b], i) => ({
+      samples: [a, b],
+      diffPixels: measured[i].diffPixels,
+      aaPixelsIgnored: measured[i].aaPixelsIgnored,
+      clusterCount: measured[i].diffClusters?.length ?? 0,
+      largestCluster: largestCluster(measured[i]),
+      intensityStats: measured[i].intensityStats,
+    })),
+    diffPixels: stat('diffPixels'),
+    aaPixelsIgnored: stat('aaPixelsIgnored'),
+    maxIntensity: Math.max(0, ...measured.map((result) => result.intensityStats?.max ?? 0)),
+    meanIntensity: noisyPixels > 0 ? intensitySum / noisyPixels : 0,
+    clusterSizes: {
+      count: clusterSizes.length,
+      max: clusterSizes.at(-1) ?? 0,
+      p95: percentile(clusterSizes, 0.95),
+    },
+  };
+}
+
+/**
+ * Recommend CompareOptions under which captures of unchanged UI compare identical
+ *
+ * @param {Array<string|Buffer|object>} samples - Two or more captures of the same, unchanged UI
+ * @param {object} [options] - CompareOptions applied to every comparison (e.g. regions),
+ *   plus `margin` (default 0.25) and `maxNoiseCluster` (default 16)
+ * @param {(image1: string|Buffer, image2: string|Buffer, options: object) => Promise<object>} compare
+ * @returns {Promise<object>} Calibration
+ */
+export async function calibrate(samples, options, compare) {
+  let { margin, maxNoiseCluster, compareOptions } = checkOptions(samples, options ?? {});
+  let inputs = samples.map(toEncodedInput);
+  let pairs = pairsOf(inputs.length);
+  let measure = (overrides) =>
+    compareAll(compare, inputs, pairs, {
+      ...compareOptions,
+      includeClusters: true,
+      minClusterSize: 1,
+      ...overrides,
+    });
+
+  // Raw noise: exact matching, with anti-aliasing detection on
+  let measured = await measure({ threshold: 0, antialiasing: true, includeDiffPixels: true });
+  let noise = summarize(measured, pairs);
+
+  let antialiasing = noise.aaPixelsIgnored.max > 0;
+  let ladder = [];
+  let chosen = null;
+  for (let threshold of THRESHOLDS) {
+    let results = await measure({ threshold, antialiasing });
+    let step = {
+      threshold,
+      largestCluster: Math.max(...results.map(largestCluster)),
+      diffPixels: Math.max(...results.map((result) => result.diffPixels)),
+    };
+    ladder.push(step);
+    if (step.largestCluster <= maxNoiseCluster) {
+      chosen = step;
+      break;
+    }
+  }
+  let fallback = !chosen;
+  chosen ??= ladder.at(-1);
+  noise.byThreshold = ladder;
+
+  let threshold = Math.round(chosen.threshold * (1 + margin) * 10) / 10;
+  let minClusterSize =
+    chosen.largestCluster > 0 ? Math.ceil(chosen.largestCluster * (1 + margin)) + 1 : 1;
+  let recommended = { threshold, minClusterSize, antialiasing };
+
+  let verification = await compareAll(compare, inputs, pairs, {
+    ...compareOptions,
+    ...recommended,
+  });
+  let verified = verification.every((result) => !result.isDifferent);
+
+  let explanations = {
+    antialiasing: antialiasing
+      ? `Anti-aliasing detection absorbed up to ${noise.aaPixelsIgnored.max} noisy edge pixels ` +
+        'per pair, so it stays on.'
+      : 'No pair had anti-aliasing differences, so detection is off and edge changes are not ' +
+        'hidden.',
+    threshold:
+      chosen.threshold === 0
+        ? `Every pair ${chosen.largestCluster > 0 ? 'only has small clusters' : 'matches'} ` +
+          'at Delta E 0, so comparisons can stay exact.'
+        : `At Delta E ${chosen.threshold} the largest noise cluster is ${chosen.largestCluster} px ` +
+          `(${ladder[0].largestCluster} px at 0); with a ${margin * 100}% margin that gives ${threshold}.`,
+    minClusterSize:
+      chosen.largestCluster > 0
+        ? `Noise clusters at the chosen threshold reach ${chosen.largestCluster} px; ` +
+          `filtering clusters under ${minClusterSize} px includes a ${margin * 100}% margin.`
+        : 'No noise clusters remain at the chosen threshold, so no cluster is filtered.',
+  };
+  if (fallback) {
+    explanations.threshold +=
+      ` Noise clusters never fell to ${maxNoiseCluster} px, so the highest step was used;` +
+      ' the samples may not show the same UI.';
+  }
+
+  return { options: recommended, explanations, noise, verified };
+}
@@ -0,0 +1,282 @@
+/**
+ * Semantic classification of diff clusters (`classifyChanges`)
+ *
+ * Each cluster's bounding box is inspected in both images. Pixels that stand
+ * out from the box's surrounding background color are "ink"; comparing the two
+ * ink masks tells content that appeared or disappeared, kept its shape but
+ * changed color, or kept its shape but moved. Other changes on a line of
+ * glyph-sized pieces are text changes.
+ */
+
+// Squared RGB distance from the background for a pixel to count as ink
+const INK_DISTANCE = 3 * 24 * 24;
+// Ring around the box sampled for the background color
+const RING = 2;
+// Clusters at or below this size, or this faint, are rendering noise
+const NOISE_PIXELS = 4;
+const NOISE_INTENSITY = 24;
+// Share of the box that must be ink for content to be present
+const MIN_INK_SHARE = 0.01;
+// Ink mask overlap (intersection over union) for "same structure"
+const SAME_SHAPE_IOU = 0.9;
+const SHIFTED_SHAPE_IOU = 0.8;
+const MAX_SHIFT = 64;
+// Glyph-like pieces: at least this many, none taller than this
+const MIN_GLYPHS = 3;
+const MAX_GLYPH_HEIGHT = 64;
+// Line heights searched left and right of a box for surrounding glyphs
+const LINE_CONTEXT = 3;
+
+const OUTSIDE = 2;
+
+/**
+ * Most common (4-bit quantized) color in a ring around a box, averaged within its bucket
+ * @returns {number[]} [r, g, b]
+ */
+export function backgroundColor(image, box, ring = RING) {
+  let buckets = new Map();
+  let add = (x, y) => {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+    let o = (y * image.width + x) * 4;
+    let [r, g, b] = [image.data[o], image.data[o + 1], image.data[o + 2]];
+    let key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { count: 0, r: 0, g: 0, b: 0 };
+      buckets.set(key, bucket);
+    }
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+  };
+
+  let { x, y, width, height } = box;
+  for (let yy = y - ring; yy < y + height + ring; yy++) {
+    for (let xx = x - ring; xx < x + width + ring; xx++) {
+      let inside = xx >= x && xx < x + width && yy >= y && yy < y + height;
+      if (!inside) add(xx, yy);
+    }
+  }
+  // Box touching every image edge: fall back to the dominant color inside it
+  if (buckets.size === 0) {
+    for (let yy = y; yy < y + height; yy++) {
+      for (let xx = x; xx < x + width; xx++) add(xx, yy);
+    }
+  }
+
+  let best = null;
+  for (let bucket of buckets.values()) {
+    if (!best || bucket.count > best.count) best = bucket;
+  }
+  if (!best) return [255, 255, 255];
+  return [best.r / best.count, best.g / best.count, best.b / best.count];
+}
+
+/**
+ * Mark pixels in a box that stand out from the background around it
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ * @param {{ ring?: number, background?: number[] }} [options] - Width of the ring sampled
+ *   for the background color, or the background color itself
+ * @returns {{ mask: Uint8Array, ink: number, outside: number }} mask: 1 = ink,
+ *   0 = background, 2 = beyond the image
+ */
+export function inkMask(image, box, options = {}) {
+  let [br, bg, bb] = options.background ?? backgroundColor(image, box, options.ring);
+  let { x, y, width, height } = box;
+  let mask = new Uint8Array(width * height);
+  let ink = 0;
+  let outside = 0;
+  for (let yy = 0; yy < height; yy++) {
+    for (let xx = 0; xx < width; xx++) {
+      let px = x + xx;
+      let py = y + yy;
+      let i = yy * width + xx;
+      if (px >= image.width || py >= image.height) {
+        mask[i] = OUTSIDE;
+        outside++;
+        continue;
+      }
+      let o = (py * image.width + px) * 4;
+      let dr = image.data[o] - br;
+      let dg = image.data[o + 1] - bg;
+      let db = image.data[o + 2] - bb;
+      if (dr * dr + dg * dg + db * db > INK_DISTANCE) {
+        mask[i] = 1;
+        ink++;
+      }
+    }
+  }
+  return { mask, ink, outside };
+}
+
+// Intersection over union of ink with mask2 offset by (dx, dy)
+function overlap(mask1, mask2, width, height, dx, dy) {
+  let intersection = 0;
+  let ink1 = 0;
+  let ink2 = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let a = mask1[y * width + x] === 1;
+      let x2 = x + dx;
+      let y2 = y + dy;
+      let b = x2 >= 0 && y2 >= 0 && x2 < width && y2 < height && mask2[y2 * width + x2] === 1;
+      if (a) ink1++;
+      if (b) ink2++;
+      if (a && b) intersection++;
+    }
+  }
+  let union = ink1 + ink2 - intersection;
+  return union > 0 ? intersection / union : 1;
+}
+
+// Offset that best lines up two ink profiles (column or row counts)
+function bestOffset(profile1, profile2) {
+  let limit = Math.min(MAX_SHIFT, profile1.length - 1);
+  let best = 0;
+  let bestCost = Number.POSITIVE_INFINITY;
+  for (let d = -limit; d <= limit; d++) {
+    let cost = 0;
+    for (let i = 0; i < profile1.length; i++) {
+      let j = i + d;
+      cost += Math.abs(profile1[i] - (j >= 0 && j < profile2.length ? profile2[j] : 0));
+    }
+    if (cost < bestCost || (cost === bestCost && Math.abs(d) < Math.abs(best))) {
+      best = d;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+function profiles(mask, width, height) {
+  let columns = new Float64Array(width);
+  let rows = new Float64Array(height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x] === 1) {
+        columns[x]++;
+        rows[y]++;
+      }
+    }
+  }
+  return { columns, rows };
+}
+
+// Heights of 4-connected ink components
+function componentHeights(mask, width, height) {
+  let seen = new Uint8Array(mask.length);
+  let heights = [];
+  let stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1 || seen[start]) continue;
+    let top = height;
+    let bottom = -1;
+    seen[start] = 1;
+    stack.push(start);
+    while (stack.length > 0) {
+      let i = stack.pop();
+      let x = i % width;
+      let y = (i - x) / width;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+      for (let n of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+        if (n >= 0 && n < mask.length && mask[n] === 1 && !seen[n]) {
+          seen[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+    heights.push(bottom - top + 1);
+  }
+  return heights;
+}
+
+// Whether the box sits on a line of glyph-sized pieces, looking a few line heights to each side
+function onTextLine(image, box) {
+  if (box.height > MAX_GLYPH_HEIGHT) return false;
+  let x = Math.max(0, box.x - LINE_CONTEXT * box.height);
+  let right = Math.min(image.width, box.x + box.width + LINE_CONTEXT * box.height);
+  let height = Math.min(box.height, image.height - box.y);
+  if (height <= 0 || right <= x) return false;
+
+  let line = { x, y: box.y, width: right - x, height };
+  let { mask } = inkMask(image, line);
+  let heights = componentHeights(mask, line.width, line.height);
+  return heights.length >= MIN_GLYPHS && heights.every((h) => h <= MAX_GLYPH_HEIGHT);
+}
+
+function withinBand(box, band) {
+  return box.y >= band.y && box.y + box.height <= band.y + band.height;
+}
+
+/**
+ * Classify one cluster from the pixels inside its bounding box
+ *
+ * @param {object} cluster - DiffCluster
+ * @param {{ width: number, height: number, data: Uint8Array }} image1 - Baseline as compared
+ * @param {{ width: number, height: number, data: Uint8Array }} image2 - Current image
+ * @returns {'text'|'color'|'shift'|'added'|'removed'|'noise'|'content'}
+ */
+export function classifyCluster(cluster, image1, image2) {
+  let box = cluster.boundingBox;
+  let { width, height } = box;
+  let area = width * height;
+
+  let before = inkMask(image1, box);
+  let after = inkMask(image2, box);
+  if (before.outside === area) return 'added';
+  if (after.outside === area) return 'removed';
+
+  if (cluster.pixelCount <= NOISE_PIXELS || cluster.avgIntensity < NOISE_INTENSITY) {
+    return 'noise';
+  }
+
+  let minInk = Math.max(1, area * MIN_INK_SHARE);
+  let hasBefore = before.ink >= minInk;
+  let hasAfter = after.ink >= minInk;
+  // Neither side has distinct content: the area itself changed color
+  if (!hasBefore && !hasAfter) return 'color';
+
+  if (hasBefore && hasAfter) {
+    if (overlap(before.mask, after.mask, width, height, 0, 0) >= SAME_SHAPE_IOU) return 'color';
+
+    let p1 = profiles(before.mask, width, height);
+    let p2 = profiles(after.mask, width, height);
+    let dx = bestOffset(p1.columns, p2.columns);
+    let dy = bestOffset(p1.rows, p2.rows);
+    if (
+      (dx !== 0 || dy !== 0) &&
+      overlap(before.mask, after.mask, width, height, dx, dy) >= SHIFTED_SHAPE_IOU
+    ) {
+      return 'shift';
+    }
+  }
+
+  // Glyphs added, removed or replaced inside a line of text
+  if (onTextLine(image1, box) || onTextLine(image2, box)) return 'text';
+
+  if (!hasBefore) return 'added';
+  if (!hasAfter) return 'removed';
+  return 'content';
+}
+
+/**
+ * Label every cluster of a result with a `changeType`
+ *
+ * @param {object} result - DiffResult with diffClusters
+ * @param {{ width: number, height: number, data: Uint8Array }} image1 - Baseline as compared
+ * @param {{ width: number, height: number, data: Uint8Array }} image2 - Current image
+ * @param {{ inserted: Array<{ y: number, height: number }> }|null} [alignment] - Rows
+ *   inserted by row alignment are always `added` (the realigned baseline copies them)
+ * @returns {object} The result
+ */
+export function classifyChanges(result, image1, image2, alignment = null) {
+  for (let cluster of result.diffClusters ?? []) {
+    let inserted = alignment?.inserted.some((band) => withinBand(cluster.boundingBox, band));
+    cluster.changeType = inserted ? 'added' : classifyCluster(cluster, image1, image2);
+  }
+  return result;
+}
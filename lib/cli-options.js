@@ -0,0 +1,116 @@
+/**
+ * Command-line flags of the honeydiff CLI and their mapping onto API options
+ */
+
+import { parseArgs } from 'node:util';
+
+const OPTIONS = {
+  threshold: { type: 'string' },
+  'no-antialiasing': { type: 'boolean' },
+  'max-diffs': { type: 'string' },
+  'include-diff-pixels': { type: 'boolean' },
+  clusters: { type: 'boolean' },
+  ssim: { type: 'boolean' },
+  gmsd: { type: 'boolean' },
+  'min-cluster-size': { type: 'string' },
+  'cluster-merge': { type: 'boolean' },
+  diff: { type: 'string' },
+  mask: { type: 'string' },
+  overlay: { type: 'string' },
+  overwrite: { type: 'boolean' },
+  'diff-color': { type: 'string' },
+  'diff-style': { type: 'string' },
+  'ignore-region': { type: 'string', multiple: true },
+  'include-region': { type: 'string', multiple: true },
+  'mask-image': { type: 'string' },
+  align: { type: 'boolean' },
+  classify: { type: 'boolean' },
+  'detect-moves': { type: 'boolean' },
+  'exclude-moves': { type: 'boolean' },
+  'perceptual-map': { type: 'boolean' },
+  policy: { type: 'string' },
+  concurrency: { type: 'string' },
+  'edge-threshold': { type: 'string' },
+  'min-region-size': { type: 'string' },
+  'max-contrast-threshold': { type: 'string' },
+  aaa: { type: 'boolean' },
+  'pixel-ratio': { type: 'string' },
+  margin: { type: 'string' },
+  'max-noise-cluster': { type: 'string' },
+  ext: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Split command arguments into flag values and positionals
+ * @param {string[]} args - Arguments after the command name
+ * @returns {{ values: object, positionals: string[] }}
+ */
+export function parseCommandLine(args) {
+  return parseArgs({ args, options: OPTIONS, allowPositionals: true });
+}
+
+/** A mistake in the command line; reported without an `Error:` prefix */
+export class UsageError extends Error {}
+
+export function toNumber(value, flag) {
+  if (value === undefined) return undefined;
+  let number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new UsageError(`--${flag} expects a number, got "${value}"`);
+  }
+  return number;
+}
+
+function toRegion(value, flag) {
+  let parts = value.split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    throw new UsageError(`--${flag} expects x,y,width,height, got "${value}"`);
+  }
+  let [x, y, width, height] = parts;
+  return { x, y, width, height };
+}
+
+export function definedOnly(object) {
+  for (let key of Object.keys(object)) {
+    if (object[key] === undefined) delete object[key];
+  }
+  return object;
+}
+
+/**
+ * CompareOptions for the compare-style flags of a parsed command line
+ * @param {object} values - `values` from parseCommandLine()
+ * @returns {object}
+ */
+export function compareOptionsFrom(values) {
+  return definedOnly({
+    threshold: toNumber(values.threshold, 'threshold'),
+    antialiasing: values['no-antialiasing'] ? false : undefined,
+    maxDiffs: toNumber(values['max-diffs'], 'max-diffs'),
+    includeDiffPixels: values['include-diff-pixels'],
+    includeClusters: values.clusters,
+    includeSSIM: values.ssim,
+    includeGMSD: values.gmsd,
+    minClusterSize: toNumber(values['min-cluster-size'], 'min-cluster-size'),
+    clusterMerge: values['cluster-merge'],
+    overwrite: values.overwrite,
+    diffMaskColor: values['diff-color'],
+    diffStyle: values['diff-style'],
+    ignoreRegions: values['ignore-region']?.map((r) => toRegion(r, 'ignore-region')),
+    includeRegions: values['include-region']?.map((r) => toRegion(r, 'include-region')),
+    maskImage: values['mask-image'],
+    align: values.align,
+    classifyChanges: values.classify,
+    detectMoves: values['exclude-moves'] ? { exclude: true } : values['detect-moves'],
+    perceptualMap: values['perceptual-map'],
+  });
+}
+
+export function requirePositionals(positionals, count, usage) {
+  if (positionals.length !== count) {
+    throw new UsageError(`Usage: honeydiff ${usage}`);
+  }
+  return positionals;
+}
@@ -0,0 +1,436 @@
+/**
+ * honeydiff command-line interface
+ *
+ * Exit codes: 0 = identical / no issues, 1 = different / issues found, 2 = error
+ */
+
+import { mkdirSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { dirname, extname, join, relative } from 'node:path';
+import {
+  analyzeWcagContrast,
+  calibrate,
+  compare,
+  compareBatch,
+  computeFingerprintSync,
+  evaluate,
+  getDimensions,
+  quickCompare,
+  saveAllColorBlindnessSimulations,
+} from '../index.js';
+import {
+  compareOptionsFrom,
+  definedOnly,
+  parseCommandLine,
+  requirePositionals,
+  toNumber,
+  UsageError,
+} from './cli-options.js';
+
+export const EXIT_IDENTICAL = 0;
+export const EXIT_DIFFERENT = 1;
+export const EXIT_ERROR = 2;
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp']);
+
+const USAGE = `Usage: honeydiff <command> [options]
+
+Commands:
+  compare <baseline> <current>      Compare two images, or two directories by file name
+  quick <baseline> <current>        Fast identical/different check
+  wcag <image>                      WCAG color contrast analysis
+  cvd <image> <output-prefix>       Save protanopia/deuteranopia/tritanopia/achromatopsia simulations
+  fingerprint <baseline> <current>  Compare and print the diff fingerprint
+  calibrate <image> <image>...      Recommend compare options from captures of unchanged UI
+
+Compare options:
+  --threshold <n>             CIEDE2000 Delta E threshold (default: 2.0)
+  --no-antialiasing           Disable anti-aliasing detection
+  --max-diffs <n>             Stop after n differences
+  --include-diff-pixels       Include the list of differing pixels (JSON output)
+  --clusters                  Include diff clusters
+  --ssim                      Calculate SSIM perceptual score
+  --gmsd                      Calculate GMSD edge similarity score
+  --min-cluster-size <n>      Filter clusters smaller than n pixels (default: 2)
+  --cluster-merge             Merge nearby clusters into logical regions
+  --diff <path>               Save the diff image (a directory in directory mode)
+  --mask <path>               Save the mask image (a directory in directory mode)
+  --overlay <path>            Save the overlay image (a directory in directory mode)
+  --overwrite                 Overwrite existing output files
+  --diff-color <hex>          Highlight color for diff/mask output (default: ff0000)
+  --diff-style <style>        highlight, heatmap, grayscale, blink or boxes (default: highlight)
+  --ignore-region <x,y,w,h>   Exclude a region (repeatable)
+  --include-region <x,y,w,h>  Only compare inside a region (repeatable)
+  --mask-image <path>         Mask image; white pixels are excluded
+  --align                     Align shifted rows before comparing (variable heights)
+  --classify                  Label each cluster's kind of change (text, color, shift...)
+  --detect-moves              Report content that moved
+  --exclude-moves             Report moved content and stop counting it as a difference
+  --perceptual-map            Report the regions with the worst local SSIM and GMSD
+  --policy <path>             Pass/fail policy JSON; the exit code follows its verdict
+  --concurrency <n>           Parallel comparisons in directory mode
+
+WCAG options:
+  --edge-threshold <n>        Edge detection threshold 0-255 (default: 60)
+  --min-region-size <n>       Minimum violation region size (default: 50)
+  --max-contrast-threshold <n>  Exclude regions above this contrast (default: 3.5)
+  --aaa                       Also check WCAG AAA
+  --pixel-ratio <n>           Device pixels per CSS pixel, for text sizes (default: 1)
+
+Calibrate options (and the region options above):
+  --margin <n>                Safety margin on the measured noise (default: 0.25)
+  --max-noise-cluster <n>     Largest noise cluster to filter by size (default: 16)
+
+CVD options:
+  --ext <extension>           Output file extension (default: png)
+
+General options:
+  --json                      Print machine-readable JSON
+  -h, --help                  Show this help
+
+Exit codes: 0 identical / no issues, 1 different / issues found, 2 error`;
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function listImages(root) {
+  let files = [];
+  let walk = (dir) => {
+    for (let entry of readdirSync(dir, { withFileTypes: true })) {
+      let path = join(dir, entry.name);
+      if (entry.isDirectory()) walk(path);
+      else if (IMAGE_EXTENSIONS.has(extname(entry.name).toLowerCase())) {
+        files.push(relative(root, path));
+      }
+    }
+  };
+  walk(root);
+  return files.sort();
+}
+
+function formatBox(box) {
+  return `${box.x},${box.y} ${box.width}x${box.height}`;
+}
+
+function printResult(log, label, result) {
+  let verdict = result.isDifferent ? 'DIFFERENT' : 'IDENTICAL';
+  log(`${verdict}  ${label}`);
+  log(
+    `  Diff: ${result.diffPercentage.toFixed(2)}% (${result.diffPixels} / ${result.totalPixels} pixels)`
+  );
+  if (result.aaPixelsIgnored > 0) log(`  Anti-aliasing ignored: ${result.aaPixelsIgnored} pixels`);
+  if (result.maskedPixels > 0) log(`  Masked: ${result.maskedPixels} pixels`);
+  if (result.boundingBox) log(`  Bounding box: ${formatBox(result.boundingBox)}`);
+  if (result.heightDiff) {
+    log(`  Height: ${result.heightDiff.height1} vs ${result.heightDiff.height2}`);
+  }
+  if (result.alignment) {
+    let { inserted, removed, moved } = result.alignment;
+    for (let band of inserted) log(`  Inserted: rows ${band.y}-${band.y + band.height - 1}`);
+    for (let band of removed) log(`  Removed: baseline rows ${band.y}-${band.y + band.height - 1}`);
+    for (let move of moved) {
+      log(`  Moved: ${move.height} rows from ${move.from} to ${move.to}`);
+    }
+  }
+  if (result.alignmentFallback) {
+    log(`  Alignment skipped (${result.alignmentFallback}), compared unaligned`);
+  }
+  for (let move of result.moves ?? []) {
+    log(`  Moved: ${formatBox(move.from)} by (${move.dx}, ${move.dy})`);
+  }
+  if (result.diffClusters) log(`  Clusters: ${result.diffClusters.length}`);
+  let changeTypes = (result.diffClusters ?? []).map((cluster) => cluster.changeType);
+  if (changeTypes.length > 0 && changeTypes.every(Boolean)) {
+    let counts = new Map();
+    for (let type of changeTypes) counts.set(type, (counts.get(type) ?? 0) + 1);
+    log(`  Changes: ${[...counts].map(([type, count]) => `${count} ${type}`).join(', ')}`);
+  }
+  if (result.perceptualScore != null) log(`  SSIM: ${result.perceptualScore.toFixed(4)}`);
+  if (result.gmsdScore != null) log(`  GMSD: ${result.gmsdScore.toFixed(4)}`);
+  if (result.perceptualMap) {
+    // Both are null when the images share no pixels
+    let { worstSsim, worstGmsd } = result.perceptualMap;
+    if (worstSsim) {
+      log(`  Worst local SSIM: ${worstSsim.score.toFixed(4)} at ${formatBox(worstSsim.box)}`);
+    }
+    if (worstGmsd) {
+      log(`  Worst local GMSD: ${worstGmsd.score.toFixed(4)} at ${formatBox(worstGmsd.box)}`);
+    }
+  }
+}
+
+async function runCompare(positionals, values, io) {
+  let [baseline, current] = requirePositionals(positionals, 2, 'compare <baseline> <current>');
+  let options = compareOptionsFrom(values);
+
+  if (isDirectory(baseline) && isDirectory(current)) {
+    if (values.policy) throw new UsageError('--policy applies to single file comparisons');
+    return runCompareDirectories(baseline, current, options, values, io);
+  }
+
+  if (values.diff) options.diffPath = values.diff;
+  if (values.mask) options.maskPath = values.mask;
+  if (values.overlay) options.overlayPath = values.overlay;
+
+  let policy = values.policy ? readPolicy(values.policy) : null;
+  let result = await compare(baseline, current, options);
+  let evaluation = policy ? evaluate(result, policy) : null;
+  if (values.json) {
+    io.log(JSON.stringify(evaluation ? { ...result, policy: evaluation } : result, null, 2));
+  } else {
+    printResult(io.log, `${baseline} vs ${current}`, result);
+    if (evaluation) printEvaluation(io.log, evaluation);
+  }
+
+  if (evaluation) return evaluation.pass ? EXIT_IDENTICAL : EXIT_DIFFERENT;
+  return result.isDifferent ? EXIT_DIFFERENT : EXIT_IDENTICAL;
+}
+
+function readPolicy(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`--policy: cannot read ${path}: ${error.message}`);
+  }
+}
+
+function printEvaluation(log, evaluation) {
+  log(`  Policy: ${evaluation.verdict.toUpperCase()}`);
+  for (let failure of evaluation.failures) log(`    ${failure.message}`);
+}
+
+async function runCompareDirectories(baselineDir, currentDir, options, values, io) {
+  let baselineFiles = listImages(baselineDir);
+  let currentFiles = new Set(listImages(currentDir));
+  let missing = baselineFiles.filter((file) => !currentFiles.has(file));
+  let added = [...currentFiles].filter((file) => !baselineFiles.includes(file));
+
+  let outputFor = (dir, file) => {
+    if (!dir) return undefined;
+    let path = join(dir, `${file.slice(0, -extname(file).length)}.png`);
+    mkdirSync(dirname(path), { recursive: true });
+    return path;
+  };
+
+  let pairs = baselineFiles
+    .filter((file) => currentFiles.has(file))
+    .map((file) => ({
+      id: file,
+      baseline: join(baselineDir, file),
+      current: join(currentDir, file),
+      options: definedOnly({
+        diffPath: outputFor(values.diff, file),
+        maskPath: outputFor(values.mask, file),
+        overlayPath: outputFor(values.overlay, file),
+      }),
+    }));
+
+  let concurrency = toNumber(values.concurrency, 'concurrency');
+  let summary = await compareBatch(pairs, definedOnly({ ...options, concurrency })).done;
+
+  if (values.json) {
+    let entry = ({ id, status, result, error }) => ({
+      file: id,
+      status,
+      result,
+      error: error ? error.message : null,
+      errorCode: error?.code ?? null,
+    });
+    io.log(
+      JSON.stringify(
+        {
+          changed: summary.changed.map(entry),
+          unchanged: summary.unchanged.map(entry),
+          errored: summary.errored.map(entry),
+          missing,
+          added,
+        },
+        null,
+        2
+      )
+    );
+  } else {
+    for (let { id, result } of summary.changed) printResult(io.log, id, result);
+    for (let { id, error } of summary.errored) io.error(`ERROR  ${id}: ${error.message}`);
+    for (let file of missing) io.log(`MISSING  ${file} (not in ${currentDir})`);
+    for (let file of added) io.log(`NEW  ${file} (not in ${baselineDir})`);
+    io.log(
+      `\n${pairs.length} compared: ${summary.changed.length} different, ` +
+        `${summary.unchanged.length} identical, ${summary.errored.length} errors; ` +
+        `${missing.length} missing, ${added.length} new`
+    );
+  }
+
+  if (summary.errored.length > 0) return EXIT_ERROR;
+  if (summary.changed.length > 0 || missing.length > 0 || added.length > 0) return EXIT_DIFFERENT;
+  return EXIT_IDENTICAL;
+}
+
+async function runQuick(positionals, values, io) {
+  let [baseline, current] = requirePositionals(positionals, 2, 'quick <baseline> <current>');
+  let isDifferent = await quickCompare(baseline, current);
+
+  if (values.json) io.log(JSON.stringify({ isDifferent }));
+  else io.log(isDifferent ? 'DIFFERENT' : 'IDENTICAL');
+
+  return isDifferent ? EXIT_DIFFERENT : EXIT_IDENTICAL;
+}
+
+async function runWcag(positionals, values, io) {
+  let [image] = requirePositionals(positionals, 1, 'wcag <image>');
+  let analysis = await analyzeWcagContrast(
+    image,
+    definedOnly({
+      edgeThreshold: toNumber(values['edge-threshold'], 'edge-threshold'),
+      minRegionSize: toNumber(values['min-region-size'], 'min-region-size'),
+      maxContrastThreshold: toNumber(values['max-contrast-threshold'], 'max-contrast-threshold'),
+      checkAAA: values.aaa,
+      pixelRatio: toNumber(values['pixel-ratio'], 'pixel-ratio'),
+    })
+  );
+
+  if (values.json) {
+    io.log(JSON.stringify(analysis, null, 2));
+  } else {
+    io.log(`Total edges analyzed: ${analysis.totalEdges}`);
+    io.log(`AA normal text pass rate: ${analysis.aaNormalPassPercentage.toFixed(1)}%`);
+    io.log(`AA large text pass rate: ${analysis.aaLargePassPercentage.toFixed(1)}%`);
+    io.log(`AA pass rate by text size: ${analysis.aaPassPercentage.toFixed(1)}%`);
+    if (values.aaa) {
+      io.log(`AAA normal text pass rate: ${analysis.aaaNormalPassPercentage.toFixed(1)}%`);
+      io.log(`AAA pass rate by text size: ${analysis.aaaPassPercentage.toFixed(1)}%`);
+    }
+    io.log(`Violations: ${analysis.violations.length}`);
+    for (let violation of analysis.violations) {
+      let { boundingBox, contrastRatio, textSize, applicableFailure } = violation;
+      let verdict = applicableFailure ? 'fails AA' : 'passes AA';
+      io.log(
+        `  ${formatBox(boundingBox)}  contrast ${contrastRatio.toFixed(2)}:1  ${textSize}, ${verdict}`
+      );
+    }
+  }
+
+  // Violations that pass the threshold for their text size are not failures
+  let fails = analysis.violations.some((violation) => violation.applicableFailure);
+  return fails ? EXIT_DIFFERENT : EXIT_IDENTICAL;
+}
+
+async function runCvd(positionals, values, io) {
+  let [image, prefix] = requirePositionals(positionals, 2, 'cvd <image> <output-prefix>');
+  let extension = values.ext ?? 'png';
+  await saveAllColorBlindnessSimulations(image, prefix, extension);
+
+  let files = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'].map(
+    (type) => `${prefix}_${type}.${extension}`
+  );
+  if (values.json) io.log(JSON.stringify({ files }, null, 2));
+  else for (let file of files) io.log(file);
+
+  return EXIT_IDENTICAL;
+}
+
+async function runFingerprint(positionals, values, io) {
+  let [baseline, current] = requirePositionals(positionals, 2, 'fingerprint <baseline> <current>');
+  let result = await compare(baseline, current, {
+    ...compareOptionsFrom(values),
+    includeClusters: true,
+  });
+  let { width, height } = await getDimensions(current);
+  let fingerprint = computeFingerprintSync(result, width, height);
+
+  if (values.json) {
+    io.log(JSON.stringify({ isDifferent: result.isDifferent, fingerprint }, null, 2));
+  } else if (fingerprint) {
+    io.log(`Hash: ${fingerprint.hash}`);
+    io.log(`Zones: ${fingerprint.zoneMask.toString(2).padStart(16, '0')}`);
+    io.log(`Clusters: ${fingerprint.clusterCount}`);
+    io.log(`Magnitude: ${fingerprint.diffMagnitude}`);
+  } else {
+    io.log('No differences - no fingerprint');
+  }
+
+  return result.isDifferent ? EXIT_DIFFERENT : EXIT_IDENTICAL;
+}
+
+async function runCalibrate(positionals, values, io) {
+  if (positionals.length < 2) {
+    throw new UsageError('Usage: honeydiff calibrate <image> <image>...');
+  }
+  let { ignoreRegions, includeRegions, maskImage } = compareOptionsFrom(values);
+  let calibration = await calibrate(
+    positionals,
+    definedOnly({
+      ignoreRegions,
+      includeRegions,
+      maskImage,
+      margin: toNumber(values.margin, 'margin'),
+      maxNoiseCluster: toNumber(values['max-noise-cluster'], 'max-noise-cluster'),
+    })
+  );
+
+  if (values.json) {
+    io.log(JSON.stringify(calibration, null, 2));
+  } else {
+    let { threshold, minClusterSize, antialiasing } = calibration.options;
+    let flags = `--threshold ${threshold} --min-cluster-size ${minClusterSize}`;
+    io.log(`Recommended: ${antialiasing ? flags : `${flags} --no-antialiasing`}`);
+    for (let [option, explanation] of Object.entries(calibration.explanations)) {
+      io.log(`  ${option}: ${explanation}`);
+    }
+    let { pairs, diffPixels } = calibration.noise;
+    io.log(`Noise: ${pairs.length} pairs, up to ${diffPixels.max} differing pixels at Delta E 0`);
+    io.log(`Verified: ${calibration.verified ? 'all pairs identical' : 'some pairs still differ'}`);
+  }
+
+  return calibration.verified ? EXIT_IDENTICAL : EXIT_DIFFERENT;
+}
+
+const COMMANDS = {
+  compare: runCompare,
+  quick: runQuick,
+  wcag: runWcag,
+  cvd: runCvd,
+  fingerprint: runFingerprint,
+  calibrate: runCalibrate,
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @param {{ log: (line: string) => void, error: (line: string) => void }} [io] - Output sinks
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, io = { log: console.log, error: console.error }) {
+  let [command, ...rest] = argv;
+
+  if (!command || command === '--help' || command === '-h') {
+    io.log(USAGE);
+    return command ? EXIT_IDENTICAL : EXIT_ERROR;
+  }
+
+  let handler = COMMANDS[command];
+  if (!handler) {
+    io.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  try {
+    let { values, positionals } = parseCommandLine(rest);
+    if (values.help) {
+      io.log(USAGE);
+      return EXIT_IDENTICAL;
+    }
+    return await handler(positionals, values, io);
+  } catch (error) {
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      io.error(error.message);
+    } else {
+      io.error(`Error: ${error.message}`);
+    }
+    return EXIT_ERROR;
+  }
+}
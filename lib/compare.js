@@ -0,0 +1,225 @@
+/**
+ * compare()/compareSync() with the JavaScript-side preprocessing layered on top
+ * of the native engine
+ */
+
+import { writeFileSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { alignmentFallback, alignRows, applyAlignment } from './align.js';
+import { classifyChanges } from './classify.js';
+import { renderDiffStyle, usesDiffStyle } from './diff-styles.js';
+import { toHoneydiffError } from './errors.js';
+import { readImage, readImageSync, toEncodedInput, toNativeInput } from './image.js';
+import { detectMoves } from './moves.js';
+import { applyPerceptualMap } from './perceptual.js';
+import addon from './native.js';
+import { applyComparedPercentages, applyRegionMask, hasRegionOptions } from './regions.js';
+import { withReturnedImages, withReturnedImagesSync } from './returned-images.js';
+
+// Options handled here that the native engine does not know about
+const JS_OPTIONS = [
+  'ignoreRegions',
+  'includeRegions',
+  'maskImage',
+  'align',
+  'returnImages',
+  'diffStyle',
+  'classifyChanges',
+  'detectMoves',
+  'perceptualMap',
+];
+
+// A styled diff image is rendered here instead of by the engine
+function styledDiff(options) {
+  return usesDiffStyle(options) && options.diffPath != null;
+}
+
+// Details the JavaScript-side features need from the engine even when not requested
+function requiredDetails(options) {
+  return {
+    pixels: styledDiff(options),
+    clusters:
+      Boolean(options?.classifyChanges || options?.detectMoves || options?.perceptualMap) ||
+      (styledDiff(options) && options.diffStyle === 'boxes'),
+  };
+}
+
+function nativeOptions(options) {
+  if (!options) return options;
+  let rest = { ...options };
+  for (let key of JS_OPTIONS) {
+    delete rest[key];
+  }
+  let required = requiredDetails(options);
+  if (required.pixels) rest.includeDiffPixels = true;
+  if (required.clusters) rest.includeClusters = true;
+  if (styledDiff(options)) delete rest.diffPath;
+  return rest;
+}
+
+// Features that work on decoded pixels
+function needsDecoding(options) {
+  return (
+    hasRegionOptions(options) ||
+    Boolean(options?.align) ||
+    Boolean(options?.classifyChanges) ||
+    Boolean(options?.detectMoves) ||
+    Boolean(options?.perceptualMap) ||
+    styledDiff(options)
+  );
+}
+
+// Align and mask decoded images, then re-encode them for the native engine
+function prepareInputs(image1, image2, maskImage, options) {
+  let alignment = null;
+  if (options.align) {
+    alignment = alignRows(image1, image2, options.align === true ? {} : options.align);
+  }
+
+  let baseline = alignment ? alignment.aligned : image1;
+  let maskedPixels = hasRegionOptions(options)
+    ? applyRegionMask(baseline, image2, options, maskImage)
+    : 0;
+
+  return {
+    input1: toNativeInput(baseline),
+    input2: toNativeInput(image2),
+    baseline,
+    image2,
+    maskedPixels,
+    alignment,
+  };
+}
+
+// Drop the details that were only fetched for JavaScript-side features
+function dropRequiredDetails(result, options) {
+  let required = requiredDetails(options);
+  // Classified and scored clusters are part of the result, as documented for
+  // classifyChanges and perceptualMap
+  let requested = {
+    pixels: options.includeDiffPixels,
+    clusters: options.includeClusters || options.classifyChanges || options.perceptualMap,
+  };
+  // Fetching clusters makes the engine return the pixel list as well
+  if ((required.pixels || required.clusters) && !requested.pixels) {
+    result.diffPixelsList = null;
+    result.intensityStats = null;
+  }
+  if (required.clusters && !requested.clusters && !options.clusterMerge) {
+    result.diffClusters = null;
+  }
+  return result;
+}
+
+function finishResult(result, prepared, image1, options) {
+  result.maskedPixels = prepared.maskedPixels;
+  if (prepared.alignment) {
+    applyAlignment(result, prepared.alignment, image1);
+  } else if (options?.align) {
+    result.alignment = null;
+    result.alignmentFallback = alignmentFallback(image1, prepared.image2);
+  }
+  if (options?.detectMoves) {
+    let moveOptions = options.detectMoves === true ? {} : options.detectMoves;
+    detectMoves(result, prepared.baseline, prepared.image2, moveOptions);
+  }
+  if (options?.classifyChanges) {
+    classifyChanges(result, prepared.baseline, prepared.image2, prepared.alignment);
+  }
+  if (options?.perceptualMap) {
+    let mapOptions = options.perceptualMap === true ? {} : options.perceptualMap;
+    applyPerceptualMap(result, prepared.baseline, prepared.image2, mapOptions);
+  }
+  if (result.maskedPixels > 0) applyComparedPercentages(result);
+  return result;
+}
+
+async function compareImages(img1, img2, options) {
+  if (!needsDecoding(options)) {
+    let input1 = toEncodedInput(img1);
+    let input2 = toEncodedInput(img2);
+    let result = await addon.compare(input1, input2, nativeOptions(options));
+    result.maskedPixels = 0;
+    return result;
+  }
+
+  let [image1, image2, maskImage] = await Promise.all([
+    readImage(img1),
+    readImage(img2),
+    options.maskImage != null ? readImage(options.maskImage) : null,
+  ]);
+  let prepared = prepareInputs(image1, image2, maskImage, options);
+
+  let result = await addon.compare(prepared.input1, prepared.input2, nativeOptions(options));
+  finishResult(result, prepared, image1, options);
+  if (styledDiff(options)) {
+    let png = renderDiffStyle(
+      options.diffStyle,
+      prepared.baseline,
+      prepared.image2,
+      result,
+      options
+    );
+    try {
+      await writeFile(options.diffPath, png, { flag: options.overwrite ? 'w' : 'wx' });
+    } catch (error) {
+      throw toHoneydiffError(error);
+    }
+  }
+  return dropRequiredDetails(result, options);
+}
+
+function compareImagesSync(img1, img2, options) {
+  if (!needsDecoding(options)) {
+    let input1 = toEncodedInput(img1);
+    let input2 = toEncodedInput(img2);
+    let result = addon.compareSync(input1, input2, nativeOptions(options));
+    result.maskedPixels = 0;
+    return result;
+  }
+
+  let image1 = readImageSync(img1);
+  let image2 = readImageSync(img2);
+  let maskImage = options.maskImage != null ? readImageSync(options.maskImage) : null;
+  let prepared = prepareInputs(image1, image2, maskImage, options);
+
+  let result = addon.compareSync(prepared.input1, prepared.input2, nativeOptions(options));
+  finishResult(result, prepared, image1, options);
+  if (styledDiff(options)) {
+    let png = renderDiffStyle(
+      options.diffStyle,
+      prepared.baseline,
+      prepared.image2,
+      result,
+      options
+    );
+    try {
+      writeFileSync(options.diffPath, png, { flag: options.overwrite ? 'w' : 'wx' });
+    } catch (error) {
+      throw toHoneydiffError(error);
+    }
+  }
+  return dropRequiredDetails(result, options);
+}
+
+/**
+ * Compare two images asynchronously
+ * @param {string|Buffer|object} img1 - First image
+ * @param {string|Buffer|object} img2 - Second image
+ * @param {object} [options] - CompareOptions
+ * @returns {Promise<object>} DiffResult
+ */
+export async function compare(img1, img2, options) {
+  return withReturnedImages(options, (resolved) => compareImages(img1, img2, resolved));
+}
+
+/**
+ * Compare two images synchronously (blocks event loop)
+ * @param {string|Buffer|object} img1 - First image
+ * @param {string|Buffer|object} img2 - Second image
+ * @param {object} [options] - CompareOptions
+ * @returns {object} DiffResult
+ */
+export function compareSync(img1, img2, options) {
+  return withReturnedImagesSync(options, (resolved) => compareImagesSync(img1, img2, resolved));
+}
@@ -0,0 +1,152 @@
+/**
+ * Bounded pool of concurrent comparisons behind compareBatch()
+ *
+ * The comparison itself is passed in, so scheduling, events and cancellation
+ * do not depend on the native engine.
+ */
+
+import { EventEmitter } from 'node:events';
+import { availableParallelism } from 'node:os';
+import { invalidArgument } from './errors.js';
+
+/**
+ * A running batch of comparisons
+ *
+ * Emits:
+ * - `result` (entry) - after each pair finishes, whether it changed, matched or failed
+ * - `progress` ({ completed, total, changed, unchanged, errored }) - after each `result`
+ * - `end` (summary) - once every pair has finished or the batch was aborted
+ *
+ * A failing pair is reported as an entry with `status: 'error'`; it never
+ * rejects `done` or stops the remaining pairs.
+ */
+export class ComparisonBatch extends EventEmitter {
+  #pairs;
+  #concurrency;
+  #signal;
+  #compareOptions;
+  #compare;
+  #startedAt = 0;
+  #summary;
+
+  /**
+   * @param {Array<{ baseline: string|Buffer, current: string|Buffer, id?: string, options?: object }>} pairs
+   * @param {object} [options] - Batch options plus CompareOptions shared by every pair
+   * @param {(baseline: string|Buffer, current: string|Buffer, options: object) => Promise<object>} compare
+   *   Comparison to run for each pair (compare() for compareBatch())
+   */
+  constructor(pairs, options, compare) {
+    super();
+
+    if (!Array.isArray(pairs)) {
+      throw invalidArgument(
+        'compareBatch: pairs must be an array of { baseline, current } objects'
+      );
+    }
+
+    let { concurrency = availableParallelism(), signal, ...compareOptions } = options ?? {};
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw invalidArgument('compareBatch: concurrency must be a positive integer');
+    }
+
+    this.#pairs = pairs;
+    this.#concurrency = concurrency;
+    this.#signal = signal;
+    this.#compareOptions = compareOptions;
+    this.#compare = compare;
+    this.total = pairs.length;
+    this.completed = 0;
+
+    this.#summary = {
+      total: pairs.length,
+      changed: [],
+      unchanged: [],
+      errored: [],
+      skipped: [],
+      aborted: false,
+      durationMs: 0,
+    };
+
+    /** Resolves with the batch summary once all pairs are done (or the batch was aborted) */
+    this.done = new Promise((resolve, reject) => {
+      // Start on the next tick so callers can attach listeners first
+      process.nextTick(() => this.#run().then(resolve, reject));
+    });
+  }
+
+  async #run() {
+    this.#startedAt = performance.now();
+    let next = 0;
+
+    let worker = async () => {
+      while (next < this.#pairs.length && !this.#signal?.aborted) {
+        let index = next++;
+        await this.#comparePair(index, this.#pairs[index]);
+      }
+    };
+
+    let workers = [];
+    for (let i = 0; i < Math.min(this.#concurrency, this.#pairs.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    let summary = this.#summary;
+    if (this.#signal?.aborted) {
+      summary.aborted = true;
+      summary.skipped = this.#pairs.slice(next).map((pair, i) => ({
+        index: next + i,
+        id: pair?.id ?? null,
+      }));
+    }
+    summary.durationMs = performance.now() - this.#startedAt;
+
+    this.emit('end', summary);
+    return summary;
+  }
+
+  async #comparePair(index, pair) {
+    let started = performance.now();
+    let entry = {
+      index,
+      id: pair?.id ?? null,
+      baseline: pair?.baseline,
+      current: pair?.current,
+      status: 'error',
+      result: null,
+      error: null,
+      durationMs: 0,
+    };
+
+    try {
+      if (pair?.baseline == null || pair?.current == null) {
+        throw invalidArgument(`compareBatch: pair ${index} is missing baseline or current`);
+      }
+      let options = pair.options
+        ? { ...this.#compareOptions, ...pair.options }
+        : this.#compareOptions;
+      entry.result = await this.#compare(pair.baseline, pair.current, options);
+      entry.status = entry.result.isDifferent ? 'changed' : 'unchanged';
+    } catch (error) {
+      entry.error = error;
+    }
+
+    entry.durationMs = performance.now() - started;
+    this.completed++;
+
+    let summary = this.#summary;
+    if (entry.status === 'changed') summary.changed.push(entry);
+    else if (entry.status === 'unchanged') summary.unchanged.push(entry);
+    else summary.errored.push(entry);
+
+    this.emit('result', entry);
+    this.emit('progress', {
+      completed: this.completed,
+      total: this.total,
+      changed: summary.changed.length,
+      unchanged: summary.unchanged.length,
+      errored: summary.errored.length,
+    });
+  }
+}
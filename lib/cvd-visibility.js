@@ -0,0 +1,131 @@
+/**
+ * Which normal-vision clusters stay visible in a simulated comparison, and
+ * the option handling and reports of compareUnderCvd()
+ *
+ * Kept apart from cvd.js so it does not need the native engine.
+ */
+
+import { invalidArgument } from './errors.js';
+
+// Share of a cluster's differing pixels that must remain for it to count as visible
+const DEFAULT_MIN_VISIBLE_SHARE = 0.25;
+
+// Options that would write or return the same artifacts once per simulation
+const ARTIFACT_OPTIONS = ['diffPath', 'maskPath', 'overlayPath', 'returnImages', 'diffStyle'];
+const JS_OPTIONS = ['types', 'minVisibleShare'];
+
+// Differing pixels of a result as a lookup grid covering its bounding box
+function pixelGrid(result) {
+  let box = result.boundingBox;
+  if (!box || !result.diffPixelsList) return null;
+  let width = box.x + box.width;
+  let grid = new Uint8Array(width * (box.y + box.height));
+  for (let { x, y } of result.diffPixelsList) grid[y * width + x] = 1;
+  return { grid, width, height: box.y + box.height };
+}
+
+function visiblePixels(cluster, grid) {
+  if (!grid) return 0;
+  let { x, y, width, height } = cluster.boundingBox;
+  let count = 0;
+  for (let yy = y; yy < Math.min(y + height, grid.height); yy++) {
+    for (let xx = x; xx < Math.min(x + width, grid.width); xx++) {
+      count += grid.grid[yy * grid.width + xx];
+    }
+  }
+  return count;
+}
+
+/**
+ * Clusters of the normal-vision result that keep less than `minVisibleShare`
+ * of their differing pixels in the simulated result
+ *
+ * The simulated result needs its `diffPixelsList`; without it every cluster
+ * counts as hidden.
+ *
+ * @param {object} normal - Normal-vision DiffResult with `diffClusters`
+ * @param {object} simulated - DiffResult of the simulated images
+ * @param {number} minVisibleShare - Share of pixels a cluster must keep (0-1)
+ * @returns {Array<{ cluster: object, visibleShare: number }>}
+ */
+export function findHiddenClusters(normal, simulated, minVisibleShare) {
+  let grid = pixelGrid(simulated);
+  let hidden = [];
+  for (let cluster of normal.diffClusters ?? []) {
+    let visibleShare = Math.min(1, visiblePixels(cluster, grid) / cluster.pixelCount);
+    if (visibleShare < minVisibleShare) hidden.push({ cluster, visibleShare });
+  }
+  return hidden;
+}
+
+/**
+ * Validate compareUnderCvd() options and derive the options of each comparison
+ *
+ * @param {object} [options] - CompareOptions plus `types` and `minVisibleShare`
+ * @param {Array<{ type: string, name: string }>} known - The engine's color blindness types
+ * @returns {{ types: string[], names: Map<string, string>, minVisibleShare: number,
+ *   compareOptions: object, simulatedOptions: object }}
+ */
+export function planCvdComparison(options, known) {
+  let { types, minVisibleShare = DEFAULT_MIN_VISIBLE_SHARE } = options ?? {};
+  if (types == null) {
+    types = known.map((info) => info.type);
+  } else if (!Array.isArray(types) || types.some((type) => typeof type !== 'string')) {
+    throw invalidArgument('compareUnderCvd: types must be an array of color blindness types');
+  }
+  if (typeof minVisibleShare !== 'number' || !(minVisibleShare >= 0 && minVisibleShare <= 1)) {
+    throw invalidArgument('compareUnderCvd: minVisibleShare must be a number from 0 to 1');
+  }
+
+  let compareOptions = { ...options, includeClusters: true };
+  for (let key of JS_OPTIONS) {
+    delete compareOptions[key];
+  }
+  // Visibility is measured on the simulated pixel list
+  let simulatedOptions = { ...compareOptions, includeDiffPixels: true };
+  for (let key of ARTIFACT_OPTIONS) {
+    delete simulatedOptions[key];
+  }
+
+  let names = new Map(known.map((info) => [info.type, info.name]));
+  return { types, names, minVisibleShare, compareOptions, simulatedOptions };
+}
+
+/**
+ * Report for one deficiency; drops the simulated pixel list unless the caller asked for it
+ *
+ * @param {string} type - Color blindness type
+ * @param {object} normal - Normal-vision DiffResult
+ * @param {object} simulated - DiffResult of the simulated images
+ * @param {object} plan - From planCvdComparison()
+ * @returns {object} CvdDeficiencyReport
+ */
+export function deficiencyReport(type, normal, simulated, plan) {
+  let hiddenClusters = findHiddenClusters(normal, simulated, plan.minVisibleShare);
+  // The pixel list is only fetched to measure visibility
+  if (!plan.compareOptions.includeDiffPixels) {
+    simulated.diffPixelsList = null;
+    simulated.intensityStats = null;
+  }
+  return {
+    type,
+    name: plan.names.get(type) ?? type,
+    result: simulated,
+    hiddenClusters,
+    hasHiddenChanges: hiddenClusters.length > 0,
+  };
+}
+
+/**
+ * Combine the normal-vision result and the deficiency reports
+ * @param {object} normal - Normal-vision DiffResult
+ * @param {Array<object>} deficiencies - From deficiencyReport()
+ * @returns {object} CvdComparison
+ */
+export function cvdReport(normal, deficiencies) {
+  return {
+    normalVision: normal,
+    deficiencies,
+    hasHiddenChanges: deficiencies.some((deficiency) => deficiency.hasHiddenChanges),
+  };
+}
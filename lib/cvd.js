@@ -0,0 +1,65 @@
+/**
+ * Comparison as seen with color vision deficiencies (`compareUnderCvd`)
+ *
+ * Both images are run through each simulation and the simulated pairs are
+ * compared with the same options as the normal-vision comparison. A cluster
+ * that is visible in normal vision but keeps few of its differing pixels in a
+ * simulated comparison (the colors became confusable, or their difference fell
+ * below `threshold`) is reported as hidden for that deficiency.
+ */
+
+import { compare, compareSync } from './compare.js';
+import { cvdReport, deficiencyReport, planCvdComparison } from './cvd-visibility.js';
+import { toEncodedInput } from './image.js';
+import addon from './native.js';
+
+/**
+ * Find changes that color-blind users may not see
+ *
+ * Simulations run one deficiency at a time to bound memory use.
+ *
+ * @param {string|Buffer|object} baseline - Baseline image
+ * @param {string|Buffer|object} current - Current image
+ * @param {object} [options] - CompareOptions plus `types` and `minVisibleShare`
+ * @returns {Promise<object>} CvdComparison
+ */
+export async function compareUnderCvd(baseline, current, options) {
+  let plan = planCvdComparison(options, addon.getColorBlindnessTypes());
+  let input1 = toEncodedInput(baseline);
+  let input2 = toEncodedInput(current);
+  let normal = await compare(input1, input2, plan.compareOptions);
+
+  let deficiencies = [];
+  for (let type of plan.types) {
+    let [simulated1, simulated2] = await Promise.all([
+      addon.simulateColorBlindness(input1, type),
+      addon.simulateColorBlindness(input2, type),
+    ]);
+    let simulated = await compare(simulated1, simulated2, plan.simulatedOptions);
+    deficiencies.push(deficiencyReport(type, normal, simulated, plan));
+  }
+  return cvdReport(normal, deficiencies);
+}
+
+/**
+ * Synchronous compareUnderCvd() (blocks event loop)
+ * @param {string|Buffer|object} baseline - Baseline image
+ * @param {string|Buffer|object} current - Current image
+ * @param {object} [options] - CompareOptions plus `types` and `minVisibleShare`
+ * @returns {object} CvdComparison
+ */
+export function compareUnderCvdSync(baseline, current, options) {
+  let plan = planCvdComparison(options, addon.getColorBlindnessTypes());
+  let input1 = toEncodedInput(baseline);
+  let input2 = toEncodedInput(current);
+  let normal = compareSync(input1, input2, plan.compareOptions);
+
+  let deficiencies = [];
+  for (let type of plan.types) {
+    let simulated1 = addon.simulateColorBlindnessSync(input1, type);
+    let simulated2 = addon.simulateColorBlindnessSync(input2, type);
+    let simulated = compareSync(simulated1, simulated2, plan.simulatedOptions);
+    deficiencies.push(deficiencyReport(type, normal, simulated, plan));
+  }
+  return cvdReport(normal, deficiencies);
+}
@@ -0,0 +1,207 @@
+/**
+ * Alternative diff image renderings selected with the `diffStyle` option
+ *
+ * The native engine draws the default `highlight` style. The other styles are
+ * rendered here from the decoded images and the diff pixels/clusters the
+ * engine reports, in the same coordinates as the result.
+ */
+
+import { invalidArgument } from './errors.js';
+import { encodeApng, encodePng } from './png.js';
+
+export const DIFF_STYLES = ['highlight', 'heatmap', 'grayscale', 'blink', 'boxes'];
+
+const DEFAULT_COLOR = [255, 0, 0, 255];
+
+// Heatmap ramp: low intensities blue, then cyan, yellow and red
+const HEAT_STOPS = [
+  [0, 0, 255],
+  [0, 255, 255],
+  [255, 255, 0],
+  [255, 0, 0],
+];
+
+// 3x5 bitmap digits for cluster labels, one row per string
+const DIGITS = {
+  0: ['111', '101', '101', '101', '111'],
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '001', '001', '001'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111'],
+};
+const GLYPH_SCALE = 2;
+const BOX_THICKNESS = 2;
+
+/**
+ * Whether the options select a JavaScript-rendered diff style
+ * @param {object} [options] - Compare options
+ */
+export function usesDiffStyle(options) {
+  let style = options?.diffStyle;
+  if (style == null || style === 'highlight') return false;
+  if (!DIFF_STYLES.includes(style)) {
+    throw invalidArgument(`diffStyle must be one of ${DIFF_STYLES.join(', ')}`);
+  }
+  return true;
+}
+
+/**
+ * Parse `diffMaskColor` ("ff0000", "#ff0000ff" or [r, g, b, a?]) into RGBA
+ */
+export function parseColor(color) {
+  if (color == null) return DEFAULT_COLOR;
+  if (Array.isArray(color)) {
+    return [color[0] ?? 0, color[1] ?? 0, color[2] ?? 0, color[3] ?? 255];
+  }
+  let hex = String(color).replace(/^#/, '');
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+    throw invalidArgument(`Invalid diffMaskColor "${color}"`);
+  }
+  let channels = hex.match(/../g).map((pair) => Number.parseInt(pair, 16));
+  return channels.length === 3 ? [...channels, 255] : channels;
+}
+
+// Size both images to a common canvas; rows missing from the shorter image are transparent
+function canvas(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  let data = new Uint8Array(width * height * 4);
+  let rowBytes = Math.min(image.width, width) * 4;
+  for (let y = 0; y < Math.min(image.height, height); y++) {
+    data.set(
+      image.data.subarray(y * image.width * 4, y * image.width * 4 + rowBytes),
+      y * width * 4
+    );
+  }
+  return { width, height, data };
+}
+
+// Light, desaturated copy of the current image (falling back to the baseline where it has no rows)
+function dimmedBase(image1, image2, width, height) {
+  let data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    let source = y < image2.height ? image2 : image1;
+    for (let x = 0; x < width; x++) {
+      let o = (y * width + x) * 4;
+      let s = (y * source.width + x) * 4;
+      let gray =
+        y < source.height && x < source.width
+          ? 0.299 * source.data[s] + 0.587 * source.data[s + 1] + 0.114 * source.data[s + 2]
+          : 255;
+      let value = 255 - (255 - gray) * 0.3;
+      data[o] = value;
+      data[o + 1] = value;
+      data[o + 2] = value;
+      data[o + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function heatColor(intensity) {
+  let t = (Math.min(255, Math.max(0, intensity)) / 255) * (HEAT_STOPS.length - 1);
+  let i = Math.min(HEAT_STOPS.length - 2, Math.floor(t));
+  let f = t - i;
+  let [a, b] = [HEAT_STOPS[i], HEAT_STOPS[i + 1]];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f, 255];
+}
+
+function blendPixel(image, x, y, [r, g, b, a]) {
+  if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+  let o = (y * image.width + x) * 4;
+  let alpha = a / 255;
+  image.data[o] = image.data[o] * (1 - alpha) + r * alpha;
+  image.data[o + 1] = image.data[o + 1] * (1 - alpha) + g * alpha;
+  image.data[o + 2] = image.data[o + 2] * (1 - alpha) + b * alpha;
+  image.data[o + 3] = 255;
+}
+
+function fillRect(image, x0, y0, width, height, color) {
+  for (let y = y0; y < y0 + height; y++) {
+    for (let x = x0; x < x0 + width; x++) blendPixel(image, x, y, color);
+  }
+}
+
+function drawLabel(image, text, x0, y0, color) {
+  let glyphWidth = 3 * GLYPH_SCALE;
+  let glyphHeight = 5 * GLYPH_SCALE;
+  let padding = GLYPH_SCALE;
+  let width = text.length * (glyphWidth + GLYPH_SCALE) - GLYPH_SCALE + padding * 2;
+  let height = glyphHeight + padding * 2;
+
+  // Above the box when there is room, otherwise inside its top-left corner
+  let top = y0 - height >= 0 ? y0 - height : y0;
+  fillRect(image, x0, top, width, height, [color[0], color[1], color[2], 255]);
+
+  [...text].forEach((digit, i) => {
+    let left = x0 + padding + i * (glyphWidth + GLYPH_SCALE);
+    DIGITS[digit].forEach((row, gy) => {
+      [...row].forEach((bit, gx) => {
+        if (bit !== '1') return;
+        fillRect(
+          image,
+          left + gx * GLYPH_SCALE,
+          top + padding + gy * GLYPH_SCALE,
+          GLYPH_SCALE,
+          GLYPH_SCALE,
+          [255, 255, 255, 255]
+        );
+      });
+    });
+  });
+}
+
+function strokeBox(image, box, color) {
+  let { x, y, width, height } = box;
+  let t = BOX_THICKNESS;
+  fillRect(image, x - t, y - t, width + 2 * t, t, color);
+  fillRect(image, x - t, y + height, width + 2 * t, t, color);
+  fillRect(image, x - t, y, t, height, color);
+  fillRect(image, x + width, y, t, height, color);
+}
+
+/**
+ * Render a diff image in one of the JavaScript styles
+ *
+ * @param {string} style - 'heatmap' | 'grayscale' | 'blink' | 'boxes'
+ * @param {{ width: number, height: number, data: Uint8Array }} image1 - Baseline as compared
+ * @param {{ width: number, height: number, data: Uint8Array }} image2 - Current image
+ * @param {object} result - DiffResult with diffPixelsList (and diffClusters for `boxes`)
+ * @param {object} [options] - Compare options (`diffMaskColor`)
+ * @returns {Buffer} Encoded PNG (animated for `blink`)
+ */
+export function renderDiffStyle(style, image1, image2, result, options = {}) {
+  let width = Math.max(image1.width, image2.width);
+  let height = Math.max(image1.height, image2.height);
+  let color = parseColor(options.diffMaskColor);
+
+  if (style === 'blink') {
+    return encodeApng([canvas(image1, width, height), canvas(image2, width, height)]);
+  }
+
+  if (style === 'boxes') {
+    let out = canvas(image2, width, height);
+    out = { width, height, data: new Uint8Array(out.data) };
+    (result.diffClusters ?? []).forEach((cluster, i) => {
+      strokeBox(out, cluster.boundingBox, color);
+      drawLabel(
+        out,
+        String(i + 1),
+        cluster.boundingBox.x - BOX_THICKNESS,
+        cluster.boundingBox.y,
+        color
+      );
+    });
+    return encodePng(out);
+  }
+
+  let out = dimmedBase(image1, image2, width, height);
+  for (let { x, y, intensity } of result.diffPixelsList ?? []) {
+    blendPixel(out, x, y, style === 'heatmap' ? heatColor(intensity) : color);
+  }
+  return encodePng(out);
+}
@@ -0,0 +1,135 @@
+/**
+ * Error classes and stable error codes
+ *
+ * Every failure carries a `code` so callers can branch on the kind of error
+ * instead of matching message text. Messages may change between releases;
+ * codes do not.
+ */
+
+export const ErrorCodes = Object.freeze({
+  /** An input file does not exist or cannot be read */
+  FILE_NOT_FOUND: 'HONEYDIFF_FILE_NOT_FOUND',
+  /** The input is not an image format this operation supports */
+  UNSUPPORTED_FORMAT: 'HONEYDIFF_UNSUPPORTED_FORMAT',
+  /** The input looked like a supported format but could not be decoded */
+  DECODE_FAILED: 'HONEYDIFF_DECODE_FAILED',
+  /** The images (or frames) have dimensions the operation cannot work with */
+  DIMENSION_MISMATCH: 'HONEYDIFF_DIMENSION_MISMATCH',
+  /** An output file exists and `overwrite` is not set */
+  OUTPUT_EXISTS: 'HONEYDIFF_OUTPUT_EXISTS',
+  /** A baseline store entry (or pending screenshot) does not exist */
+  BASELINE_NOT_FOUND: 'HONEYDIFF_BASELINE_NOT_FOUND',
+  /** An argument or option has the wrong type or value (thrown as a TypeError) */
+  INVALID_ARGUMENT: 'HONEYDIFF_INVALID_ARGUMENT',
+  /** No prebuilt binary exists for this OS/architecture */
+  UNSUPPORTED_PLATFORM: 'HONEYDIFF_UNSUPPORTED_PLATFORM',
+  /** The native binary exists but could not be loaded */
+  LOAD_FAILED: 'HONEYDIFF_LOAD_FAILED',
+  /** Any other failure reported by the native engine */
+  ENGINE_ERROR: 'HONEYDIFF_ENGINE_ERROR',
+});
+
+const CODES = new Set(Object.values(ErrorCodes));
+
+// Node system error codes with a direct equivalent
+const SYSTEM_CODES = {
+  ENOENT: ErrorCodes.FILE_NOT_FOUND,
+  EISDIR: ErrorCodes.FILE_NOT_FOUND,
+  EEXIST: ErrorCodes.OUTPUT_EXISTS,
+};
+
+// The native engine reports failures as plain message strings. Each pattern
+// matches a message of the engine or the Rust libraries it uses (std::io, image),
+// as pinned in tests/errors.test.ts; anything else is an ENGINE_ERROR.
+const NATIVE_MESSAGES = [
+  // std::io NotFound, e.g. "No such file or directory (os error 2)"
+  [ErrorCodes.FILE_NOT_FOUND, /\(os error 2\)|no such file or directory/i],
+  // std::io AlreadyExists ("File exists (os error 17)") and the engine's overwrite check
+  [ErrorCodes.OUTPUT_EXISTS, /\(os error 17\)|already exists/i],
+  // image::ImageError::Unsupported
+  [
+    ErrorCodes.UNSUPPORTED_FORMAT,
+    /format could not be determined|not recognized as an image format|unsupported (image )?format/i,
+  ],
+  [ErrorCodes.DIMENSION_MISMATCH, /dimension mismatch|different (dimensions|sizes)|size mismatch/i],
+  // image::ImageError::Decoding and short reads of truncated files
+  [ErrorCodes.DECODE_FAILED, /format error|error decoding|failed to fill whole buffer/i],
+];
+
+/**
+ * Error thrown by Honeydiff for everything except invalid arguments
+ */
+export class HoneydiffError extends Error {
+  /**
+   * @param {string} code - One of ErrorCodes
+   * @param {string} message
+   * @param {{ cause?: unknown }} [options]
+   */
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'HoneydiffError';
+    this.code = code;
+  }
+}
+
+/**
+ * TypeError for an invalid argument or option, carrying `HONEYDIFF_INVALID_ARGUMENT`
+ * @param {string} message
+ * @returns {TypeError & { code: string }}
+ */
+export function invalidArgument(message) {
+  let error = new TypeError(message);
+  error.code = ErrorCodes.INVALID_ARGUMENT;
+  return error;
+}
+
+/**
+ * Convert a native, file system or unknown error into a HoneydiffError
+ *
+ * Errors that already carry a Honeydiff code are returned unchanged.
+ *
+ * @param {unknown} error
+ * @returns {Error}
+ */
+export function toHoneydiffError(error) {
+  if (!(error instanceof Error)) {
+    return new HoneydiffError(ErrorCodes.ENGINE_ERROR, String(error));
+  }
+  let { code } = /** @type {Error & { code?: unknown }} */ (error);
+  if (typeof code === 'string' && CODES.has(code)) return error;
+
+  // Argument conversion failures in the native bindings
+  if (error instanceof TypeError || code === 'InvalidArg') {
+    let typeError = invalidArgument(error.message);
+    typeError.cause = error;
+    return typeError;
+  }
+
+  let mapped =
+    (typeof code === 'string' && SYSTEM_CODES[code]) ||
+    NATIVE_MESSAGES.find(([, pattern]) => pattern.test(error.message))?.[0] ||
+    ErrorCodes.ENGINE_ERROR;
+  return new HoneydiffError(mapped, error.message, { cause: error });
+}
+
+/**
+ * Wrap a native function so its errors (thrown or rejected) become HoneydiffErrors
+ * @param {Function} fn
+ * @returns {Function}
+ */
+export function withErrorCodes(fn) {
+  return (...args) => {
+    let value;
+    try {
+      value = fn(...args);
+    } catch (error) {
+      throw toHoneydiffError(error);
+    }
+    if (value && typeof value.then === 'function') {
+      return value.catch((error) => {
+        throw toHoneydiffError(error);
+      });
+    }
+    return value;
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Versioned binary and JSON encodings of diff fingerprints
+ *
+ * Binary layout (little-endian), format version 1:
+ *   "HDFP" magic, u8 version, u8 magnitude index, u16 zoneMask, u32 clusterCount,
+ *   f32 avgIntensity, f32 avgDensity, u8 hash length + ASCII hash,
+ *   u32 position count + f32 x/y pairs, u32 size count + f32 sizes
+ */
+
+import { ErrorCodes, HoneydiffError, invalidArgument } from './errors.js';
+
+export const FINGERPRINT_FORMAT_VERSION = 1;
+
+const MAGIC = 'HDFP';
+const MAGNITUDES = ['tiny', 'small', 'medium', 'large', 'massive'];
+
+function checkFingerprint(fingerprint, fn) {
+  if (
+    fingerprint == null ||
+    typeof fingerprint !== 'object' ||
+    !Array.isArray(fingerprint.clusterPositions) ||
+    !Array.isArray(fingerprint.clusterSizes) ||
+    !MAGNITUDES.includes(fingerprint.diffMagnitude)
+  ) {
+    throw invalidArgument(`${fn}: expected a DiffFingerprint`);
+  }
+}
+
+function unsupportedVersion(version) {
+  return new HoneydiffError(
+    ErrorCodes.UNSUPPORTED_FORMAT,
+    `Unsupported fingerprint format version ${version} (expected ${FINGERPRINT_FORMAT_VERSION})`
+  );
+}
+
+/**
+ * Encode a fingerprint in the compact binary format
+ *
+ * Floating point fields are stored as 32-bit floats.
+ *
+ * @param {object} fingerprint - DiffFingerprint
+ * @returns {Buffer}
+ */
+export function encodeFingerprint(fingerprint) {
+  checkFingerprint(fingerprint, 'encodeFingerprint');
+  let hash = Buffer.from(fingerprint.hash ?? '', 'latin1');
+  if (hash.length > 255) {
+    throw invalidArgument('encodeFingerprint: hash is longer than 255 characters');
+  }
+  let positions = fingerprint.clusterPositions;
+  let sizes = fingerprint.clusterSizes;
+  let buffer = Buffer.alloc(29 + hash.length + positions.length * 8 + sizes.length * 4);
+
+  buffer.write(MAGIC, 0, 'latin1');
+  buffer.writeUInt8(FINGERPRINT_FORMAT_VERSION, 4);
+  buffer.writeUInt8(MAGNITUDES.indexOf(fingerprint.diffMagnitude), 5);
+  buffer.writeUInt16LE(fingerprint.zoneMask & 0xffff, 6);
+  buffer.writeUInt32LE(fingerprint.clusterCount, 8);
+  buffer.writeFloatLE(fingerprint.avgIntensity, 12);
+  buffer.writeFloatLE(fingerprint.avgDensity, 16);
+  buffer.writeUInt8(hash.length, 20);
+  hash.copy(buffer, 21);
+
+  let offset = 21 + hash.length;
+  buffer.writeUInt32LE(positions.length, offset);
+  offset += 4;
+  for (let [x, y] of positions) {
+    buffer.writeFloatLE(x, offset);
+    buffer.writeFloatLE(y, offset + 4);
+    offset += 8;
+  }
+  buffer.writeUInt32LE(sizes.length, offset);
+  offset += 4;
+  for (let size of sizes) {
+    buffer.writeFloatLE(size, offset);
+    offset += 4;
+  }
+  return buffer;
+}
+
+/**
+ * Decode a fingerprint written by encodeFingerprint()
+ * @param {Buffer|Uint8Array} data
+ * @returns {object} DiffFingerprint
+ */
+export function decodeFingerprint(data) {
+  let buffer = Buffer.isBuffer(data)
+    ? data
+    : Buffer.from(data.buffer, data.byteOffset, data.length);
+  let truncated = () => new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Truncated fingerprint data');
+
+  if (buffer.length < 5 || buffer.toString('latin1', 0, 4) !== MAGIC) {
+    throw new HoneydiffError(ErrorCodes.UNSUPPORTED_FORMAT, 'Not an encoded fingerprint');
+  }
+  let version = buffer.readUInt8(4);
+  if (version !== FINGERPRINT_FORMAT_VERSION) throw unsupportedVersion(version);
+  if (buffer.length < 25) throw truncated();
+
+  let diffMagnitude = MAGNITUDES[buffer.readUInt8(5)];
+  if (!diffMagnitude) {
+    throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Invalid fingerprint magnitude');
+  }
+  let hashLength = buffer.readUInt8(20);
+  let offset = 21 + hashLength;
+  if (buffer.length < offset + 4) throw truncated();
+  let hash = buffer.toString('latin1', 21, offset);
+
+  let positionCount = buffer.readUInt32LE(offset);
+  offset += 4;
+  if (buffer.length < offset + positionCount * 8 + 4) throw truncated();
+  let clusterPositions = [];
+  for (let i = 0; i < positionCount; i++) {
+    clusterPositions.push([buffer.readFloatLE(offset), buffer.readFloatLE(offset + 4)]);
+    offset += 8;
+  }
+
+  let sizeCount = buffer.readUInt32LE(offset);
+  offset += 4;
+  if (buffer.length < offset + sizeCount * 4) throw truncated();
+  let clusterSizes = [];
+  for (let i = 0; i < sizeCount; i++) {
+    clusterSizes.push(buffer.readFloatLE(offset));
+    offset += 4;
+  }
+
+  return {
+    clusterCount: buffer.readUInt32LE(8),
+    clusterPositions,
+    clusterSizes,
+    avgIntensity: buffer.readFloatLE(12),
+    avgDensity: buffer.readFloatLE(16),
+    zoneMask: buffer.readUInt16LE(6),
+    diffMagnitude,
+    hash,
+  };
+}
+
+/**
+ * Versioned JSON form of a fingerprint
+ * @param {object} fingerprint - DiffFingerprint
+ * @returns {object} `{ version, ...fingerprint }`, safe for JSON.stringify()
+ */
+export function fingerprintToJSON(fingerprint) {
+  checkFingerprint(fingerprint, 'fingerprintToJSON');
+  let { clusterCount, clusterPositions, clusterSizes, avgIntensity, avgDensity } = fingerprint;
+  let { zoneMask, diffMagnitude, hash } = fingerprint;
+  return {
+    version: FINGERPRINT_FORMAT_VERSION,
+    clusterCount,
+    clusterPositions,
+    clusterSizes,
+    avgIntensity,
+    avgDensity,
+    zoneMask,
+    diffMagnitude,
+    hash,
+  };
+}
+
+/**
+ * Read a fingerprint from its JSON form (an object or a JSON string)
+ * @param {object|string} json
+ * @returns {object} DiffFingerprint
+ */
+export function fingerprintFromJSON(json) {
+  let value = json;
+  if (typeof json === 'string') {
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Invalid fingerprint JSON', {
+        cause: error,
+      });
+    }
+  }
+  if (value == null || typeof value !== 'object') {
+    throw invalidArgument('fingerprintFromJSON: expected an object or JSON string');
+  }
+  let { version, ...fingerprint } = value;
+  if (version !== FINGERPRINT_FORMAT_VERSION) throw unsupportedVersion(version);
+  checkFingerprint(fingerprint, 'fingerprintFromJSON');
+  return fingerprint;
+}
@@ -0,0 +1,72 @@
+/**
+ * Grouping many diff fingerprints into change groups
+ *
+ * Fingerprints are bucketed by their coarse hash first, so only diffs that
+ * touch the same zones with a similar magnitude are ever scored against each
+ * other. Inside a bucket each fingerprint joins the most similar existing
+ * group (scored against the group's representative) or starts a new one.
+ *
+ * Hashing and scoring are done by the engine passed in; fingerprints.js binds
+ * the native addon.
+ */
+
+import { invalidArgument } from './errors.js';
+
+const DEFAULT_MIN_SIMILARITY = 0.8;
+
+/**
+ * Group related diffs by fingerprint
+ *
+ * @param {Array<object|null|undefined>} fingerprints - DiffFingerprints; null entries
+ *   (comparisons without clusters) are skipped
+ * @param {{ minSimilarity?: number }} [options]
+ * @param {{ fingerprintHashSync: Function, fingerprintSimilaritySync: Function }} engine -
+ *   Hashes and scores fingerprints (the native addon)
+ * @returns {Array<{ hash: string, representative: number, fingerprint: object,
+ *   members: number[] }>} Groups, largest first; indices refer to `fingerprints`
+ */
+export function groupFingerprints(fingerprints, options, engine) {
+  let { minSimilarity = DEFAULT_MIN_SIMILARITY } = options ?? {};
+  if (!Array.isArray(fingerprints)) {
+    throw invalidArgument('groupFingerprints: fingerprints must be an array');
+  }
+  if (typeof minSimilarity !== 'number' || !(minSimilarity >= 0 && minSimilarity <= 1)) {
+    throw invalidArgument('groupFingerprints: minSimilarity must be a number from 0 to 1');
+  }
+
+  let buckets = new Map();
+  fingerprints.forEach((fingerprint, index) => {
+    if (fingerprint == null) return;
+    let hash = fingerprint.hash ?? engine.fingerprintHashSync(fingerprint);
+    if (!buckets.has(hash)) buckets.set(hash, []);
+    buckets.get(hash).push(index);
+  });
+
+  let groups = [];
+  for (let [hash, indices] of buckets) {
+    let bucketGroups = [];
+    for (let index of indices) {
+      let fingerprint = fingerprints[index];
+      let best = null;
+      let bestScore = minSimilarity;
+      for (let group of bucketGroups) {
+        let score = engine.fingerprintSimilaritySync(group.fingerprint, fingerprint);
+        if (score >= bestScore) {
+          best = group;
+          bestScore = score;
+        }
+      }
+      if (best) {
+        best.members.push(index);
+      } else {
+        bucketGroups.push({ hash, representative: index, fingerprint, members: [index] });
+      }
+    }
+    groups.push(...bucketGroups);
+  }
+
+  // Largest groups first; ties keep input order
+  return groups.sort(
+    (a, b) => b.members.length - a.members.length || a.representative - b.representative
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * File-backed index of known (e.g. approved) diff fingerprints
+ *
+ * The index file is JSON: `{ version, entries: { [id]: { fingerprint, metadata, addedAt } } }`
+ * where `fingerprint` is the base64 of encodeFingerprint(). Entries are held
+ * in memory; nearest() scans them with fingerprintSimilaritySync().
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { readJsonFile, WriteQueue, writeJsonAtomic } from './atomic-file.js';
+import { ErrorCodes, HoneydiffError, invalidArgument } from './errors.js';
+import { decodeFingerprint, encodeFingerprint } from './fingerprint-codec.js';
+import addon from './native.js';
+
+const INDEX_VERSION = 1;
+
+function checkId(id) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw invalidArgument('FingerprintIndex: id must be a non-empty string');
+  }
+}
+
+/**
+ * Persistent fingerprint index for matching diffs across builds
+ *
+ * Create instances with `FingerprintIndex.open(path)`.
+ */
+export class FingerprintIndex {
+  #path;
+  #entries;
+  #queue = new WriteQueue();
+
+  constructor(path, entries) {
+    this.#path = path;
+    this.#entries = entries;
+  }
+
+  /**
+   * Open (or create) an index file
+   * @param {string} path - Index file path
+   * @returns {Promise<FingerprintIndex>}
+   */
+  static async open(path) {
+    let entries = new Map();
+    if (existsSync(path)) {
+      let data = await readJsonFile(path, 'fingerprint index');
+      if (data.version !== INDEX_VERSION) {
+        throw new HoneydiffError(
+          ErrorCodes.UNSUPPORTED_FORMAT,
+          `Unsupported fingerprint index version ${data.version} in ${path}`
+        );
+      }
+      for (let [id, entry] of Object.entries(data.entries ?? {})) {
+        if (typeof entry?.fingerprint !== 'string') {
+          throw new HoneydiffError(
+            ErrorCodes.DECODE_FAILED,
+            `Corrupt fingerprint index ${path}: entry "${id}" has no fingerprint`
+          );
+        }
+        entries.set(id, {
+          fingerprint: decodeFingerprint(Buffer.from(entry.fingerprint, 'base64')),
+          metadata: entry.metadata ?? null,
+          addedAt: entry.addedAt,
+        });
+      }
+    }
+    return new FingerprintIndex(path, entries);
+  }
+
+  /** Index file path */
+  get path() {
+    return this.#path;
+  }
+
+  /** Number of entries */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Whether an entry exists
+   * @param {string} id
+   */
+  has(id) {
+    return this.#entries.has(id);
+  }
+
+  /**
+   * An entry by id, or null
+   * @param {string} id
+   * @returns {{ id: string, fingerprint: object, metadata: unknown, addedAt: string }|null}
+   */
+  get(id) {
+    let entry = this.#entries.get(id);
+    return entry ? { id, ...entry } : null;
+  }
+
+  /**
+   * Add or replace an entry
+   * @param {string} id - Caller-chosen id (e.g. the approved screenshot's key)
+   * @param {object} fingerprint - DiffFingerprint
+   * @param {unknown} [metadata] - JSON-serializable data stored with the entry
+   * @returns {Promise<object>} The stored entry
+   */
+  async add(id, fingerprint, metadata = null) {
+    checkId(id);
+    // Round-trip through the stored encoding so in-memory matches equal reloaded ones
+    let entry = {
+      fingerprint: decodeFingerprint(encodeFingerprint(fingerprint)),
+      metadata,
+      addedAt: new Date().toISOString(),
+    };
+    this.#entries.set(id, entry);
+    await this.#save();
+    return { id, ...entry };
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether the entry existed
+   */
+  async remove(id) {
+    if (!this.#entries.delete(id)) return false;
+    await this.#save();
+    return true;
+  }
+
+  /**
+   * The entries most similar to a fingerprint
+   * @param {object} fingerprint - DiffFingerprint
+   * @param {{ k?: number, minSimilarity?: number }} [options]
+   * @returns {Array<{ id: string, similarity: number, fingerprint: object, metadata: unknown,
+   *   addedAt: string }>} Up to `k` matches, most similar first
+   */
+  nearest(fingerprint, options = {}) {
+    let { k = 1, minSimilarity = 0 } = options;
+    if (!Number.isInteger(k) || k < 1) {
+      throw invalidArgument('FingerprintIndex: k must be a positive integer');
+    }
+
+    let matches = [];
+    for (let [id, entry] of this.#entries) {
+      let similarity = addon.fingerprintSimilaritySync(fingerprint, entry.fingerprint);
+      if (similarity >= minSimilarity) matches.push({ id, similarity, ...entry });
+    }
+    return matches.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+  }
+
+  // Serialize writes so concurrent add()/remove() calls never interleave
+  #save() {
+    return this.#queue.run(async () => {
+      let entries = {};
+      for (let [id, { fingerprint, metadata, addedAt }] of this.#entries) {
+        entries[id] = {
+          fingerprint: encodeFingerprint(fingerprint).toString('base64'),
+          metadata,
+          addedAt,
+        };
+      }
+      await mkdir(dirname(this.#path), { recursive: true });
+      await writeJsonAtomic(this.#path, { version: INDEX_VERSION, entries });
+    });
+  }
+}
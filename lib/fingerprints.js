@@ -0,0 +1,19 @@
+/**
+ * Grouping many diff fingerprints into change groups with the native engine
+ */
+
+import { groupFingerprints as groupWith } from './fingerprint-groups.js';
+import addon from './native.js';
+
+/**
+ * Group related diffs by fingerprint
+ *
+ * @param {Array<object|null|undefined>} fingerprints - DiffFingerprints; null entries
+ *   (comparisons without clusters) are skipped
+ * @param {{ minSimilarity?: number }} [options]
+ * @returns {Array<{ hash: string, representative: number, fingerprint: object,
+ *   members: number[] }>} Groups, largest first; indices refer to `fingerprints`
+ */
+export function groupFingerprints(fingerprints, options) {
+  return groupWith(fingerprints, options, addon);
+}
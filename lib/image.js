@@ -0,0 +1,219 @@
+/**
+ * Image loading helpers for features that work on decoded pixels
+ *
+ * Inputs are `ImageInput` values: a file path, an encoded image Buffer, or a
+ * raw pixel object `{ data, width, height, format }`. Pixel-level features
+ * currently require PNG data when given encoded input.
+ */
+
+import { ErrorCodes, HoneydiffError, invalidArgument, toHoneydiffError } from './errors.js';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { decodePng, encodePng, isPng } from './png.js';
+
+const RAW_CHANNELS = { rgba: 4, bgra: 4, rgb: 3 };
+
+// Leading bytes of the encoded formats the native engine reads
+const FORMAT_SIGNATURES = [
+  ['png', [0x89, 0x50, 0x4e, 0x47]],
+  ['jpeg', [0xff, 0xd8, 0xff]],
+  ['gif', [0x47, 0x49, 0x46]],
+  ['webp', [0x52, 0x49, 0x46, 0x46]],
+  ['bmp', [0x42, 0x4d]],
+];
+
+/** Encoded formats imageFormat() recognizes */
+export const IMAGE_FORMATS = FORMAT_SIGNATURES.map(([format]) => format);
+
+/**
+ * Format of an encoded image from its leading bytes
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {'png'|'jpeg'|'gif'|'webp'|'bmp'|null}
+ */
+export function imageFormat(buffer) {
+  for (let [format, signature] of FORMAT_SIGNATURES) {
+    if (signature.every((byte, i) => buffer[i] === byte)) return format;
+  }
+  return null;
+}
+
+/**
+ * Whether an input is a raw pixel object rather than a path or encoded Buffer
+ * @param {unknown} input
+ * @returns {boolean}
+ */
+export function isRawImage(input) {
+  return (
+    input != null &&
+    typeof input === 'object' &&
+    !Buffer.isBuffer(input) &&
+    'data' in input &&
+    'width' in input &&
+    'height' in input
+  );
+}
+
+function rawBytes(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data))
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw invalidArgument('Raw image data must be a Buffer, typed array or ArrayBuffer');
+}
+
+/**
+ * Convert a raw pixel object to 8-bit RGBA
+ *
+ * Always copies, so callers may modify the returned pixels.
+ *
+ * @param {{ data: ArrayBufferView|ArrayBuffer, width: number, height: number,
+ *   format?: 'rgba'|'bgra'|'rgb' }} raw
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function rawToRgba(raw) {
+  let { width, height, format = 'rgba' } = raw;
+  let channels = RAW_CHANNELS[format];
+  if (!channels) {
+    throw invalidArgument(`Unsupported raw image format "${format}" (expected rgba, bgra or rgb)`);
+  }
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw invalidArgument('Raw image width and height must be positive integers');
+  }
+
+  let bytes = rawBytes(raw.data);
+  let pixels = width * height;
+  if (bytes.length !== pixels * channels) {
+    throw invalidArgument(
+      `Raw ${format} image data has ${bytes.length} bytes; expected ${pixels * channels} for ${width}x${height}`
+    );
+  }
+
+  if (format === 'rgba') {
+    return { width, height, data: new Uint8Array(bytes) };
+  }
+
+  let data = new Uint8Array(pixels * 4);
+  for (let i = 0; i < pixels; i++) {
+    let s = i * channels;
+    let o = i * 4;
+    if (format === 'bgra') {
+      data[o] = bytes[s + 2];
+      data[o + 1] = bytes[s + 1];
+      data[o + 2] = bytes[s];
+      data[o + 3] = bytes[s + 3];
+    } else {
+      data[o] = bytes[s];
+      data[o + 1] = bytes[s + 1];
+      data[o + 2] = bytes[s + 2];
+      data[o + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Turn any ImageInput into something the native engine accepts
+ *
+ * Paths and encoded Buffers pass through untouched; raw pixel objects are
+ * encoded as PNG.
+ *
+ * @param {string|Buffer|object} input
+ * @returns {string|Buffer}
+ */
+export function toEncodedInput(input) {
+  return isRawImage(input) ? toNativeInput(rawToRgba(input)) : input;
+}
+
+// File reads report missing inputs as HONEYDIFF_FILE_NOT_FOUND
+async function readInputFile(path) {
+  try {
+    return await readFile(path);
+  } catch (error) {
+    throw toHoneydiffError(error);
+  }
+}
+
+function readInputFileSync(path) {
+  try {
+    return readFileSync(path);
+  } catch (error) {
+    throw toHoneydiffError(error);
+  }
+}
+
+/**
+ * Read any ImageInput as encoded image bytes (raw pixels are encoded as PNG)
+ * @param {string|Buffer|object} input
+ * @returns {Promise<Buffer>}
+ */
+export async function readImageBuffer(input) {
+  if (typeof input === 'string') return readInputFile(input);
+  if (isRawImage(input)) return encodePng(rawToRgba(input));
+  return Buffer.isBuffer(input) ? input : Buffer.from(input);
+}
+
+function decode(buffer, label) {
+  if (!isPng(buffer)) {
+    throw new HoneydiffError(
+      ErrorCodes.UNSUPPORTED_FORMAT,
+      `${label} is not a PNG image. Region masking and other pixel features require PNG input.`
+    );
+  }
+  return decodePng(buffer);
+}
+
+/**
+ * Read and decode an image synchronously
+ * @param {string|Buffer|object} input - File path, encoded image Buffer or raw pixels
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function readImageSync(input) {
+  if (isRawImage(input)) return rawToRgba(input);
+  if (typeof input === 'string') {
+    return decode(readInputFileSync(input), input);
+  }
+  return decode(input, 'Image buffer');
+}
+
+/**
+ * Read and decode an image, reading files asynchronously
+ * @param {string|Buffer|object} input - File path, encoded image Buffer or raw pixels
+ * @returns {Promise<{ width: number, height: number, data: Uint8Array }>}
+ */
+export async function readImage(input) {
+  if (isRawImage(input)) return rawToRgba(input);
+  if (typeof input === 'string') {
+    return decode(await readInputFile(input), input);
+  }
+  return decode(input, 'Image buffer');
+}
+
+/**
+ * Encode decoded pixels so they can be passed back to the native engine
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @returns {Buffer}
+ */
+export function toNativeInput(image) {
+  return encodePng(image, { fast: true });
+}
+
+/**
+ * Wrap a native function so its leading image arguments also accept raw pixels
+ *
+ * @param {Function} fn - Native function
+ * @param {number} count - How many leading arguments are images
+ * @param {{ async?: boolean }} [options] - `async` turns conversion errors into rejections
+ * @returns {Function}
+ */
+export function acceptRawInput(fn, count, options = {}) {
+  return (...args) => {
+    try {
+      for (let i = 0; i < count && i < args.length; i++) {
+        args[i] = toEncodedInput(args[i]);
+      }
+    } catch (error) {
+      if (options.async) return Promise.reject(error);
+      throw error;
+    }
+    return fn(...args);
+  };
+}
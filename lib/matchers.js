@@ -0,0 +1,73 @@
+/**
+ * Jest/Vitest matcher: expect(screenshot).toMatchHoneydiffSnapshot(options)
+ *
+ * Register with `expect.extend({ toMatchHoneydiffSnapshot })`.
+ */
+
+import { basename, dirname, join } from 'node:path';
+import { invalidArgument } from './errors.js';
+import { matchSnapshot } from './snapshot.js';
+import { sanitizeSnapshotName } from './snapshot-settings.js';
+
+// Per-test call counters, scoped to the runner's snapshot state so watch-mode
+// reruns (which create a fresh state) start counting from 1 again
+let countersByState = new WeakMap();
+let fallbackCounters = new Map();
+
+function nextSnapshotName(context) {
+  let { snapshotState, currentTestName, testPath } = context;
+  let counters = fallbackCounters;
+  if (snapshotState) {
+    counters = countersByState.get(snapshotState);
+    if (!counters) {
+      counters = new Map();
+      countersByState.set(snapshotState, counters);
+    }
+  }
+
+  let key = `${testPath}\u0000${currentTestName}`;
+  let count = (counters.get(key) ?? 0) + 1;
+  counters.set(key, count);
+  return `${sanitizeSnapshotName(currentTestName ?? basename(testPath ?? 'snapshot'))}-${count}`;
+}
+
+/**
+ * Compare a screenshot with its stored baseline
+ *
+ * Baselines live in `__snapshots__/__honeydiff__/` next to the test file and
+ * failure artifacts in its `__diff_output__/` subdirectory. Missing baselines
+ * are written unless the runner is in CI mode; failing baselines are rewritten
+ * when snapshots are being updated (`-u`).
+ *
+ * @this {object} Jest/Vitest matcher context
+ * @param {string|Buffer} received - Screenshot (file path or PNG Buffer)
+ * @param {object} [options] - CompareOptions plus failureThreshold, failureThresholdType,
+ *   snapshotName and snapshotsDir
+ */
+export async function toMatchHoneydiffSnapshot(received, options = {}) {
+  if (this.isNot) {
+    throw invalidArgument('toMatchHoneydiffSnapshot cannot be used with .not');
+  }
+  if (!this.testPath) {
+    throw invalidArgument('toMatchHoneydiffSnapshot must be called inside a test');
+  }
+
+  let name = options.snapshotName
+    ? sanitizeSnapshotName(options.snapshotName)
+    : nextSnapshotName(this);
+  let snapshotsDir =
+    options.snapshotsDir ?? join(dirname(this.testPath), '__snapshots__', '__honeydiff__');
+  let update = this.snapshotState?._updateSnapshot ?? 'new';
+
+  let outcome = await matchSnapshot({
+    received,
+    baselinePath: join(snapshotsDir, `${name}.png`),
+    diffDir: join(snapshotsDir, '__diff_output__'),
+    name,
+    update,
+    options,
+  });
+
+  let pass = outcome.status !== 'failed' && outcome.status !== 'missing';
+  return { pass, message: () => outcome.message };
+}
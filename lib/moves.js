@@ -0,0 +1,211 @@
+/**
+ * Content-shift detection (`detectMoves`)
+ *
+ * A shape that moved shows up as clusters where it was and where it is. For
+ * each cluster, the shape under it is found in both images (the connected
+ * pixels that stand out from the surrounding background). When the two shapes
+ * have the same size, lie at most `maxDistance` apart and match pixel for
+ * pixel at that offset, the change is reported as a move.
+ */
+
+import { containsBox, mergeBoxes } from './boxes.js';
+import { backgroundColor, inkMask } from './classify.js';
+import { intensityHistogram, intensityStats } from './stats.js';
+
+const DEFAULT_MAX_DISTANCE = 64;
+// Ring sampled for the background; wide enough that a thin edge cluster is dominated by the page
+const BACKGROUND_RING = 16;
+// Largest shape searched for, in pixels beyond the cluster on each side
+const MAX_SHAPE_EXTENT = 256;
+// Squared RGB distance under which moved pixels count as equal, and the share allowed to differ
+const MATCH_DISTANCE = 3 * 16 * 16;
+const MAX_MISMATCH_SHARE = 0.01;
+
+function expand(box, by, image) {
+  let x = Math.max(0, box.x - by);
+  let y = Math.max(0, box.y - by);
+  return {
+    x,
+    y,
+    width: Math.min(image.width, box.x + box.width + by) - x,
+    height: Math.min(image.height, box.y + box.height + by) - y,
+  };
+}
+
+/**
+ * Bounding box of the connected shape(s) touching `seed`, or null
+ *
+ * Returns null when nothing stands out there or the shape runs past the
+ * search window (it is part of something much larger than a moved element).
+ */
+function shapeAt(image, seed, background) {
+  if (seed.width <= 0 || seed.height <= 0) return null;
+  let window = expand(seed, MAX_SHAPE_EXTENT, image);
+  let { mask } = inkMask(image, window, { background });
+  let { width, height } = window;
+
+  let seen = new Uint8Array(mask.length);
+  let stack = [];
+  for (let y = seed.y; y < Math.min(seed.y + seed.height, image.height); y++) {
+    for (let x = seed.x; x < Math.min(seed.x + seed.width, image.width); x++) {
+      let i = (y - window.y) * width + (x - window.x);
+      if (mask[i] === 1 && !seen[i]) {
+        seen[i] = 1;
+        stack.push(i);
+      }
+    }
+  }
+  if (stack.length === 0) return null;
+
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  while (stack.length > 0) {
+    let i = stack.pop();
+    let x = i % width;
+    let y = (i - x) / width;
+    left = Math.min(left, x);
+    right = Math.max(right, x);
+    top = Math.min(top, y);
+    bottom = Math.max(bottom, y);
+    for (let n of [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width]) {
+      if (n >= 0 && n < mask.length && mask[n] === 1 && !seen[n]) {
+        seen[n] = 1;
+        stack.push(n);
+      }
+    }
+  }
+
+  let touchesEdge =
+    (left === 0 && window.x > 0) ||
+    (top === 0 && window.y > 0) ||
+    (right === width - 1 && window.x + width < image.width) ||
+    (bottom === height - 1 && window.y + height < image.height);
+  if (touchesEdge) return null;
+  return {
+    x: window.x + left,
+    y: window.y + top,
+    width: right - left + 1,
+    height: bottom - top + 1,
+  };
+}
+
+// Whether baseline pixels in `from` reappear unchanged at `from` + (dx, dy) in the current image
+function matchesAt(image1, image2, from, dx, dy) {
+  let allowed = from.width * from.height * MAX_MISMATCH_SHARE;
+  let mismatches = 0;
+  for (let y = from.y; y < from.y + from.height; y++) {
+    for (let x = from.x; x < from.x + from.width; x++) {
+      let o1 = (y * image1.width + x) * 4;
+      let o2 = ((y + dy) * image2.width + (x + dx)) * 4;
+      let dr = image1.data[o1] - image2.data[o2];
+      let dg = image1.data[o1 + 1] - image2.data[o2 + 1];
+      let db = image1.data[o1 + 2] - image2.data[o2 + 2];
+      let da = image1.data[o1 + 3] - image2.data[o2 + 3];
+      if (dr * dr + dg * dg + db * db + da * da > MATCH_DISTANCE && ++mismatches > allowed) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function findMove(cluster, image1, image2, maxDistance) {
+  let box = cluster.boundingBox;
+  let background = backgroundColor(image1, box, BACKGROUND_RING);
+
+  let from = shapeAt(image1, box, background);
+  let to = shapeAt(image2, box, background);
+  // One side may have only background under the cluster (the edge the shape left or entered)
+  if (from && !to) {
+    to =
+      shapeAt(image2, from, background) ??
+      shapeAt(image2, expand(from, maxDistance, image2), background);
+  } else if (to && !from) {
+    from =
+      shapeAt(image1, to, background) ??
+      shapeAt(image1, expand(to, maxDistance, image1), background);
+  }
+  if (!from || !to || from.width !== to.width || from.height !== to.height) return null;
+
+  let dx = to.x - from.x;
+  let dy = to.y - from.y;
+  if ((dx === 0 && dy === 0) || Math.abs(dx) > maxDistance || Math.abs(dy) > maxDistance) {
+    return null;
+  }
+  return matchesAt(image1, image2, from, dx, dy) ? { from, to, dx, dy } : null;
+}
+
+/**
+ * Find clusters explained by content that moved, and optionally stop counting them
+ *
+ * Sets `result.moves` to `{ from, to, dx, dy, pixelCount }` entries, where
+ * `pixelCount` is the number of clustered diff pixels the move accounts for.
+ * With `exclude`, those clusters and their diff pixels are removed from the
+ * result; pixels that also lie inside a remaining cluster are kept.
+ *
+ * @param {object} result - DiffResult with diffClusters
+ * @param {{ width: number, height: number, data: Uint8Array }} image1 - Baseline as compared
+ * @param {{ width: number, height: number, data: Uint8Array }} image2 - Current image
+ * @param {{ maxDistance?: number, exclude?: boolean }} [options]
+ * @returns {object} The result
+ */
+export function detectMoves(result, image1, image2, options = {}) {
+  let { maxDistance = DEFAULT_MAX_DISTANCE, exclude = false } = options;
+  let clusters = result.diffClusters ?? [];
+
+  let moves = [];
+  for (let cluster of clusters) {
+    let move = moves.find(({ area }) => containsBox(area, cluster.boundingBox));
+    if (!move) {
+      let found = findMove(cluster, image1, image2, maxDistance);
+      if (!found) continue;
+      move = { ...found, area: mergeBoxes(found.from, found.to), clusters: [] };
+      moves.push(move);
+    }
+    move.clusters.push(cluster);
+  }
+
+  result.moves = moves.map(({ from, to, dx, dy, clusters: explained }) => ({
+    from,
+    to,
+    dx,
+    dy,
+    pixelCount: explained.reduce((total, cluster) => total + cluster.pixelCount, 0),
+  }));
+
+  if (exclude && moves.length > 0) {
+    let explained = new Set(moves.flatMap((move) => move.clusters));
+    let remaining = clusters.filter((cluster) => !explained.has(cluster));
+    let excluded = result.moves.reduce((total, move) => total + move.pixelCount, 0);
+    let boundingBox = remaining.reduce(
+      (box, cluster) => mergeBoxes(box, cluster.boundingBox),
+      null
+    );
+
+    if (result.diffPixelsList) {
+      // A pixel shared with a cluster that stays is kept, so every cluster keeps its pixels
+      let within = (pixel, cluster) =>
+        containsBox(cluster.boundingBox, { ...pixel, width: 1, height: 1 });
+      let moved = (pixel) =>
+        [...explained].some((cluster) => within(pixel, cluster)) &&
+        !remaining.some((cluster) => within(pixel, cluster));
+      let kept = result.diffPixelsList.filter((pixel) => !moved(pixel));
+      excluded = result.diffPixelsList.length - kept.length;
+      result.diffPixelsList = kept;
+      result.intensityStats = intensityStats(intensityHistogram(kept));
+      boundingBox = kept.reduce(
+        (box, { x, y }) => mergeBoxes(box, { x, y, width: 1, height: 1 }),
+        null
+      );
+    }
+
+    result.diffClusters = remaining;
+    result.diffPixels = Math.max(0, result.diffPixels - excluded);
+    result.diffPercentage = result.totalPixels ? (result.diffPixels / result.totalPixels) * 100 : 0;
+    result.boundingBox = boundingBox;
+    if (remaining.length === 0 && !result.heightDiff) result.isDifferent = false;
+  }
+  return result;
+}
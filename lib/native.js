@@ -0,0 +1,61 @@
+/**
+ * Native addon loader
+ *
+ * Everything in lib/ that wraps or builds on the native engine imports the
+ * addon from here, so the public entry point can re-export wrapped functions
+ * without a circular import. Every native function is wrapped so its errors
+ * carry a Honeydiff error code.
+ */
+
+import { existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ErrorCodes, HoneydiffError, withErrorCodes } from './errors.js';
+
+const require = createRequire(import.meta.url);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let binding;
+
+// Try to load the native addon:
+// 1. First try load-platform.cjs (exists in published npm package with multi-platform binaries)
+// 2. Fall back to index.node (exists in local development builds)
+const platformLoaderPath = join(__dirname, '..', 'load-platform.cjs');
+
+if (existsSync(platformLoaderPath)) {
+  // Published package: use platform-specific loader (CommonJS)
+  try {
+    binding = require(platformLoaderPath);
+  } catch (e) {
+    if (e.code === ErrorCodes.UNSUPPORTED_PLATFORM) {
+      throw new HoneydiffError(e.code, e.message, { cause: e });
+    }
+    throw new HoneydiffError(
+      ErrorCodes.LOAD_FAILED,
+      `@vizzly-testing/honeydiff: Failed to load native binary.\nOriginal error: ${e.message}`,
+      { cause: e }
+    );
+  }
+} else {
+  // Local development: use directly built index.node
+  try {
+    binding = require('../index.node');
+  } catch (e) {
+    throw new HoneydiffError(
+      ErrorCodes.LOAD_FAILED,
+      '@vizzly-testing/honeydiff: Failed to load native binary.\n' +
+        'If developing locally, run "cargo build --release" first.\n' +
+        'Original error: ' +
+        e.message,
+      { cause: e }
+    );
+  }
+}
+
+let addon = {};
+for (let [name, value] of Object.entries(binding)) {
+  addon[name] = typeof value === 'function' ? withErrorCodes(value) : value;
+}
+
+export default addon;
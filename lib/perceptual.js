@@ -0,0 +1,196 @@
+/**
+ * Local SSIM and GMSD scores (`perceptualMap`)
+ *
+ * The engine's `perceptualScore` and `gmsdScore` average over the whole image,
+ * so one broken component on a large page barely moves them. Here the same
+ * metrics are computed on luminance per grid cell and per cluster:
+ *
+ * - SSIM is the mean over 8x8 windows (stride 4) inside the area
+ * - GMSD is the standard deviation of the gradient magnitude similarity
+ *   (Prewitt gradients) over the area's pixels
+ *
+ * Scores are computed at full resolution, so they are comparable between
+ * regions but not identical to the engine's global scores.
+ */
+
+import { invalidArgument } from './errors.js';
+
+const DEFAULT_CELL_SIZE = 32;
+const WINDOW = 8;
+const STRIDE = 4;
+// SSIM stabilizers for 8-bit luminance, (0.01 * 255)^2 and (0.03 * 255)^2
+const C1 = 6.5025;
+const C2 = 58.5225;
+// GMS stabilizer for 8-bit luminance (Xue et al. 2014)
+const GMS_C = 170;
+
+function checkOptions(options) {
+  let { cellSize = DEFAULT_CELL_SIZE } = options;
+  if (!Number.isInteger(cellSize) || cellSize < WINDOW) {
+    throw invalidArgument(`perceptualMap: cellSize must be an integer of at least ${WINDOW}`);
+  }
+  return { cellSize };
+}
+
+// Luminance of the area both images cover, composited on white
+function luminance(image, width, height) {
+  let lum = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let o = (y * image.width + x) * 4;
+      let alpha = image.data[o + 3] / 255;
+      let value = 0.299 * image.data[o] + 0.587 * image.data[o + 1] + 0.114 * image.data[o + 2];
+      lum[y * width + x] = value * alpha + 255 * (1 - alpha);
+    }
+  }
+  return lum;
+}
+
+// Prewitt gradient magnitude per pixel, with edges clamped
+function gradients(lum, width, height) {
+  let magnitude = new Float32Array(width * height);
+  let at = (x, y) =>
+    lum[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let left = at(x - 1, y - 1) + at(x - 1, y) + at(x - 1, y + 1);
+      let right = at(x + 1, y - 1) + at(x + 1, y) + at(x + 1, y + 1);
+      let top = at(x - 1, y - 1) + at(x, y - 1) + at(x + 1, y - 1);
+      let bottom = at(x - 1, y + 1) + at(x, y + 1) + at(x + 1, y + 1);
+      let gx = (right - left) / 3;
+      let gy = (bottom - top) / 3;
+      magnitude[y * width + x] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  return magnitude;
+}
+
+function windowSsim(planes, x0, y0, windowWidth, windowHeight) {
+  let { lum1, lum2, width } = planes;
+  let n = windowWidth * windowHeight;
+  let sum1 = 0;
+  let sum2 = 0;
+  let sq1 = 0;
+  let sq2 = 0;
+  let cross = 0;
+  for (let y = y0; y < y0 + windowHeight; y++) {
+    for (let x = x0; x < x0 + windowWidth; x++) {
+      let a = lum1[y * width + x];
+      let b = lum2[y * width + x];
+      sum1 += a;
+      sum2 += b;
+      sq1 += a * a;
+      sq2 += b * b;
+      cross += a * b;
+    }
+  }
+  let mean1 = sum1 / n;
+  let mean2 = sum2 / n;
+  let var1 = sq1 / n - mean1 * mean1;
+  let var2 = sq2 / n - mean2 * mean2;
+  let covariance = cross / n - mean1 * mean2;
+  return (
+    ((2 * mean1 * mean2 + C1) * (2 * covariance + C2)) /
+    ((mean1 * mean1 + mean2 * mean2 + C1) * (var1 + var2 + C2))
+  );
+}
+
+// Mean SSIM over the windows inside a box (one smaller window if the box is tiny)
+function ssimIn(planes, box) {
+  let windowWidth = Math.min(WINDOW, box.width);
+  let windowHeight = Math.min(WINDOW, box.height);
+  let total = 0;
+  let count = 0;
+  for (let y = box.y; y + windowHeight <= box.y + box.height; y += STRIDE) {
+    for (let x = box.x; x + windowWidth <= box.x + box.width; x += STRIDE) {
+      total += windowSsim(planes, x, y, windowWidth, windowHeight);
+      count++;
+    }
+  }
+  return count > 0 ? total / count : 1;
+}
+
+function gmsdIn(planes, box) {
+  let { grad1, grad2, width } = planes;
+  let n = box.width * box.height;
+  let sum = 0;
+  let sq = 0;
+  for (let y = box.y; y < box.y + box.height; y++) {
+    for (let x = box.x; x < box.x + box.width; x++) {
+      let m1 = grad1[y * width + x];
+      let m2 = grad2[y * width + x];
+      let gms = (2 * m1 * m2 + GMS_C) / (m1 * m1 + m2 * m2 + GMS_C);
+      sum += gms;
+      sq += gms * gms;
+    }
+  }
+  let mean = sum / n;
+  return Math.sqrt(Math.max(0, sq / n - mean * mean));
+}
+
+// Clip a box to the compared area; null when nothing is left
+function clip(box, width, height) {
+  let x = Math.max(0, box.x);
+  let y = Math.max(0, box.y);
+  let right = Math.min(width, box.x + box.width);
+  let bottom = Math.min(height, box.y + box.height);
+  return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+}
+
+/**
+ * Add a grid of local SSIM/GMSD scores and per-cluster scores to a result
+ *
+ * Sets `result.perceptualMap` to `{ cellSize, columns, rows, ssim, gmsd,
+ * worstSsim, worstGmsd }` (scores row-major, one per cell) and `ssim`/`gmsd`
+ * on every cluster.
+ *
+ * @param {object} result - DiffResult
+ * @param {{ width: number, height: number, data: Uint8Array }} image1 - Baseline as compared
+ * @param {{ width: number, height: number, data: Uint8Array }} image2 - Current image
+ * @param {{ cellSize?: number }} [options]
+ * @returns {object} The result
+ */
+export function applyPerceptualMap(result, image1, image2, options = {}) {
+  let { cellSize } = checkOptions(options);
+  let width = Math.min(image1.width, image2.width);
+  let height = Math.min(image1.height, image2.height);
+  let lum1 = luminance(image1, width, height);
+  let lum2 = luminance(image2, width, height);
+  let planes = {
+    width,
+    lum1,
+    lum2,
+    grad1: gradients(lum1, width, height),
+    grad2: gradients(lum2, width, height),
+  };
+
+  let columns = Math.ceil(width / cellSize);
+  let rows = Math.ceil(height / cellSize);
+  let ssim = [];
+  let gmsd = [];
+  let worstSsim = null;
+  let worstGmsd = null;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let box = clip(
+        { x: column * cellSize, y: row * cellSize, width: cellSize, height: cellSize },
+        width,
+        height
+      );
+      let cellSsim = ssimIn(planes, box);
+      let cellGmsd = gmsdIn(planes, box);
+      ssim.push(cellSsim);
+      gmsd.push(cellGmsd);
+      if (!worstSsim || cellSsim < worstSsim.score) worstSsim = { box, score: cellSsim };
+      if (!worstGmsd || cellGmsd > worstGmsd.score) worstGmsd = { box, score: cellGmsd };
+    }
+  }
+  result.perceptualMap = { cellSize, columns, rows, ssim, gmsd, worstSsim, worstGmsd };
+
+  for (let cluster of result.diffClusters ?? []) {
+    let box = clip(cluster.boundingBox, width, height);
+    cluster.ssim = box ? ssimIn(planes, box) : null;
+    cluster.gmsd = box ? gmsdIn(planes, box) : null;
+  }
+  return result;
+}
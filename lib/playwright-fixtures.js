@@ -0,0 +1,83 @@
+/**
+ * Playwright Test fixtures, independent of the comparison engine
+ *
+ * playwright.js binds them to the snapshot workflow.
+ */
+
+import { extname } from 'node:path';
+import { invalidArgument } from './errors.js';
+import { sanitizeSnapshotName } from './snapshot-settings.js';
+
+// Playwright's update modes mapped onto the shared snapshot workflow
+const UPDATE_MODES = {
+  all: 'all',
+  changed: 'all',
+  missing: 'new',
+  none: 'none',
+};
+
+// Baselines and received screenshots keep their capture format; the extension names it
+function imageAttachment(path) {
+  let format = extname(path).slice(1);
+  return { path, contentType: `image/${format}` };
+}
+
+async function attachOutcome(testInfo, name, outcome) {
+  let { baselinePath, artifacts } = outcome;
+  // The `-expected`/`-actual`/`-diff` suffixes make the HTML report render its image diff viewer
+  await testInfo.attach(`${name}-expected${extname(baselinePath)}`, imageAttachment(baselinePath));
+  await testInfo.attach(
+    `${name}-actual${extname(artifacts.received)}`,
+    imageAttachment(artifacts.received)
+  );
+  await testInfo.attach(`${name}-diff.png`, {
+    path: outcome.artifacts.diff,
+    contentType: 'image/png',
+  });
+  await testInfo.attach(`${name}-overlay.png`, {
+    path: outcome.artifacts.overlay,
+    contentType: 'image/png',
+  });
+}
+
+/**
+ * Fixtures for `test.extend()` that run screenshots through `matchSnapshot`
+ *
+ * @param {Function} matchSnapshot - The snapshot workflow from snapshot.js
+ * @returns {object} `honeydiffOptions` and `expectScreenshot` fixtures
+ */
+export function createHoneydiffFixtures(matchSnapshot) {
+  return {
+    honeydiffOptions: [{}, { option: true }],
+
+    expectScreenshot: async ({ page, honeydiffOptions }, use, testInfo) => {
+      await use(async (name, options = {}) => {
+        if (typeof name !== 'string' || name.length === 0) {
+          throw invalidArgument('expectScreenshot: name must be a non-empty string');
+        }
+
+        let { target = page, screenshot, screenshotOptions, ...overrides } = options;
+        let fileName = sanitizeSnapshotName(name);
+        let baselinePath = testInfo.snapshotPath(`${fileName}.png`);
+        let received = screenshot ?? (await target.screenshot(screenshotOptions));
+
+        let outcome = await matchSnapshot({
+          received,
+          baselinePath,
+          diffDir: testInfo.outputPath('honeydiff'),
+          name: fileName,
+          update: UPDATE_MODES[testInfo.config.updateSnapshots] ?? 'new',
+          options: { ...honeydiffOptions, ...overrides },
+        });
+
+        if (outcome.status === 'failed') {
+          await attachOutcome(testInfo, fileName, outcome);
+        }
+        if (outcome.status === 'failed' || outcome.status === 'missing') {
+          throw new Error(outcome.message);
+        }
+        return outcome.result;
+      });
+    },
+  };
+}
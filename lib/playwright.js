@@ -0,0 +1,22 @@
+/**
+ * Playwright Test fixtures backed by honeydiff
+ *
+ *   import { test as base } from '@playwright/test';
+ *   import { honeydiffFixtures } from '@vizzly-testing/honeydiff';
+ *
+ *   export const test = base.extend(honeydiffFixtures);
+ */
+
+import { createHoneydiffFixtures } from './playwright-fixtures.js';
+import { matchSnapshot } from './snapshot.js';
+
+/**
+ * Fixtures for `test.extend()`
+ *
+ * - `honeydiffOptions` (option): CompareOptions plus failureThreshold/failureThresholdType,
+ *   set per project with `use: { honeydiffOptions: { ... } }`
+ * - `expectScreenshot(name, options?)`: screenshots the page (or `options.target`) and
+ *   compares it with the baseline at `testInfo.snapshotPath(name + '.png')` (or the
+ *   screenshot's own extension, such as `.jpeg`, for other formats)
+ */
+export const honeydiffFixtures = createHoneydiffFixtures(matchSnapshot);
@@ -0,0 +1,268 @@
+/**
+ * Incremental PNG decoding, a band of rows at a time
+ *
+ * Only the compressed stream and the rows asked for are held in memory, so
+ * very tall screenshots can be processed without decoding them in full.
+ * Interlaced (Adam7) images cannot be split into rows before every pass is
+ * read, so they fall back to a full decode. Raw pixel inputs are already
+ * decoded and are served as they are.
+ */
+
+import { once } from 'node:events';
+import { open } from 'node:fs/promises';
+import { createInflate } from 'node:zlib';
+import { ErrorCodes, HoneydiffError, toHoneydiffError } from './errors.js';
+import { isRawImage, rawToRgba } from './image.js';
+import {
+  checkChunkCrc,
+  corruptImageData,
+  decodePng,
+  expandRow,
+  isPng,
+  MAX_PNG_INT,
+  parseHeader,
+  rowLayout,
+  unfilterRow,
+  validatePng,
+} from './png.js';
+
+// Yield { type, data } for each chunk of a PNG file handle
+async function* fileChunks(handle, label) {
+  let signature = Buffer.alloc(8);
+  await handle.read(signature, 0, 8, 0);
+  if (!isPng(signature)) {
+    throw new HoneydiffError(
+      ErrorCodes.UNSUPPORTED_FORMAT,
+      `${label} is not a PNG image. Tiled comparison requires PNG input.`
+    );
+  }
+
+  let { size } = await handle.stat();
+  let position = 8;
+  let head = Buffer.alloc(8);
+  while (true) {
+    let { bytesRead } = await handle.read(head, 0, 8, position);
+    if (bytesRead < 8) return;
+    let length = head.readUInt32BE(0);
+    let type = head.toString('latin1', 4, 8);
+    // Checked before allocating, so a corrupt length cannot request a huge buffer
+    if (length > MAX_PNG_INT || position + 12 + length > size) {
+      throw new HoneydiffError(
+        ErrorCodes.DECODE_FAILED,
+        `Truncated PNG: ${type} chunk is incomplete`
+      );
+    }
+    let chunk = Buffer.alloc(8 + length);
+    head.copy(chunk, 0, 4, 8);
+    let { bytesRead: read } = await handle.read(chunk, 4, length + 4, position + 8);
+    if (read !== length + 4) {
+      throw new HoneydiffError(
+        ErrorCodes.DECODE_FAILED,
+        `Truncated PNG: ${type} chunk is incomplete`
+      );
+    }
+    checkChunkCrc(type, chunk.subarray(0, 4 + length), chunk.readInt32BE(4 + length));
+    let data = chunk.subarray(4, 4 + length);
+    yield { type, data };
+    if (type === 'IEND') return;
+    position += 12 + length;
+  }
+}
+
+// Yield { type, data } for each chunk of an in-memory PNG
+async function* bufferChunks(buffer, label) {
+  if (!isPng(buffer)) {
+    throw new HoneydiffError(
+      ErrorCodes.UNSUPPORTED_FORMAT,
+      `${label} is not a PNG image. Tiled comparison requires PNG input.`
+    );
+  }
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    let length = buffer.readUInt32BE(offset);
+    let type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (offset + 12 + length > buffer.length) {
+      throw new HoneydiffError(
+        ErrorCodes.DECODE_FAILED,
+        `Truncated PNG: ${type} chunk is incomplete`
+      );
+    }
+    let data = buffer.subarray(offset + 8, offset + 8 + length);
+    checkChunkCrc(
+      type,
+      buffer.subarray(offset + 4, offset + 8 + length),
+      buffer.readInt32BE(offset + 8 + length)
+    );
+    yield { type, data };
+    if (type === 'IEND') return;
+    offset += 12 + length;
+  }
+}
+
+// Inflate IDAT payloads as they are read, with backpressure
+async function* inflateChunks(first, chunks) {
+  let inflate = createInflate();
+
+  let feed = (async () => {
+    if (!inflate.write(first)) await once(inflate, 'drain');
+    for await (let { type, data } of chunks) {
+      if (type === 'IEND') break;
+      if (type !== 'IDAT') continue;
+      if (!inflate.write(data)) await once(inflate, 'drain');
+    }
+    inflate.end();
+  })();
+  feed.catch((error) => inflate.destroy(error));
+
+  yield* inflate;
+  await feed;
+}
+
+/**
+ * Sequential reader over the rows of a PNG image
+ *
+ * Create instances with `openPngRows()`.
+ */
+export class PngRowReader {
+  #png;
+  #handle;
+  #inflated;
+  #pending = Buffer.alloc(0);
+  #prev = null;
+  #decoded = null;
+  #row = 0;
+
+  constructor(png, inflated, handle, decoded) {
+    this.#png = png;
+    this.#inflated = inflated;
+    this.#handle = handle;
+    this.#decoded = decoded;
+    this.width = png.header.width;
+    this.height = png.header.height;
+  }
+
+  /** Rows not read yet */
+  get remaining() {
+    return this.height - this.#row;
+  }
+
+  /**
+   * Decode the next `count` rows (fewer at the end of the image)
+   * @param {number} count
+   * @returns {Promise<{ width: number, height: number, data: Uint8Array }|null>} null once
+   *   every row has been read
+   */
+  async read(count) {
+    let rows = Math.min(count, this.remaining);
+    if (rows <= 0) return null;
+
+    let { width } = this;
+    let data = new Uint8Array(width * rows * 4);
+
+    if (this.#decoded) {
+      let start = this.#row * width * 4;
+      data.set(this.#decoded.data.subarray(start, start + data.length));
+    } else {
+      let { bpp, rowBytes } = rowLayout(this.#png.header);
+      for (let i = 0; i < rows; i++) {
+        let line = await this.#take(1 + rowBytes);
+        let row = line.subarray(1);
+        unfilterRow(line[0], row, this.#prev, bpp);
+        expandRow(this.#png, row, data, i * width, 1, width);
+        this.#prev = row;
+      }
+    }
+
+    this.#row += rows;
+    return { width, height: rows, data };
+  }
+
+  /** Release the underlying file */
+  async close() {
+    await this.#handle?.close();
+    this.#handle = null;
+  }
+
+  // Next `size` inflated bytes, copied so unfiltering never touches shared buffers
+  async #take(size) {
+    while (this.#pending.length < size) {
+      let { value, done } = await this.#inflated.next().catch((error) => {
+        // zlib errors carry Z_* codes; anything else comes from reading the file
+        throw error.code?.startsWith('Z_') ? corruptImageData(error) : toHoneydiffError(error);
+      });
+      if (done) {
+        throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Truncated PNG: image data ends early');
+      }
+      this.#pending = this.#pending.length ? Buffer.concat([this.#pending, value]) : value;
+    }
+    let line = Buffer.from(this.#pending.subarray(0, size));
+    this.#pending = this.#pending.subarray(size);
+    return line;
+  }
+}
+
+/**
+ * Open a PNG file, PNG Buffer or raw pixel object for sequential row reads
+ * @param {string|Buffer|object} input - File path, PNG Buffer or raw pixels
+ * @returns {Promise<PngRowReader>}
+ */
+export async function openPngRows(input) {
+  if (isRawImage(input)) {
+    let decoded = rawToRgba(input);
+    let header = { width: decoded.width, height: decoded.height };
+    return new PngRowReader({ header }, null, null, decoded);
+  }
+
+  let isPath = typeof input === 'string';
+  let label = isPath ? input : 'Image buffer';
+  let handle = isPath
+    ? await open(input, 'r').catch((error) => {
+        throw toHoneydiffError(error);
+      })
+    : null;
+
+  try {
+    let chunks = isPath ? fileChunks(handle, label) : bufferChunks(input, label);
+    let png = { header: null, palette: null, transparency: null };
+    let first = null;
+
+    for await (let { type, data } of iterateUntilIdat(chunks)) {
+      if (type === 'IHDR') {
+        png.header = parseHeader(data);
+      } else if (type === 'PLTE') {
+        png.palette = Buffer.from(data);
+      } else if (type === 'tRNS') {
+        png.transparency = Buffer.from(data);
+      } else if (type === 'IDAT') {
+        first = data;
+      }
+    }
+
+    validatePng(png.header, png.palette);
+    if (!first) {
+      throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Invalid PNG: missing IDAT chunk');
+    }
+
+    if (png.header.interlace) {
+      let buffer = isPath ? await handle.readFile() : input;
+      await handle?.close();
+      return new PngRowReader(png, null, null, decodePng(buffer));
+    }
+
+    return new PngRowReader(png, inflateChunks(first, chunks), handle, null);
+  } catch (error) {
+    await handle?.close();
+    throw error;
+  }
+}
+
+// Yield chunks up to and including the first IDAT, leaving the rest for the inflater
+async function* iterateUntilIdat(chunks) {
+  while (true) {
+    let { value, done } = await chunks.next();
+    if (done) return;
+    yield value;
+    if (value.type === 'IDAT' || value.type === 'IEND') return;
+  }
+}
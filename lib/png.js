@@ -0,0 +1,527 @@
+/**
+ * Minimal PNG codec for the JavaScript side of the pipeline
+ *
+ * Features that need to look at or rewrite pixels before handing images to the
+ * native engine (region masking, diff rendering, ...) decode through here.
+ * Decoding supports every PNG color type and bit depth, including Adam7
+ * interlacing, and always produces 8-bit RGBA. Encoding writes 8-bit RGBA,
+ * optionally as an animated PNG (APNG).
+ */
+
+import { deflateSync, inflateSync } from 'node:zlib';
+import { ErrorCodes, HoneydiffError } from './errors.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// The PNG specification caps dimensions and chunk lengths at 2^31 - 1
+export const MAX_PNG_INT = 2 ** 31 - 1;
+// Largest image decoded in full: 512 MiB of RGBA, the native engine's default allocation limit
+const MAX_PIXELS = 2 ** 27;
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buffer, crc = -1) {
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+/**
+ * Check whether a buffer starts with the PNG signature
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {boolean}
+ */
+export function isPng(buffer) {
+  return (
+    buffer.length >= 8 && PNG_SIGNATURE.equals(Buffer.from(buffer.buffer, buffer.byteOffset, 8))
+  );
+}
+
+/**
+ * Parse an IHDR chunk payload
+ * @param {Buffer} data
+ */
+export function parseHeader(data) {
+  if (data.length < 13) {
+    throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Invalid PNG: IHDR chunk is too short');
+  }
+  return {
+    width: data.readUInt32BE(0),
+    height: data.readUInt32BE(4),
+    bitDepth: data[8],
+    colorType: data[9],
+    interlace: data[12],
+  };
+}
+
+/**
+ * Check a chunk's stored CRC against its type and data
+ * @param {string} type - Chunk type, for the error message
+ * @param {Buffer} typeAndData - The chunk's type and data bytes
+ * @param {number} stored - CRC read from the file (signed 32-bit)
+ */
+export function checkChunkCrc(type, typeAndData, stored) {
+  if ((crc32(typeAndData) ^ -1) !== stored) {
+    throw new HoneydiffError(ErrorCodes.DECODE_FAILED, `Invalid PNG: ${type} chunk CRC mismatch`);
+  }
+}
+
+/**
+ * Check that the chunks read before the image data describe a decodable image
+ *
+ * Runs before anything is allocated for the pixels, so a corrupt header fails
+ * with DECODE_FAILED instead of an allocation error.
+ */
+export function validatePng(header, palette) {
+  if (!header) {
+    throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Invalid PNG: missing IHDR chunk');
+  }
+  let { width, height, bitDepth, colorType, interlace } = header;
+  if (!CHANNELS[colorType]) {
+    throw new HoneydiffError(
+      ErrorCodes.UNSUPPORTED_FORMAT,
+      `Invalid PNG: unsupported color type ${colorType}`
+    );
+  }
+  if (!BIT_DEPTHS[colorType].includes(bitDepth)) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      `Invalid PNG: bit depth ${bitDepth} is not allowed for color type ${colorType}`
+    );
+  }
+  if (width < 1 || height < 1 || width > MAX_PNG_INT || height > MAX_PNG_INT) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      `Invalid PNG: image size ${width}x${height} is out of range`
+    );
+  }
+  // Rows are decoded one at a time at least, so a single row must fit
+  if (width > MAX_PIXELS) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      `PNG is too large to decode: ${width}px rows exceed the limit of ${MAX_PIXELS} pixels`
+    );
+  }
+  if (interlace > 1) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      `Invalid PNG: unknown interlace method ${interlace}`
+    );
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      'Invalid PNG: indexed image without PLTE chunk'
+    );
+  }
+}
+
+/**
+ * Error for compressed image data that zlib rejects
+ * @param {Error} error - The zlib error
+ */
+export function corruptImageData(error) {
+  return new HoneydiffError(
+    ErrorCodes.DECODE_FAILED,
+    `Invalid PNG: corrupt image data (${error.message})`,
+    { cause: error }
+  );
+}
+
+/**
+ * Split a PNG file into its header, palette, transparency and compressed data
+ * @param {Buffer} buffer
+ */
+export function parsePngChunks(buffer) {
+  if (!isPng(buffer)) {
+    throw new HoneydiffError(ErrorCodes.UNSUPPORTED_FORMAT, 'Not a PNG image (invalid signature)');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let idat = [];
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    let length = buffer.readUInt32BE(offset);
+    let type = buffer.toString('latin1', offset + 4, offset + 8);
+
+    if (offset + 12 + length > buffer.length) {
+      throw new HoneydiffError(
+        ErrorCodes.DECODE_FAILED,
+        `Truncated PNG: ${type} chunk is incomplete`
+      );
+    }
+    let data = buffer.subarray(offset + 8, offset + 8 + length);
+    checkChunkCrc(
+      type,
+      buffer.subarray(offset + 4, offset + 8 + length),
+      buffer.readInt32BE(offset + 8 + length)
+    );
+
+    if (type === 'IHDR') {
+      header = parseHeader(data);
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  validatePng(header, palette);
+  return { header, palette, transparency, idat };
+}
+
+/**
+ * Bytes per complete pixel (used by the filters) and bytes per row for a header
+ */
+export function rowLayout(header, width = header.width) {
+  let bitsPerPixel = CHANNELS[header.colorType] * header.bitDepth;
+  return {
+    bpp: Math.max(1, bitsPerPixel >> 3),
+    rowBytes: Math.ceil((width * bitsPerPixel) / 8),
+  };
+}
+
+/**
+ * Reverse a scanline filter in place
+ * @param {number} filter - Filter type byte (0-4)
+ * @param {Uint8Array} row - Filtered scanline (without the filter byte)
+ * @param {Uint8Array|null} prev - Previous reconstructed scanline, or null for the first row
+ * @param {number} bpp - Bytes per complete pixel
+ */
+export function unfilterRow(filter, row, prev, bpp) {
+  let length = row.length;
+
+  switch (filter) {
+    case 0:
+      break;
+    case 1:
+      for (let i = bpp; i < length; i++) {
+        row[i] = (row[i] + row[i - bpp]) & 0xff;
+      }
+      break;
+    case 2:
+      if (prev) {
+        for (let i = 0; i < length; i++) {
+          row[i] = (row[i] + prev[i]) & 0xff;
+        }
+      }
+      break;
+    case 3:
+      for (let i = 0; i < length; i++) {
+        let left = i >= bpp ? row[i - bpp] : 0;
+        let up = prev ? prev[i] : 0;
+        row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+      }
+      break;
+    case 4:
+      for (let i = 0; i < length; i++) {
+        let a = i >= bpp ? row[i - bpp] : 0;
+        let b = prev ? prev[i] : 0;
+        let c = prev && i >= bpp ? prev[i - bpp] : 0;
+        let p = a + b - c;
+        let pa = Math.abs(p - a);
+        let pb = Math.abs(p - b);
+        let pc = Math.abs(p - c);
+        let predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+        row[i] = (row[i] + predictor) & 0xff;
+      }
+      break;
+    default:
+      throw new HoneydiffError(
+        ErrorCodes.DECODE_FAILED,
+        `Invalid PNG: unknown filter type ${filter}`
+      );
+  }
+}
+
+/**
+ * Expand a reconstructed scanline into 8-bit RGBA pixels
+ *
+ * Writes `count` pixels into `out`, starting at pixel index `start` and
+ * advancing `step` pixels each time (step > 1 for interlaced passes).
+ */
+export function expandRow(png, row, out, start, step, count) {
+  let { header, palette, transparency } = png;
+  let { bitDepth, colorType } = header;
+  let channels = CHANNELS[colorType];
+  let maxValue = (1 << bitDepth) - 1;
+
+  let sample = (index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    let bit = index * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  };
+  let scale = (value) => {
+    if (bitDepth === 8) return value;
+    if (bitDepth === 16) return value >> 8;
+    return Math.round((value * 255) / maxValue);
+  };
+
+  for (let i = 0; i < count; i++) {
+    let o = (start + i * step) * 4;
+    let s = i * channels;
+
+    if (colorType === 3) {
+      let index = sample(s);
+      out[o] = palette[index * 3];
+      out[o + 1] = palette[index * 3 + 1];
+      out[o + 2] = palette[index * 3 + 2];
+      out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      let gray = sample(s);
+      let value = scale(gray);
+      out[o] = value;
+      out[o + 1] = value;
+      out[o + 2] = value;
+      if (colorType === 4) {
+        out[o + 3] = scale(sample(s + 1));
+      } else {
+        out[o + 3] = transparency && gray === transparency.readUInt16BE(0) ? 0 : 255;
+      }
+    } else {
+      let r = sample(s);
+      let g = sample(s + 1);
+      let b = sample(s + 2);
+      out[o] = scale(r);
+      out[o + 1] = scale(g);
+      out[o + 2] = scale(b);
+      if (colorType === 6) {
+        out[o + 3] = scale(sample(s + 3));
+      } else {
+        let isTransparent =
+          transparency &&
+          r === transparency.readUInt16BE(0) &&
+          g === transparency.readUInt16BE(2) &&
+          b === transparency.readUInt16BE(4);
+        out[o + 3] = isTransparent ? 0 : 255;
+      }
+    }
+  }
+}
+
+/**
+ * Decode a PNG file into 8-bit RGBA pixels
+ * @param {Buffer} buffer - Encoded PNG data
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function decodePng(buffer) {
+  let png = parsePngChunks(buffer);
+  let { width, height, interlace } = png.header;
+  if (width * height > MAX_PIXELS) {
+    throw new HoneydiffError(
+      ErrorCodes.DECODE_FAILED,
+      `PNG is too large to decode: ${width}x${height} exceeds the limit of ${MAX_PIXELS} pixels`
+    );
+  }
+  let raw;
+  try {
+    raw = inflateSync(Buffer.concat(png.idat));
+  } catch (error) {
+    throw corruptImageData(error);
+  }
+  let data = new Uint8Array(width * height * 4);
+  let offset = 0;
+
+  let passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+
+  for (let [x0, y0, dx, dy] of passes) {
+    let passWidth = Math.ceil((width - x0) / dx);
+    let passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    let { bpp, rowBytes } = rowLayout(png.header, passWidth);
+    let prev = null;
+
+    for (let py = 0; py < passHeight; py++) {
+      if (offset + 1 + rowBytes > raw.length) {
+        throw new HoneydiffError(ErrorCodes.DECODE_FAILED, 'Truncated PNG: image data ends early');
+      }
+      let filter = raw[offset];
+      let row = raw.subarray(offset + 1, offset + 1 + rowBytes);
+      unfilterRow(filter, row, prev, bpp);
+      expandRow(png, row, data, (y0 + py * dy) * width + x0, dx, passWidth);
+      prev = row;
+      offset += 1 + rowBytes;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  let out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeInt32BE(crc32(out.subarray(4, 8 + data.length)) ^ -1, 8 + data.length);
+  return out;
+}
+
+/**
+ * Filter 8-bit RGBA rows for compression
+ *
+ * Fast mode stores rows unfiltered; otherwise each row picks the filter with the
+ * smallest sum of absolute values (the heuristic recommended by the PNG spec).
+ */
+function filterRows(image, fast) {
+  let { width, height, data } = image;
+  let stride = width * 4;
+  let out = Buffer.alloc((stride + 1) * height);
+  let candidate = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    let row = data.subarray(y * stride, (y + 1) * stride);
+    let prev = y > 0 ? data.subarray((y - 1) * stride, y * stride) : null;
+    let target = out.subarray(y * (stride + 1));
+
+    if (fast) {
+      target[0] = 0;
+      target.set(row, 1);
+      continue;
+    }
+
+    let best = Number.POSITIVE_INFINITY;
+    for (let filter = 0; filter <= 4; filter++) {
+      let sum = 0;
+      for (let i = 0; i < stride; i++) {
+        let a = i >= 4 ? row[i - 4] : 0;
+        let b = prev ? prev[i] : 0;
+        let c = prev && i >= 4 ? prev[i - 4] : 0;
+        let predictor = 0;
+        if (filter === 1) predictor = a;
+        else if (filter === 2) predictor = b;
+        else if (filter === 3) predictor = (a + b) >> 1;
+        else if (filter === 4) {
+          let p = a + b - c;
+          let pa = Math.abs(p - a);
+          let pb = Math.abs(p - b);
+          let pc = Math.abs(p - c);
+          predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+        }
+        let value = (row[i] - predictor) & 0xff;
+        candidate[i] = value;
+        sum += value < 128 ? value : 256 - value;
+      }
+      if (sum < best) {
+        best = sum;
+        target[0] = filter;
+        candidate.copy(target, 1);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Build the IHDR chunk payload for an 8-bit RGBA image
+ */
+export function rgbaHeader(width, height) {
+  let ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  return ihdr;
+}
+
+/**
+ * Encode 8-bit RGBA pixels as a PNG file
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ * @param {{ fast?: boolean }} [options] - `fast` skips filtering and uses the lowest
+ *   compression level; use it for images that are only handed to the native engine
+ * @returns {Buffer}
+ */
+export function encodePng(image, options = {}) {
+  let fast = options.fast === true;
+  let compressed = deflateSync(filterRows(image, fast), { level: fast ? 1 : 6 });
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', rgbaHeader(image.width, image.height)),
+    chunk('IDAT', compressed),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Encode same-sized 8-bit RGBA frames as an endlessly looping animated PNG
+ *
+ * Viewers without APNG support show the first frame.
+ *
+ * @param {Array<{ width: number, height: number, data: Uint8Array }>} frames
+ * @param {{ delayMs?: number }} [options] - Display time of each frame (default 500)
+ * @returns {Buffer}
+ */
+export function encodeApng(frames, options = {}) {
+  let { delayMs = 500 } = options;
+  let { width, height } = frames[0];
+  let sequence = 0;
+
+  let actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frames.length, 0);
+  actl.writeUInt32BE(0, 4);
+
+  let chunks = [PNG_SIGNATURE, chunk('IHDR', rgbaHeader(width, height)), chunk('acTL', actl)];
+
+  for (let [index, frame] of frames.entries()) {
+    if (frame.width !== width || frame.height !== height) {
+      throw new HoneydiffError(
+        ErrorCodes.DIMENSION_MISMATCH,
+        'APNG frames must all have the same dimensions'
+      );
+    }
+
+    let fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(sequence++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    fctl.writeUInt16BE(Math.round(delayMs), 20);
+    fctl.writeUInt16BE(1000, 22);
+    chunks.push(chunk('fcTL', fctl));
+
+    let compressed = deflateSync(filterRows(frame, false));
+    if (index === 0) {
+      chunks.push(chunk('IDAT', compressed));
+    } else {
+      let number = Buffer.alloc(4);
+      number.writeUInt32BE(sequence++, 0);
+      chunks.push(chunk('fdAT', Buffer.concat([number, compressed])));
+    }
+  }
+
+  chunks.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
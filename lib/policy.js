@@ -0,0 +1,247 @@
+/**
+ * Declarative pass/fail policies over a DiffResult (`evaluate`)
+ *
+ * A policy is a rule or a group of rules:
+ *
+ * - `{ metric, min?, max?, region?, name? }` - a metric must lie within bounds
+ * - `{ all: [...] }` (or a plain array) - every member must pass
+ * - `{ any: [...] }` - at least one member must pass
+ *
+ * Policies are plain data, so they can live in JSON files shared between
+ * integrations. A rule whose metric the result does not carry (for example
+ * `perceptualScore` without `includeSSIM`) fails with `measured: null`.
+ */
+
+import { intersectionArea } from './boxes.js';
+import { invalidArgument } from './errors.js';
+import { intensityHistogram, intensityStats } from './stats.js';
+
+const INTENSITY_METRICS = {
+  'intensityStats.max': 'max',
+  'intensityStats.min': 'min',
+  'intensityStats.mean': 'mean',
+  'intensityStats.median': 'median',
+  'intensityStats.stdDev': 'stdDev',
+};
+
+function unavailable(hint) {
+  return { measured: null, hint };
+}
+
+function describe(box) {
+  return `${box.x},${box.y} ${box.width}x${box.height}`;
+}
+
+function inRegion(region) {
+  return ({ x, y }) =>
+    x >= region.x && y >= region.y && x < region.x + region.width && y < region.y + region.height;
+}
+
+function touchingClusters(result, region) {
+  let clusters = result.diffClusters;
+  if (!clusters || !region) return clusters;
+  return clusters.filter((cluster) => intersectionArea(cluster.boundingBox, region) > 0);
+}
+
+// Overlap-weighted mean of a perceptual map's cell scores inside a region
+function regionalScore(map, scores, region) {
+  let total = 0;
+  let weight = 0;
+  for (let row = 0; row < map.rows; row++) {
+    for (let column = 0; column < map.columns; column++) {
+      let cell = {
+        x: column * map.cellSize,
+        y: row * map.cellSize,
+        width: map.cellSize,
+        height: map.cellSize,
+      };
+      let area = intersectionArea(cell, region);
+      total += scores[row * map.columns + column] * area;
+      weight += area;
+    }
+  }
+  return weight > 0 ? total / weight : null;
+}
+
+// Metric value for the whole result
+function measureGlobal(result, metric) {
+  switch (metric) {
+    case 'diffPercentage':
+    case 'diffPixels':
+      return { measured: result[metric] };
+    case 'perceptualScore':
+      return result.perceptualScore == null
+        ? unavailable('enable includeSSIM')
+        : { measured: result.perceptualScore };
+    case 'gmsdScore':
+      return result.gmsdScore == null
+        ? unavailable('enable includeGMSD')
+        : { measured: result.gmsdScore };
+    case 'heightDiff':
+      return {
+        measured: result.heightDiff
+          ? Math.abs(result.heightDiff.height2 - result.heightDiff.height1)
+          : 0,
+      };
+    default: {
+      if (!result.intensityStats) return unavailable('enable includeDiffPixels');
+      return { measured: result.intensityStats[INTENSITY_METRICS[metric]] };
+    }
+  }
+}
+
+// Metric value inside a region, from diff pixels, clusters or the perceptual map
+function measureRegional(result, metric, region) {
+  if (metric === 'perceptualScore' || metric === 'gmsdScore') {
+    let map = result.perceptualMap;
+    if (!map) return unavailable('enable perceptualMap');
+    let score = regionalScore(map, metric === 'perceptualScore' ? map.ssim : map.gmsd, region);
+    return score === null ? unavailable('region is outside the image') : { measured: score };
+  }
+
+  if (!result.diffPixelsList) return unavailable('enable includeDiffPixels');
+  let pixels = result.diffPixelsList.filter(inRegion(region));
+  if (metric === 'diffPixels') return { measured: pixels.length };
+  if (metric === 'diffPercentage') {
+    return { measured: (pixels.length / (region.width * region.height)) * 100 };
+  }
+  let stats = intensityStats(intensityHistogram(pixels));
+  // No differing pixels in the region: every intensity statistic is 0
+  return { measured: stats ? stats[INTENSITY_METRICS[metric]] : 0 };
+}
+
+const METRICS = {
+  diffPercentage: { regional: true },
+  diffPixels: { regional: true },
+  perceptualScore: { regional: true },
+  gmsdScore: { regional: true },
+  heightDiff: { regional: false },
+  clusterCount: { regional: true },
+  maxClusterSize: { regional: true },
+  ...Object.fromEntries(Object.keys(INTENSITY_METRICS).map((key) => [key, { regional: true }])),
+};
+
+function measure(result, rule) {
+  let { metric, region } = rule;
+  if (metric === 'clusterCount' || metric === 'maxClusterSize') {
+    let clusters = touchingClusters(result, region);
+    if (!clusters) return unavailable('enable includeClusters');
+    if (metric === 'clusterCount') return { measured: clusters.length };
+    return { measured: clusters.reduce((max, cluster) => Math.max(max, cluster.pixelCount), 0) };
+  }
+  return region ? measureRegional(result, metric, region) : measureGlobal(result, metric);
+}
+
+function checkBox(box) {
+  return (
+    box != null &&
+    typeof box === 'object' &&
+    [box.x, box.y, box.width, box.height].every(Number.isFinite) &&
+    box.width > 0 &&
+    box.height > 0
+  );
+}
+
+function checkRule(rule, path) {
+  if (rule == null || typeof rule !== 'object') {
+    throw invalidArgument(`evaluate: ${path} must be a rule, an array or { all } / { any }`);
+  }
+  if (Array.isArray(rule)) {
+    for (let [i, member] of rule.entries()) checkRule(member, `${path}[${i}]`);
+    return;
+  }
+  for (let group of ['all', 'any']) {
+    if (group in rule) {
+      if (!Array.isArray(rule[group])) {
+        throw invalidArgument(`evaluate: ${path}.${group} must be an array`);
+      }
+      for (let [i, member] of rule[group].entries()) {
+        checkRule(member, `${path}.${group}[${i}]`);
+      }
+      return;
+    }
+  }
+
+  let metric = METRICS[rule.metric];
+  if (!metric) {
+    throw invalidArgument(
+      `evaluate: ${path}.metric must be one of ${Object.keys(METRICS).join(', ')}`
+    );
+  }
+  if (rule.min == null && rule.max == null) {
+    throw invalidArgument(`evaluate: ${path} needs min and/or max`);
+  }
+  for (let bound of ['min', 'max']) {
+    if (rule[bound] != null && !Number.isFinite(rule[bound])) {
+      throw invalidArgument(`evaluate: ${path}.${bound} must be a number`);
+    }
+  }
+  if (rule.region != null) {
+    if (!metric.regional) {
+      throw invalidArgument(`evaluate: ${path} (${rule.metric}) cannot be scoped to a region`);
+    }
+    if (!checkBox(rule.region)) {
+      throw invalidArgument(`evaluate: ${path}.region must be { x, y, width, height }`);
+    }
+  }
+}
+
+function checkMetric(result, rule) {
+  let { measured, hint } = measure(result, rule);
+  let label =
+    rule.name ?? (rule.region ? `${rule.metric} in ${describe(rule.region)}` : rule.metric);
+
+  let message = null;
+  if (measured === null) {
+    message = `${label} is not available (${hint})`;
+  } else if (rule.min != null && measured < rule.min) {
+    message = `${label} ${measured} is below min ${rule.min}`;
+  } else if (rule.max != null && measured > rule.max) {
+    message = `${label} ${measured} exceeds max ${rule.max}`;
+  }
+
+  return {
+    name: label,
+    metric: rule.metric,
+    region: rule.region ?? null,
+    min: rule.min ?? null,
+    max: rule.max ?? null,
+    measured,
+    pass: message === null,
+    message,
+  };
+}
+
+// Evaluate a rule or group; `failures` holds the checks that made it fail
+function evaluateRule(result, rule) {
+  let members = Array.isArray(rule) ? rule : (rule.all ?? rule.any);
+  if (!members) {
+    let check = checkMetric(result, rule);
+    return { pass: check.pass, checks: [check], failures: check.pass ? [] : [check] };
+  }
+
+  let outcomes = members.map((member) => evaluateRule(result, member));
+  let pass = 'any' in rule ? outcomes.some((o) => o.pass) : outcomes.every((o) => o.pass);
+  return {
+    pass,
+    checks: outcomes.flatMap((o) => o.checks),
+    failures: pass ? [] : outcomes.flatMap((o) => o.failures),
+  };
+}
+
+/**
+ * Decide whether a comparison passes a policy
+ *
+ * @param {object} result - DiffResult
+ * @param {object|object[]} policy - Rule, array of rules, or `{ all }` / `{ any }` group
+ * @returns {{ verdict: 'pass'|'fail', pass: boolean, failures: object[], checks: object[] }}
+ *   `checks` has one entry per rule; `failures` lists the failed rules that decided the verdict
+ */
+export function evaluate(result, policy) {
+  if (result == null || typeof result !== 'object' || !('diffPixels' in result)) {
+    throw invalidArgument('evaluate: result must be a DiffResult');
+  }
+  checkRule(policy, 'policy');
+  let { pass, checks, failures } = evaluateRule(result, policy);
+  return { verdict: pass ? 'pass' : 'fail', pass, failures, checks };
+}
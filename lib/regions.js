@@ -0,0 +1,139 @@
+/**
+ * Region-of-interest masking for compare()
+ *
+ * Excluded pixels are painted with the same neutral color in both images before
+ * they reach the native engine. Every metric the engine produces (diff pixels,
+ * clusters, bounding box, SSIM/GMSD) and every artifact it writes therefore
+ * treats excluded areas as identical.
+ *
+ * Masking needs decoded pixels, so region options require PNG or raw input;
+ * other formats are rejected with UNSUPPORTED_FORMAT.
+ */
+
+import { invalidArgument } from './errors.js';
+
+// Neutral fill for excluded pixels, so masked areas read as "blanked out" in artifacts
+const MASK_FILL = [128, 128, 128, 255];
+
+/**
+ * Whether the options ask for any region masking
+ * @param {object} [options] - Compare options
+ * @returns {boolean}
+ */
+export function hasRegionOptions(options) {
+  return Boolean(
+    options &&
+      (options.ignoreRegions?.length > 0 ||
+        options.includeRegions?.length > 0 ||
+        options.maskImage != null)
+  );
+}
+
+function validateRegion(region, name) {
+  let valid =
+    region &&
+    ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(region[key])) &&
+    region.width >= 0 &&
+    region.height >= 0;
+
+  if (!valid) {
+    throw invalidArgument(`${name} entries must be { x, y, width, height } with finite numbers`);
+  }
+}
+
+function fillRegion(mask, width, height, region, value) {
+  let x0 = Math.max(0, Math.floor(region.x));
+  let y0 = Math.max(0, Math.floor(region.y));
+  let x1 = Math.min(width, Math.ceil(region.x + region.width));
+  let y1 = Math.min(height, Math.ceil(region.y + region.height));
+
+  for (let y = y0; y < y1; y++) {
+    mask.fill(value, y * width + x0, y * width + x1);
+  }
+}
+
+/**
+ * Build a per-pixel exclusion mask (1 = excluded from comparison)
+ *
+ * @param {number} width - Width of the compared area
+ * @param {number} height - Height of the compared area
+ * @param {object} options - Compare options with ignoreRegions/includeRegions
+ * @param {{ width: number, height: number, data: Uint8Array }|null} maskImage - Decoded mask image
+ * @returns {Uint8Array}
+ */
+export function buildMask(width, height, options, maskImage) {
+  let { ignoreRegions = [], includeRegions = [] } = options;
+  let mask = new Uint8Array(width * height);
+
+  if (includeRegions.length > 0) {
+    mask.fill(1);
+    for (let region of includeRegions) {
+      validateRegion(region, 'includeRegions');
+      fillRegion(mask, width, height, region, 0);
+    }
+  }
+
+  for (let region of ignoreRegions) {
+    validateRegion(region, 'ignoreRegions');
+    fillRegion(mask, width, height, region, 1);
+  }
+
+  if (maskImage) {
+    let w = Math.min(width, maskImage.width);
+    let h = Math.min(height, maskImage.height);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let o = (y * maskImage.width + x) * 4;
+        let d = maskImage.data;
+        // Opaque, bright mask pixels mark excluded areas
+        if (d[o + 3] >= 128 && Math.max(d[o], d[o + 1], d[o + 2]) >= 128) {
+          mask[y * width + x] = 1;
+        }
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Paint excluded pixels in both images with the neutral mask fill
+ *
+ * Only the area both images cover is painted; rows that exist in just one
+ * image (variable-height comparisons) are still reported through heightDiff.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image1
+ * @param {{ width: number, height: number, data: Uint8Array }} image2
+ * @param {object} options - Compare options
+ * @param {{ width: number, height: number, data: Uint8Array }|null} maskImage - Decoded mask image
+ * @returns {number} Number of pixels excluded from the comparison
+ */
+export function applyRegionMask(image1, image2, options, maskImage) {
+  let width = Math.min(image1.width, image2.width);
+  let height = Math.min(image1.height, image2.height);
+  let mask = buildMask(width, height, options, maskImage);
+  let maskedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      maskedPixels++;
+      image1.data.set(MASK_FILL, (y * image1.width + x) * 4);
+      image2.data.set(MASK_FILL, (y * image2.width + x) * 4);
+    }
+  }
+
+  return maskedPixels;
+}
+
+/**
+ * Express diffPercentage and aaPercentage relative to the compared (unmasked) pixels
+ * @param {object} result - DiffResult with `maskedPixels`
+ * @returns {object} The result
+ */
+export function applyComparedPercentages(result) {
+  let compared = result.totalPixels - result.maskedPixels;
+  result.diffPercentage = compared > 0 ? (result.diffPixels / compared) * 100 : 0;
+  result.aaPercentage = compared > 0 ? (result.aaPixelsIgnored / compared) * 100 : 0;
+  return result;
+}
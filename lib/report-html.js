@@ -0,0 +1,304 @@
+/**
+ * HTML rendering for generateReport()
+ *
+ * Images are embedded as data URIs and the viewer script is inlined, so the
+ * report is a single file that can be archived as a CI artifact.
+ */
+
+import { imageFormat } from './image.js';
+
+const CVD_TYPES = ['normalVision', 'protanopia', 'deuteranopia', 'tritanopia'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function mimeType(buffer) {
+  let format = imageFormat(buffer);
+  return format ? `image/${format}` : 'application/octet-stream';
+}
+
+function embed(buffer) {
+  if (buffer == null) return null;
+  return `data:${mimeType(buffer)};base64,${buffer.toString('base64')}`;
+}
+
+function formatNumber(value, digits = 2) {
+  return value === null || value === undefined ? 'n/a' : Number(value).toFixed(digits);
+}
+
+function percentBox(box, width, height) {
+  return (
+    `left:${(box.x / width) * 100}%;top:${(box.y / height) * 100}%;` +
+    `width:${(box.width / width) * 100}%;height:${(box.height / height) * 100}%`
+  );
+}
+
+function rgb(color) {
+  return `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+}
+
+function metricsTable(result) {
+  let rows = [
+    ['Diff', `${formatNumber(result.diffPercentage)}%`],
+    ['Different pixels', `${result.diffPixels} / ${result.totalPixels}`],
+    ['Anti-aliasing ignored', result.aaPixelsIgnored],
+    ['SSIM (perceptualScore)', formatNumber(result.perceptualScore, 4)],
+    ['GMSD (gmsdScore)', formatNumber(result.gmsdScore, 4)],
+    ['Clusters', result.diffClusters ? result.diffClusters.length : 'n/a'],
+  ];
+
+  if (result.maskedPixels) {
+    rows.push(['Masked pixels', result.maskedPixels]);
+  }
+  if (result.heightDiff) {
+    let { height1, height2, extraPixels } = result.heightDiff;
+    rows.push(['Height', `${height1}px → ${height2}px (${extraPixels} extra pixels)`]);
+  }
+  if (result.intensityStats) {
+    let { min, max, mean, median, stdDev } = result.intensityStats;
+    rows.push(
+      ['Intensity min / max', `${min} / ${max}`],
+      ['Intensity mean / median', `${formatNumber(mean, 1)} / ${formatNumber(median, 1)}`],
+      ['Intensity std dev', formatNumber(stdDev, 1)]
+    );
+  }
+
+  return `<table class="metrics">${rows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('')}</table>`;
+}
+
+function clusterOutlines(clusters, width, height) {
+  return clusters
+    .map(
+      (cluster, i) =>
+        `<button class="outline cluster" data-target="c${i}" title="Cluster ${i + 1}" ` +
+        `style="${percentBox(cluster.boundingBox, width, height)}"><span>${i + 1}</span></button>`
+    )
+    .join('');
+}
+
+function violationOutlines(violations, width, height, prefix) {
+  return violations
+    .map(
+      (violation, i) =>
+        `<button class="outline violation" data-target="${prefix}${i}" ` +
+        `title="Contrast ${formatNumber(violation.contrastRatio)}:1" ` +
+        `style="${percentBox(violation.boundingBox, width, height)}"></button>`
+    )
+    .join('');
+}
+
+function clusterTable(clusters) {
+  if (clusters.length === 0) return '';
+  let rows = clusters
+    .map((cluster, i) => {
+      let { x, y, width, height } = cluster.boundingBox;
+      return (
+        `<tr data-id="c${i}"><td>${i + 1}</td><td>${x}, ${y}</td><td>${width}×${height}</td>` +
+        `<td>${cluster.pixelCount}</td><td>${formatNumber(cluster.avgIntensity, 1)}</td></tr>`
+      );
+    })
+    .join('');
+  return (
+    '<h3>Diff clusters</h3><table class="list"><tr><th>#</th><th>Position</th><th>Size</th>' +
+    `<th>Pixels</th><th>Avg intensity</th></tr>${rows}</table>`
+  );
+}
+
+function violationTable(title, violations, prefix) {
+  if (violations.length === 0) {
+    return `<h4>${escapeHtml(title)}: no violations</h4>`;
+  }
+  let rows = violations
+    .map((violation, i) => {
+      let { x, y, width, height } = violation.boundingBox;
+      return (
+        `<tr data-id="${prefix}${i}"><td>${x}, ${y}</td><td>${width}×${height}</td>` +
+        `<td><span class="swatch" style="background:${rgb(violation.foregroundColor)}"></span>` +
+        `<span class="swatch" style="background:${rgb(violation.backgroundColor)}"></span></td>` +
+        `<td>${formatNumber(violation.contrastRatio)}:1</td>` +
+        `<td>${violation.textSize}</td>` +
+        `<td>${violation.applicableFailure ? 'fail' : 'pass'}</td></tr>`
+      );
+    })
+    .join('');
+  return (
+    `<h4>${escapeHtml(title)}: ${violations.length} violations</h4>` +
+    '<table class="list"><tr><th>Position</th><th>Size</th><th>Colors</th><th>Contrast</th>' +
+    `<th>Text size</th><th>AA</th></tr>${rows}</table>`
+  );
+}
+
+function accessibilitySection(entry) {
+  let parts = [];
+
+  if (entry.wcag) {
+    parts.push(
+      `<p>AA normal text pass rate: ${formatNumber(entry.wcag.aaNormalPassPercentage, 1)}%, ` +
+        `AA large text pass rate: ${formatNumber(entry.wcag.aaLargePassPercentage, 1)}%</p>`,
+      violationTable('WCAG contrast', entry.wcag.violations, 'w')
+    );
+  }
+
+  if (entry.cvd) {
+    parts.push(
+      `<p>Color vision deficiency: ${entry.cvd.totalViolations} violations in total, ` +
+        `~${entry.cvd.cvdOnlyViolationCount} only affecting colorblind users</p>`
+    );
+    for (let type of CVD_TYPES) {
+      parts.push(violationTable(type, entry.cvd[type].violations, `${type}-`));
+    }
+  }
+
+  return parts.length > 0 ? `<h3>Accessibility</h3>${parts.join('')}` : '';
+}
+
+// One entry's section; `images` are the encoded baseline, current and diff images (diff may be null)
+function renderEntry({ entry, images, width, height }, index) {
+  let { result } = entry;
+  let baseline = embed(images.baseline);
+  let current = embed(images.current);
+  let diff = embed(images.diff);
+  let name = entry.name ?? `Comparison ${index + 1}`;
+  let clusters = result.diffClusters ?? [];
+  let status = result.isDifferent ? 'changed' : 'unchanged';
+
+  let outlines = clusterOutlines(clusters, width, height);
+  if (entry.wcag) outlines += violationOutlines(entry.wcag.violations, width, height, 'w');
+
+  return `<section class="entry ${status}" id="entry-${index}">
+<header><h2>${escapeHtml(name)}</h2><span class="badge">${status}</span></header>
+<div class="layout">
+<div class="viewer" data-mode="side">
+<div class="modes">
+<button data-mode="side" class="active">Side by side</button>
+<button data-mode="slider">Slider</button>
+<button data-mode="onion">Onion skin</button>
+${diff ? '<button data-mode="diff">Diff</button>' : ''}
+<input type="range" min="0" max="100" value="50" aria-label="Slider position">
+<label><input type="checkbox" class="toggle-outlines" checked> Outlines</label>
+</div>
+<div class="side">
+<figure><figcaption>Baseline</figcaption><img src="${baseline}" alt="Baseline"></figure>
+<figure><figcaption>Current</figcaption><div class="stage"><img src="${current}" alt="Current">${outlines}</div></figure>
+</div>
+<div class="stack"><div class="stage"><img src="${baseline}" alt="Baseline"><img class="top" src="${current}" alt="Current">${outlines}</div></div>
+${diff ? `<div class="diff"><div class="stage"><img src="${diff}" alt="Diff">${outlines}</div></div>` : ''}
+</div>
+<aside>${metricsTable(result)}</aside>
+</div>
+${clusterTable(clusters)}
+${accessibilitySection(entry)}
+</section>`;
+}
+
+const STYLES = `
+body{font:14px/1.4 system-ui,sans-serif;margin:0;padding:24px;background:#f6f6f4;color:#222}
+h1{margin:0 0 8px}.summary{margin:0 0 24px;color:#555}
+.entry{background:#fff;border:1px solid #ddd;border-radius:8px;padding:16px;margin-bottom:24px}
+.entry header{display:flex;align-items:center;gap:12px}.entry h2{margin:0;font-size:18px}
+.badge{padding:2px 8px;border-radius:10px;font-size:12px;text-transform:uppercase;background:#d9f2dc}
+.changed .badge{background:#fde0dc}
+.layout{display:grid;grid-template-columns:1fr 280px;gap:16px;margin-top:12px}
+.modes{display:flex;gap:6px;align-items:center;margin-bottom:8px;flex-wrap:wrap}
+.modes button{border:1px solid #ccc;background:#fafafa;border-radius:4px;padding:4px 10px;cursor:pointer}
+.modes button.active{background:#222;color:#fff}
+.viewer .side,.viewer .stack,.viewer .diff{display:none}
+.viewer[data-mode=side] .side{display:grid;grid-template-columns:1fr 1fr;gap:8px}
+.viewer[data-mode=slider] .stack,.viewer[data-mode=onion] .stack,.viewer[data-mode=diff] .diff{display:block}
+.viewer[data-mode=side] input[type=range],.viewer[data-mode=diff] input[type=range]{display:none}
+figure{margin:0}figcaption{font-size:12px;color:#666}
+.stage{position:relative;line-height:0}.stage img{width:100%}
+.stack .top{position:absolute;left:0;top:0}
+.outline{position:absolute;border:2px solid #e5197d;background:none;padding:0;cursor:pointer;min-width:4px;min-height:4px}
+.outline span{position:absolute;top:-2px;left:-2px;transform:translateY(-100%);background:#e5197d;color:#fff;font-size:10px;line-height:1.4;padding:0 3px}
+.outline.violation{border-color:#f39c12;border-style:dashed}
+.outline.selected{box-shadow:0 0 0 3px #ffd400}
+.hide-outlines .outline{display:none}
+table{border-collapse:collapse}.metrics th{text-align:left;font-weight:500;color:#555;padding:2px 12px 2px 0}
+.list{margin-bottom:8px}.list th,.list td{border-bottom:1px solid #eee;padding:3px 10px;text-align:left}
+.list tr.selected td{background:#fff6c2}
+.swatch{display:inline-block;width:14px;height:14px;border:1px solid #999;margin-right:2px;vertical-align:middle}
+`;
+
+const SCRIPT = `
+for (let viewer of document.querySelectorAll('.viewer')) {
+  let range = viewer.querySelector('input[type=range]');
+  let top = viewer.querySelector('.stack .top');
+  let update = () => {
+    let mode = viewer.dataset.mode;
+    top.style.clipPath = mode === 'slider' ? 'inset(0 0 0 ' + range.value + '%)' : 'none';
+    top.style.opacity = mode === 'onion' ? range.value / 100 : 1;
+  };
+  for (let button of viewer.querySelectorAll('.modes button')) {
+    button.addEventListener('click', () => {
+      viewer.dataset.mode = button.dataset.mode;
+      for (let b of viewer.querySelectorAll('.modes button')) b.classList.toggle('active', b === button);
+      update();
+    });
+  }
+  range.addEventListener('input', update);
+  viewer.querySelector('.toggle-outlines').addEventListener('change', (event) => {
+    viewer.classList.toggle('hide-outlines', !event.target.checked);
+  });
+  update();
+}
+for (let entry of document.querySelectorAll('.entry')) {
+  let select = (id) => {
+    for (let el of entry.querySelectorAll('.selected')) el.classList.remove('selected');
+    for (let el of entry.querySelectorAll('[data-target="' + id + '"], tr[data-id="' + id + '"]')) {
+      el.classList.add('selected');
+    }
+    let row = entry.querySelector('tr[data-id="' + id + '"]');
+    if (row) row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  };
+  for (let outline of entry.querySelectorAll('.outline')) {
+    outline.addEventListener('click', () => select(outline.dataset.target));
+  }
+  for (let row of entry.querySelectorAll('tr[data-id]')) {
+    row.addEventListener('click', () => {
+      select(row.dataset.id);
+      let outline = entry.querySelector('.outline[data-target="' + row.dataset.id + '"]');
+      if (outline) outline.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    });
+  }
+}
+`;
+
+/**
+ * Render the report page
+ *
+ * @param {string} title - Page title
+ * @param {Array<{ entry: object, images: { baseline: Buffer, current: Buffer, diff: Buffer|null },
+ *   width: number, height: number }>} pages - Report entries with their encoded images and the
+ *   current image's dimensions (cluster and violation outlines are placed relative to it)
+ * @returns {string} HTML document
+ */
+export function renderReport(title, pages) {
+  let sections = pages.map(renderEntry);
+  let changed = pages.filter(({ entry }) => entry.result.isDifferent).length;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="summary">${pages.length} comparisons: ${changed} changed, ${pages.length - changed} unchanged</p>
+${sections.join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
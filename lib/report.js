@@ -0,0 +1,61 @@
+/**
+ * Self-contained HTML report for a set of comparison results
+ *
+ * The page itself is rendered by report-html.js; this module reads the
+ * images and writes the file.
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ErrorCodes, HoneydiffError, invalidArgument } from './errors.js';
+import { readImageBuffer } from './image.js';
+import addon from './native.js';
+import { renderReport } from './report-html.js';
+
+// Encoded images of an entry, and the current image's dimensions for placing outlines
+async function loadImages(entry) {
+  let [baseline, current, diff] = await Promise.all(
+    [entry.baseline, entry.current, entry.diff].map((input) =>
+      input == null ? null : readImageBuffer(input)
+    )
+  );
+  let { width, height } = await addon.getDimensions(current);
+  return { entry, images: { baseline, current, diff }, width, height };
+}
+
+/**
+ * Generate a self-contained HTML report
+ *
+ * @param {Array<object>} results - Report entries ({ name, baseline, current, diff?, result, wcag?, cvd? })
+ * @param {string} outputDir - Directory to write the report into (created if missing)
+ * @param {{ title?: string, fileName?: string, overwrite?: boolean }} [options]
+ * @returns {Promise<string>} Path to the written HTML file
+ */
+export async function generateReport(results, outputDir, options = {}) {
+  if (!Array.isArray(results)) {
+    throw invalidArgument('generateReport: results must be an array of report entries');
+  }
+  for (let [i, entry] of results.entries()) {
+    if (!entry || entry.baseline == null || entry.current == null || !entry.result) {
+      throw invalidArgument(`generateReport: entry ${i} needs baseline, current and result`);
+    }
+  }
+
+  let { title = 'Honeydiff report', fileName = 'index.html', overwrite = false } = options;
+  let outputPath = join(outputDir, fileName);
+
+  if (!overwrite && existsSync(outputPath)) {
+    throw new HoneydiffError(
+      ErrorCodes.OUTPUT_EXISTS,
+      `Output file already exists: ${outputPath} (pass overwrite: true to replace it)`
+    );
+  }
+
+  let pages = await Promise.all(results.map(loadImages));
+  let html = renderReport(title, pages);
+
+  await mkdir(outputDir, { recursive: true });
+  await writeFile(outputPath, html);
+  return outputPath;
+}
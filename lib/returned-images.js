@@ -0,0 +1,90 @@
+/**
+ * `returnImages`: diff artifacts as Buffers on the result
+ *
+ * The native engine only writes artifacts to disk, so requested artifacts are
+ * written to a private temporary directory, read back as PNG Buffers and the
+ * directory is removed again.
+ */
+
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { invalidArgument } from './errors.js';
+
+// returnImages entries and the CompareOptions path each one is written through
+const IMAGE_PATHS = { diff: 'diffPath', mask: 'maskPath', overlay: 'overlayPath' };
+
+/** Prefix of the private temporary directories artifacts are written to */
+export const TEMP_PREFIX = join(tmpdir(), 'honeydiff-');
+
+function requestedImages(options) {
+  let kinds = options?.returnImages;
+  if (kinds == null) return null;
+  if (!Array.isArray(kinds) || kinds.some((kind) => !IMAGE_PATHS[kind])) {
+    throw invalidArgument("returnImages must be an array of 'diff', 'mask' and/or 'overlay'");
+  }
+  return kinds.length > 0 ? kinds : null;
+}
+
+// Point every requested artifact at a file: the caller's own path if set, else the temp dir
+function plan(options, kinds, dir) {
+  let nativeOptions = { ...options };
+  let paths = {};
+  for (let kind of kinds) {
+    let key = IMAGE_PATHS[kind];
+    paths[kind] = options[key] ?? join(dir, `${kind}.png`);
+    nativeOptions[key] = paths[kind];
+  }
+  return { nativeOptions, paths };
+}
+
+/**
+ * Run a comparison, attaching requested artifacts to `result.images`
+ *
+ * @param {object} [options] - CompareOptions, possibly with `returnImages`
+ * @param {(options: object) => Promise<object>} run - Performs the comparison
+ * @returns {Promise<object>} DiffResult
+ */
+export async function withReturnedImages(options, run) {
+  let kinds = requestedImages(options);
+  if (!kinds) return run(options);
+
+  let dir = await mkdtemp(TEMP_PREFIX);
+  try {
+    let { nativeOptions, paths } = plan(options, kinds, dir);
+    let result = await run(nativeOptions);
+    result.images = {};
+    for (let kind of kinds) {
+      result.images[kind] = existsSync(paths[kind]) ? await readFile(paths[kind]) : null;
+    }
+    return result;
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Synchronous withReturnedImages()
+ *
+ * @param {object} [options] - CompareOptions, possibly with `returnImages`
+ * @param {(options: object) => object} run - Performs the comparison
+ * @returns {object} DiffResult
+ */
+export function withReturnedImagesSync(options, run) {
+  let kinds = requestedImages(options);
+  if (!kinds) return run(options);
+
+  let dir = mkdtempSync(TEMP_PREFIX);
+  try {
+    let { nativeOptions, paths } = plan(options, kinds, dir);
+    let result = run(nativeOptions);
+    result.images = {};
+    for (let kind of kinds) {
+      result.images[kind] = existsSync(paths[kind]) ? readFileSync(paths[kind]) : null;
+    }
+    return result;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
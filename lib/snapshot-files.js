@@ -0,0 +1,45 @@
+/**
+ * Snapshot baseline files
+ *
+ * Baselines are written as captured, so a JPEG screenshot for `name.png` is
+ * stored as `name.jpeg`; lookups accept the baseline in any format.
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { dirname, extname } from 'node:path';
+import { IMAGE_FORMATS, imageFormat } from './image.js';
+
+// `name.png` with another extension, e.g. `name.jpeg`
+function withFormat(path, format) {
+  return `${path.slice(0, path.length - extname(path).length)}.${format}`;
+}
+
+/**
+ * The baseline for `baselinePath` in whichever format it was written
+ * @param {string} baselinePath - Baseline path as named by the integration (`.png`)
+ * @returns {string|null} Path of the existing baseline, or null
+ */
+export function findBaseline(baselinePath) {
+  let candidates = [
+    baselinePath,
+    ...IMAGE_FORMATS.map((format) => withFormat(baselinePath, format)),
+  ];
+  return candidates.find((path) => existsSync(path)) ?? null;
+}
+
+/**
+ * Write a baseline in the screenshot's own format, replacing one written in another format
+ * @param {string} baselinePath - Baseline path as named by the integration (`.png`)
+ * @param {string|null} previousPath - Existing baseline, from findBaseline()
+ * @param {Buffer} buffer - Encoded screenshot
+ * @returns {Promise<string>} Path written
+ */
+export async function writeBaseline(baselinePath, previousPath, buffer) {
+  let format = imageFormat(buffer);
+  let path = format ? withFormat(baselinePath, format) : baselinePath;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, buffer);
+  if (previousPath && previousPath !== path) await rm(previousPath, { force: true });
+  return path;
+}
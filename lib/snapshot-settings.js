@@ -0,0 +1,86 @@
+/**
+ * Snapshot settings shared by the test-runner integrations: names, failure
+ * thresholds and failure messages
+ */
+
+import { invalidArgument } from './errors.js';
+
+// Options that configure the snapshot workflow rather than the comparison
+const SNAPSHOT_OPTIONS = [
+  'failureThreshold',
+  'failureThresholdType',
+  'snapshotName',
+  'snapshotsDir',
+  'diffDir',
+];
+
+/**
+ * Turn a test title into a file-system friendly snapshot name
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeSnapshotName(name) {
+  return (
+    String(name)
+      .trim()
+      .replace(/[^a-zA-Z0-9._-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase() || 'snapshot'
+  );
+}
+
+/**
+ * Split integration options into CompareOptions and snapshot settings
+ * @param {object} [options]
+ */
+export function splitSnapshotOptions(options = {}) {
+  let compareOptions = { ...options };
+  for (let key of SNAPSHOT_OPTIONS) {
+    delete compareOptions[key];
+  }
+
+  let { failureThreshold = 0, failureThresholdType = 'pixel' } = options;
+  if (!Number.isFinite(failureThreshold) || failureThreshold < 0) {
+    throw invalidArgument('failureThreshold must be a non-negative number');
+  }
+  if (failureThresholdType !== 'pixel' && failureThresholdType !== 'percent') {
+    throw invalidArgument("failureThresholdType must be 'pixel' or 'percent'");
+  }
+
+  return { compareOptions, failureThreshold, failureThresholdType };
+}
+
+/**
+ * Whether a diff result exceeds the failure threshold
+ *
+ * Results that the engine considers identical (for example because every
+ * cluster was filtered by `minClusterSize`) never fail.
+ */
+export function exceedsThreshold(result, failureThreshold, failureThresholdType) {
+  if (!result.isDifferent) return false;
+  let measured = failureThresholdType === 'percent' ? result.diffPercentage : result.diffPixels;
+  return measured > failureThreshold;
+}
+
+/**
+ * Describe a failed comparison for test output
+ */
+export function formatSnapshotFailure(name, result, settings, artifacts) {
+  let { failureThreshold, failureThresholdType } = settings;
+  let unit = failureThresholdType === 'percent' ? '%' : ' pixels';
+  let clusters = result.diffClusters ? result.diffClusters.length : 0;
+  let lines = [
+    `Screenshot "${name}" does not match its baseline.`,
+    `  ${result.diffPercentage.toFixed(2)}% different (${result.diffPixels} pixels), ` +
+      `${clusters} cluster${clusters === 1 ? '' : 's'} (failure threshold: ${failureThreshold}${unit})`,
+  ];
+
+  if (result.heightDiff) {
+    lines.push(`  Height changed: ${result.heightDiff.height1}px → ${result.heightDiff.height2}px`);
+  }
+  if (artifacts.received) lines.push(`  Received: ${artifacts.received}`);
+  if (artifacts.diff) lines.push(`  Diff:     ${artifacts.diff}`);
+  if (artifacts.overlay) lines.push(`  Overlay:  ${artifacts.overlay}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,118 @@
+/**
+ * Snapshot workflow shared by the test-runner integrations
+ *
+ * Compares a received screenshot with a baseline file, writes the baseline
+ * when it is new (or when updating), and keeps diff artifacts on failure.
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { compare } from './compare.js';
+import { imageFormat, readImageBuffer } from './image.js';
+import { findBaseline, writeBaseline } from './snapshot-files.js';
+import {
+  exceedsThreshold,
+  formatSnapshotFailure,
+  splitSnapshotOptions,
+} from './snapshot-settings.js';
+
+// Drop artifacts written by this comparison or left over from an earlier failing run
+async function removeArtifacts(artifacts) {
+  for (let path of Object.values(artifacts)) {
+    if (existsSync(path)) await rm(path, { force: true });
+  }
+}
+
+/**
+ * Run the snapshot workflow for one screenshot
+ *
+ * @param {object} params
+ * @param {string|Buffer|object} params.received - Screenshot under test
+ * @param {string} params.baselinePath - Where the baseline lives; its extension is replaced
+ *   with the screenshot's format when the screenshot is not a PNG
+ * @param {string} params.diffDir - Where failure artifacts are written
+ * @param {string} params.name - Snapshot name, used for artifact file names
+ * @param {'all'|'new'|'none'} params.update - `all` rewrites failing baselines, `new` only
+ *   writes missing ones, `none` never writes (CI)
+ * @param {object} [params.options] - CompareOptions plus failureThreshold/failureThresholdType
+ * @returns {Promise<{ status: 'passed'|'failed'|'written'|'updated'|'missing', result: object|null,
+ *   baselinePath: string, artifacts: { received?: string, diff?: string, overlay?: string },
+ *   message: string }>} `baselinePath` is the baseline file actually used or written
+ */
+export async function matchSnapshot({ received, baselinePath, diffDir, name, update, options }) {
+  let settings = splitSnapshotOptions(options);
+  let buffer = await readImageBuffer(received);
+  let existing = findBaseline(baselinePath);
+
+  if (!existing) {
+    if (update === 'none') {
+      return {
+        status: 'missing',
+        result: null,
+        baselinePath,
+        artifacts: {},
+        message:
+          `No baseline for screenshot "${name}" at ${baselinePath}.\n` +
+          '  New baselines are not written in CI mode; run the tests with -u / --update-snapshots to create it.',
+      };
+    }
+    let path = await writeBaseline(baselinePath, null, buffer);
+    return {
+      status: 'written',
+      result: null,
+      baselinePath: path,
+      artifacts: {},
+      message: `Wrote ${path}`,
+    };
+  }
+
+  let artifacts = {
+    received: join(diffDir, `${name}-received.${imageFormat(buffer) ?? 'png'}`),
+    diff: join(diffDir, `${name}-diff.png`),
+    overlay: join(diffDir, `${name}-overlay.png`),
+  };
+
+  // Artifacts are written in the same comparison and removed again if it passes
+  await mkdir(diffDir, { recursive: true });
+  let result = await compare(existing, buffer, {
+    includeClusters: true,
+    ...settings.compareOptions,
+    diffPath: artifacts.diff,
+    overlayPath: artifacts.overlay,
+    overwrite: true,
+  });
+
+  if (!exceedsThreshold(result, settings.failureThreshold, settings.failureThresholdType)) {
+    await removeArtifacts(artifacts);
+    return {
+      status: 'passed',
+      result,
+      baselinePath: existing,
+      artifacts: {},
+      message: `Screenshot "${name}" matches`,
+    };
+  }
+
+  if (update === 'all') {
+    let path = await writeBaseline(baselinePath, existing, buffer);
+    await removeArtifacts(artifacts);
+    return {
+      status: 'updated',
+      result,
+      baselinePath: path,
+      artifacts: {},
+      message: `Updated ${path}`,
+    };
+  }
+
+  await writeFile(artifacts.received, buffer);
+
+  return {
+    status: 'failed',
+    result,
+    baselinePath: existing,
+    artifacts,
+    message: formatSnapshotFailure(name, result, settings, artifacts),
+  };
+}
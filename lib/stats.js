@@ -0,0 +1,48 @@
+/**
+ * Difference intensity statistics shared by the JavaScript-side result builders
+ */
+
+/**
+ * Histogram of diff pixel intensities (256 integer bins)
+ * @param {Array<{ intensity: number }>} pixels
+ * @returns {number[]}
+ */
+export function intensityHistogram(pixels) {
+  let histogram = new Array(256).fill(0);
+  for (let { intensity } of pixels) {
+    histogram[Math.min(255, Math.max(0, Math.round(intensity)))]++;
+  }
+  return histogram;
+}
+
+/**
+ * IntensityStats from an intensity histogram, or null when it is empty
+ * @param {number[]} histogram - 256 bins
+ * @returns {{ max: number, min: number, mean: number, median: number, stdDev: number }|null}
+ */
+export function intensityStats(histogram) {
+  let count = histogram.reduce((total, n) => total + n, 0);
+  if (count === 0) return null;
+
+  let min = histogram.findIndex((n) => n > 0);
+  let max = histogram.findLastIndex((n) => n > 0);
+  let sum = 0;
+  for (let v = 0; v < 256; v++) sum += v * histogram[v];
+  let mean = sum / count;
+
+  let squares = 0;
+  for (let v = 0; v < 256; v++) squares += histogram[v] * (v - mean) ** 2;
+
+  // Median of the sorted intensities, averaging the middle pair for even counts
+  let nth = (k) => {
+    let seen = 0;
+    for (let v = 0; v < 256; v++) {
+      seen += histogram[v];
+      if (seen > k) return v;
+    }
+    return max;
+  };
+  let median = count % 2 ? nth((count - 1) / 2) : (nth(count / 2 - 1) + nth(count / 2)) / 2;
+
+  return { max, min, mean, median, stdDev: Math.sqrt(squares / count) };
+}
@@ -0,0 +1,178 @@
+/**
+ * Tiled comparison for very tall screenshots
+ *
+ * Both images are decoded a band of rows at a time and each band pair goes
+ * through the native engine on its own, so memory stays bounded by the band
+ * size instead of the image size. Per-band results are stitched back into a
+ * single DiffResult: clusters that touch across a band edge are merged and
+ * `minClusterSize` is applied to the merged clusters.
+ */
+
+import { BandStitcher } from './band-stitcher.js';
+import { ErrorCodes, HoneydiffError, invalidArgument } from './errors.js';
+import { toNativeInput } from './image.js';
+import addon from './native.js';
+import { openPngRows } from './png-rows.js';
+import { applyComparedPercentages, applyRegionMask, hasRegionOptions } from './regions.js';
+import { intensityStats } from './stats.js';
+
+const DEFAULT_BAND_HEIGHT = 1024;
+const DEFAULT_MIN_CLUSTER_SIZE = 2;
+
+// Artifacts, row alignment, change classification, move detection and perceptual maps need
+// the whole image, which tiling avoids
+const UNSUPPORTED_OPTIONS = [
+  'diffPath',
+  'maskPath',
+  'overlayPath',
+  'returnImages',
+  'align',
+  'diffStyle',
+  'classifyChanges',
+  'detectMoves',
+  'perceptualMap',
+];
+
+// Region options shifted into band coordinates
+function bandRegionOptions(options, y) {
+  let shift = (regions) => regions?.map((region) => ({ ...region, y: region.y - y }));
+  return {
+    ignoreRegions: shift(options.ignoreRegions),
+    includeRegions: shift(options.includeRegions),
+  };
+}
+
+/**
+ * Compare two PNG images band by band with bounded memory
+ *
+ * Accepts every CompareOptions field except the artifact paths, plus:
+ * - `bandHeight` - rows decoded and compared at a time (default 1024)
+ * - `onProgress({ band, bands, y, height, diffPixels })` - called after each band
+ *
+ * `perceptualScore` and `gmsdScore` are pooled from the per-band scores.
+ * When `maxDiffs` stops the comparison early the result has `truncated: true`
+ * and counts as different.
+ *
+ * @param {string|Buffer|object} img1 - First image (PNG file path, PNG Buffer or raw pixels)
+ * @param {string|Buffer|object} img2 - Second image (PNG file path, PNG Buffer or raw pixels)
+ * @param {object} [options]
+ * @returns {Promise<object>} DiffResult
+ */
+export async function compareTiled(img1, img2, options = {}) {
+  let { bandHeight = DEFAULT_BAND_HEIGHT, onProgress, ...compareOptions } = options;
+
+  if (!Number.isInteger(bandHeight) || bandHeight < 1) {
+    throw invalidArgument('compareTiled: bandHeight must be a positive integer');
+  }
+  for (let key of UNSUPPORTED_OPTIONS) {
+    if (compareOptions[key] != null) {
+      throw invalidArgument(`compareTiled: ${key} is not supported in tiled mode`);
+    }
+  }
+
+  let {
+    ignoreRegions,
+    includeRegions,
+    maskImage,
+    minClusterSize = DEFAULT_MIN_CLUSTER_SIZE,
+    maxDiffs,
+    ...engineOptions
+  } = compareOptions;
+  let masking = hasRegionOptions(compareOptions);
+  let wantClusters = Boolean(compareOptions.includeClusters || compareOptions.clusterMerge);
+  let wantPixels = Boolean(compareOptions.includeDiffPixels);
+
+  let readers = [];
+  try {
+    let reader1 = await openPngRows(img1);
+    readers.push(reader1);
+    let reader2 = await openPngRows(img2);
+    readers.push(reader2);
+    let maskReader = maskImage != null ? await openPngRows(maskImage) : null;
+    if (maskReader) readers.push(maskReader);
+
+    if (reader1.width !== reader2.width) {
+      throw new HoneydiffError(
+        ErrorCodes.DIMENSION_MISMATCH,
+        `Image widths differ (${reader1.width}px vs ${reader2.width}px); tiled comparison requires equal widths`
+      );
+    }
+
+    let { width } = reader1;
+    let height1 = reader1.height;
+    let height2 = reader2.height;
+    let height = Math.max(height1, height2);
+    let bands = Math.ceil(height / bandHeight);
+    let stitcher = new BandStitcher(width, wantPixels);
+
+    for (let band = 0; band < bands; band++) {
+      if (maxDiffs != null && stitcher.diffPixels >= maxDiffs) break;
+
+      let y = band * bandHeight;
+      let rows = Math.min(bandHeight, height - y);
+      // Rows both images cover; the rest of the band exists in only the taller image
+      let shared = Math.max(0, Math.min(rows, height1 - y, height2 - y));
+
+      if (shared > 0) {
+        let part1 = await reader1.read(shared);
+        let part2 = await reader2.read(shared);
+        let maskPart = maskReader ? await maskReader.read(shared) : null;
+        if (masking) {
+          stitcher.maskedPixels += applyRegionMask(
+            part1,
+            part2,
+            bandRegionOptions({ ignoreRegions, includeRegions }, y),
+            maskPart
+          );
+        }
+
+        let result = await addon.compare(toNativeInput(part1), toNativeInput(part2), {
+          ...engineOptions,
+          // Small clusters may continue in the next band, so filter after stitching
+          minClusterSize: 1,
+          includeClusters: true,
+          // Stitching needs the band's edge pixels even when the caller did not ask for them
+          includeDiffPixels: true,
+          ...(maxDiffs != null ? { maxDiffs: maxDiffs - stitcher.diffPixels } : {}),
+        });
+        stitcher.addBand(result, y, shared);
+      }
+      if (shared < rows) {
+        stitcher.addExtraRows(y + shared, rows - shared);
+      }
+
+      onProgress?.({ band: band + 1, bands, y, height: rows, diffPixels: stitcher.diffPixels });
+    }
+
+    // Bands after the limit were never compared, as the engine stops at maxDiffs
+    let truncated = maxDiffs != null && stitcher.diffPixels > 0 && stitcher.diffPixels >= maxDiffs;
+    let totalPixels = width * height;
+    let clusters = stitcher.mergedClusters();
+    let kept = clusters.filter((cluster) => cluster.pixelCount >= minClusterSize);
+    let heightDiff =
+      height1 !== height2
+        ? { height1, height2, extraPixels: width * Math.abs(height1 - height2) }
+        : null;
+
+    return applyComparedPercentages({
+      isDifferent: kept.length > 0 || heightDiff !== null || truncated,
+      totalPixels,
+      diffPixels: stitcher.diffPixels,
+      aaPixelsIgnored: stitcher.aaPixelsIgnored,
+      boundingBox: stitcher.boundingBox,
+      heightDiff,
+      diffPixelsList: wantPixels ? stitcher.diffPixelsList : null,
+      diffClusters: wantClusters ? kept : null,
+      intensityStats: wantPixels ? intensityStats(stitcher.histogram) : null,
+      perceptualScore: stitcher.ssim.weight ? stitcher.ssim.sum / stitcher.ssim.weight : null,
+      gmsdScore:
+        stitcher.gmsd.weight && !heightDiff
+          ? Math.sqrt(stitcher.gmsd.sum / stitcher.gmsd.weight)
+          : null,
+      maskedPixels: stitcher.maskedPixels,
+      truncated,
+    });
+  } finally {
+    for (let reader of readers) await reader.close();
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Matching the contrast failures of two WCAG analyses
+ *
+ * Used by compareWcag() to tell which failures a change introduced or fixed.
+ */
+
+import { intersectionArea } from './boxes.js';
+import { invalidArgument } from './errors.js';
+
+function failsAt(level) {
+  return level === 'AAA'
+    ? (violation) => violation.applicableAaaFailure
+    : (violation) => violation.applicableFailure;
+}
+
+/**
+ * Validate compareWcag() options
+ * @param {object} [options] - WcagOptions plus `level` and `diff`
+ * @returns {{ level: 'AA'|'AAA', regions: Array<object>|null }} Changed regions from `diff`
+ */
+export function checkCompareOptions(options) {
+  let level = options?.level ?? 'AA';
+  if (level !== 'AA' && level !== 'AAA') {
+    throw invalidArgument("compareWcag: level must be 'AA' or 'AAA'");
+  }
+  let diff = options?.diff;
+  if (diff != null && !Array.isArray(diff.diffClusters)) {
+    throw invalidArgument('compareWcag: diff must be a compare() result with includeClusters');
+  }
+  return { level, regions: diff ? diff.diffClusters.map((cluster) => cluster.boundingBox) : null };
+}
+
+function area(box) {
+  return box.width * box.height;
+}
+
+/**
+ * Match the failing violations of two analyses by location
+ *
+ * Pairs are formed greedily from the largest overlap (intersection over union)
+ * down; violations left without an overlapping partner are new or fixed.
+ *
+ * @param {object} baseline - WcagAnalysis of the baseline, with text sizes applied
+ * @param {object} current - WcagAnalysis of the current image
+ * @param {object} [options] - `level` ('AA' or 'AAA') and `diff`
+ * @returns {object} WcagComparison
+ */
+export function matchViolations(baseline, current, options) {
+  let { level, regions } = checkCompareOptions(options);
+  let fails = failsAt(level);
+  let inScope = (violation) =>
+    fails(violation) &&
+    (!regions || regions.some((box) => intersectionArea(box, violation.boundingBox) > 0));
+  let before = baseline.violations.filter(inScope);
+  let after = current.violations.filter(inScope);
+
+  let pairs = [];
+  for (let [i, a] of before.entries()) {
+    for (let [j, b] of after.entries()) {
+      let shared = intersectionArea(a.boundingBox, b.boundingBox);
+      if (shared > 0) {
+        let overlap = shared / (area(a.boundingBox) + area(b.boundingBox) - shared);
+        pairs.push({ i, j, overlap });
+      }
+    }
+  }
+  pairs.sort((a, b) => b.overlap - a.overlap);
+
+  let matchedBefore = new Set();
+  let matchedAfter = new Set();
+  let unchanged = [];
+  for (let { i, j } of pairs) {
+    if (matchedBefore.has(i) || matchedAfter.has(j)) continue;
+    matchedBefore.add(i);
+    matchedAfter.add(j);
+    unchanged.push({
+      baseline: before[i],
+      current: after[j],
+      contrastChange: after[j].contrastRatio - before[i].contrastRatio,
+    });
+  }
+
+  let introduced = after.filter((_, j) => !matchedAfter.has(j));
+  return {
+    baseline,
+    current,
+    introduced,
+    fixed: before.filter((_, i) => !matchedBefore.has(i)),
+    unchanged,
+    hasNewViolations: introduced.length > 0,
+  };
+}
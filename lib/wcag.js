@@ -0,0 +1,432 @@
+/**
+ * Text-aware WCAG contrast analysis
+ *
+ * The native analysis reports whether each violation fails the normal-text and
+ * large-text thresholds but not which of them applies. Here each violation's
+ * region is split into connected pieces: several glyph-sized pieces make it
+ * text, whose font size is estimated from the glyph height (ascender height is
+ * about 0.72em) and whose weight from the stroke width. Anything else is a
+ * non-text UI component, held to the 3:1 rule of WCAG 1.4.11.
+ *
+ * Stroke width needs the image pixels, so bold text is only recognized for PNG
+ * (or raw) input; otherwise text is judged by its size alone.
+ *
+ * compareWcag() matches the failing violations of two screenshots by location
+ * to tell which failures a change introduced or fixed.
+ */
+
+import { ErrorCodes, invalidArgument } from './errors.js';
+import { readImage, readImageSync, toEncodedInput } from './image.js';
+import addon from './native.js';
+import { checkCompareOptions, matchViolations } from './wcag-comparison.js';
+
+const JS_OPTIONS = ['pixelRatio', 'level', 'diff'];
+
+// WCAG large text: 18pt (24 CSS px), or 14pt (18.66 CSS px) bold
+const LARGE_FONT_SIZE = 24;
+const LARGE_BOLD_FONT_SIZE = 18.66;
+// Ascender height as a share of the font size, for typical UI fonts
+const ASCENT_SHARE = 0.72;
+// Stroke width, as a share of the font size, from which text counts as bold
+const BOLD_STROKE_SHARE = 0.13;
+// Glyph-like pieces: at least this many, no wider than this relative to their height
+const MIN_GLYPHS = 2;
+const MIN_GLYPH_PIXELS = 3;
+const MAX_GLYPH_ASPECT = 2.5;
+// Glyph heights (CSS px) outside this range are not text
+const MIN_GLYPH_HEIGHT = 4;
+const MAX_GLYPH_HEIGHT = 120;
+// Contrast thresholds with the engine's edge pass counts and violation flags, most lenient first
+const TIERS = [
+  { ratio: 3, pass: 'aaLargePass', fails: 'failsAaLarge' },
+  { ratio: 4.5, pass: 'aaNormalPass', fails: 'failsAaNormal' },
+  { ratio: 7, pass: 'aaaNormalPass', fails: 'failsAaaNormal' },
+];
+// Required contrast by text size at each level
+const AA_RATIOS = { normal: 4.5, large: 3, 'non-text': 3 };
+const AAA_RATIOS = { normal: 7, large: 4.5, 'non-text': 3 };
+
+function checkOptions(options) {
+  let pixelRatio = options?.pixelRatio ?? 1;
+  if (typeof pixelRatio !== 'number' || !(pixelRatio > 0)) {
+    throw invalidArgument('pixelRatio must be a positive number');
+  }
+  return pixelRatio;
+}
+
+function nativeOptions(options) {
+  if (!options) return options;
+  let rest = { ...options };
+  for (let key of JS_OPTIONS) {
+    delete rest[key];
+  }
+  return rest;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  let sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Mark the violation's foreground in its bounding box
+ *
+ * With pixels, every pixel closer to the foreground than the background color
+ * counts; without, the violation's own (edge) pixels do.
+ */
+function foregroundMask(violation, image) {
+  let { x, y, width, height } = violation.boundingBox;
+  let mask = new Uint8Array(width * height);
+  if (!image) {
+    for (let [px, py] of violation.pixels) {
+      if (px >= x && py >= y && px < x + width && py < y + height) {
+        mask[(py - y) * width + (px - x)] = 1;
+      }
+    }
+    return mask;
+  }
+
+  let [fr, fg, fb] = violation.foregroundColor;
+  let [br, bg, bb] = violation.backgroundColor;
+  for (let yy = 0; yy < height && y + yy < image.height; yy++) {
+    for (let xx = 0; xx < width && x + xx < image.width; xx++) {
+      let o = ((y + yy) * image.width + (x + xx)) * 4;
+      let [r, g, b] = [image.data[o], image.data[o + 1], image.data[o + 2]];
+      let toForeground = (r - fr) ** 2 + (g - fg) ** 2 + (b - fb) ** 2;
+      let toBackground = (r - br) ** 2 + (g - bg) ** 2 + (b - bb) ** 2;
+      if (toForeground < toBackground) mask[yy * width + xx] = 1;
+    }
+  }
+  return mask;
+}
+
+// Sizes of 8-connected pieces of the mask
+function pieces(mask, width, height) {
+  let seen = new Uint8Array(mask.length);
+  let found = [];
+  let stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1 || seen[start]) continue;
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    let count = 0;
+    seen[start] = 1;
+    stack.push(start);
+    while (stack.length > 0) {
+      let i = stack.pop();
+      let x = i % width;
+      let y = (i - x) / width;
+      count++;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          let nx = x + dx;
+          let ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          let n = ny * width + nx;
+          if (mask[n] === 1 && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    found.push({ width: right - left + 1, height: bottom - top + 1, count });
+  }
+  return found;
+}
+
+// Median over foreground pixels of the shorter of their horizontal and vertical runs
+function strokeWidth(mask, width, height) {
+  let across = new Uint16Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    let x = 0;
+    while (x < width) {
+      if (mask[y * width + x] !== 1) {
+        x++;
+        continue;
+      }
+      let end = x;
+      while (end < width && mask[y * width + end] === 1) end++;
+      for (let i = x; i < end; i++) across[y * width + i] = end - x;
+      x = end;
+    }
+  }
+
+  let runs = [];
+  for (let x = 0; x < width; x++) {
+    let y = 0;
+    while (y < height) {
+      if (mask[y * width + x] !== 1) {
+        y++;
+        continue;
+      }
+      let end = y;
+      while (end < height && mask[end * width + x] === 1) end++;
+      for (let i = y; i < end; i++) runs.push(Math.min(across[i * width + x], end - y));
+      y = end;
+    }
+  }
+  return median(runs);
+}
+
+/**
+ * Estimate whether a violation is normal text, large text or not text
+ *
+ * @param {object} violation - ContrastViolation
+ * @param {{ width: number, height: number, data: Uint8Array }|null} image - Analyzed
+ *   pixels, or null to judge from the violation's pixel list alone
+ * @param {number} [pixelRatio] - Device pixels per CSS pixel
+ * @returns {{ textSize: 'normal'|'large'|'non-text', glyphHeight: number|null,
+ *   strokeWidth: number|null }} Sizes in CSS pixels
+ */
+export function classifyTextSize(violation, image, pixelRatio = 1) {
+  let { width, height } = violation.boundingBox;
+  let mask = foregroundMask(violation, image);
+  let glyphs = pieces(mask, width, height).filter((piece) => piece.count >= MIN_GLYPH_PIXELS);
+  let nonText = { textSize: 'non-text', glyphHeight: null, strokeWidth: null };
+  if (glyphs.length < MIN_GLYPHS) return nonText;
+  if (median(glyphs.map((glyph) => glyph.width / glyph.height)) > MAX_GLYPH_ASPECT) {
+    return nonText;
+  }
+
+  // Tall pieces (capitals, ascenders) rather than x-height ones give the font size
+  let heights = glyphs.map((glyph) => glyph.height).sort((a, b) => a - b);
+  let glyphHeight = heights[Math.floor((heights.length - 1) * 0.9)] / pixelRatio;
+  if (glyphHeight < MIN_GLYPH_HEIGHT || glyphHeight > MAX_GLYPH_HEIGHT) return nonText;
+
+  let fontSize = glyphHeight / ASCENT_SHARE;
+  let stroke = image ? strokeWidth(mask, width, height) / pixelRatio : null;
+  let bold = stroke !== null && stroke >= fontSize * BOLD_STROKE_SHARE;
+  let large = fontSize >= LARGE_FONT_SIZE || (bold && fontSize >= LARGE_BOLD_FONT_SIZE);
+  return { textSize: large ? 'large' : 'normal', glyphHeight, strokeWidth: stroke };
+}
+
+/**
+ * Percentage of edges passing when each violation is held to the ratio for its text size
+ *
+ * The engine counts passing edges per threshold but not per violation. Edges
+ * failing 3:1 fail every rule; edges between two thresholds fail in proportion
+ * to the pixels of that band's violations the stricter rule applies to. A band
+ * without violations is judged as normal text, like `aaNormalPassPercentage`.
+ */
+function passPercentage(analysis, ratios) {
+  let { totalEdges, violations } = analysis;
+  if (totalEdges === 0) return 100;
+
+  let failing = totalEdges - analysis[TIERS[0].pass];
+  for (let i = 1; i < TIERS.length; i++) {
+    let lenient = TIERS[i - 1];
+    let strict = TIERS[i];
+    let band = analysis[lenient.pass] - analysis[strict.pass];
+    if (band <= 0) continue;
+
+    let total = 0;
+    let held = 0;
+    for (let violation of violations) {
+      if (!violation[strict.fails] || violation[lenient.fails]) continue;
+      total += violation.pixelCount;
+      if (ratios[violation.textSize] >= strict.ratio) held += violation.pixelCount;
+    }
+    let share = total > 0 ? held / total : Number(ratios.normal >= strict.ratio);
+    failing += band * share;
+  }
+  return ((totalEdges - failing) / totalEdges) * 100;
+}
+
+/**
+ * Add text size estimates, applicable failures and matching pass rates to an analysis
+ *
+ * Normal text is held to 4.5:1 (AA) and 7:1 (AAA), large text to 3:1 and
+ * 4.5:1, and non-text components to 3:1 at both levels.
+ *
+ * @param {object} analysis - WcagAnalysis from the native engine
+ * @param {{ width: number, height: number, data: Uint8Array }|null} image - Analyzed pixels
+ * @param {number} [pixelRatio] - Device pixels per CSS pixel
+ * @returns {object} The analysis
+ */
+export function applyTextSizes(analysis, image, pixelRatio = 1) {
+  for (let violation of analysis.violations) {
+    Object.assign(violation, classifyTextSize(violation, image, pixelRatio));
+    let { textSize } = violation;
+    violation.applicableFailure =
+      textSize === 'normal' ? violation.failsAaNormal : violation.failsAaLarge;
+    violation.applicableAaaFailure =
+      textSize === 'normal'
+        ? violation.failsAaaNormal
+        : textSize === 'large'
+          ? violation.failsAaaLarge
+          : violation.failsAaLarge;
+  }
+  analysis.aaPassPercentage = passPercentage(analysis, AA_RATIOS);
+  analysis.aaaPassPercentage = passPercentage(analysis, AAA_RATIOS);
+  return analysis;
+}
+
+// Pixels for stroke estimates; other formats are analyzed by the engine alone
+async function analyzedPixels(img) {
+  try {
+    return await readImage(img);
+  } catch (error) {
+    if (error.code === ErrorCodes.UNSUPPORTED_FORMAT) return null;
+    throw error;
+  }
+}
+
+function analyzedPixelsSync(img) {
+  try {
+    return readImageSync(img);
+  } catch (error) {
+    if (error.code === ErrorCodes.UNSUPPORTED_FORMAT) return null;
+    throw error;
+  }
+}
+
+/**
+ * Analyze WCAG color contrast, classifying each violation's text size
+ * @param {string|Buffer|object} img - Image to analyze
+ * @param {object} [options] - WcagOptions
+ * @returns {Promise<object>} WcagAnalysis
+ */
+export async function analyzeWcagContrast(img, options) {
+  let pixelRatio = checkOptions(options);
+  let analysis = await addon.analyzeWcagContrast(toEncodedInput(img), nativeOptions(options));
+  return applyTextSizes(analysis, await analyzedPixels(img), pixelRatio);
+}
+
+/**
+ * Synchronous analyzeWcagContrast() (blocks event loop)
+ * @param {string|Buffer|object} img - Image to analyze
+ * @param {object} [options] - WcagOptions
+ * @returns {object} WcagAnalysis
+ */
+export function analyzeWcagContrastSync(img, options) {
+  let pixelRatio = checkOptions(options);
+  let analysis = addon.analyzeWcagContrastSync(toEncodedInput(img), nativeOptions(options));
+  return applyTextSizes(analysis, analyzedPixelsSync(img), pixelRatio);
+}
+
+const CVD_REPORT_TYPES = ['protanopia', 'deuteranopia', 'tritanopia'];
+
+// A CVD analysis reports simulated colors, so its strokes are measured on the simulated pixels
+async function simulatedPixels(input, image, analysis, cvdType) {
+  if (!image || analysis.violations.length === 0) return null;
+  return readImage(await addon.simulateColorBlindness(input, cvdType));
+}
+
+function simulatedPixelsSync(input, image, analysis, cvdType) {
+  if (!image || analysis.violations.length === 0) return null;
+  return readImageSync(addon.simulateColorBlindnessSync(input, cvdType));
+}
+
+/**
+ * Analyze WCAG contrast as seen with a color vision deficiency
+ * @param {string|Buffer|object} img - Image to analyze
+ * @param {string} cvdType - Color blindness type
+ * @param {object} [options] - WcagOptions
+ * @returns {Promise<object>} WcagAnalysis
+ */
+export async function analyzeWcagForCvd(img, cvdType, options) {
+  let pixelRatio = checkOptions(options);
+  let input = toEncodedInput(img);
+  let analysis = await addon.analyzeWcagForCvd(input, cvdType, nativeOptions(options));
+  let image = await simulatedPixels(input, await analyzedPixels(img), analysis, cvdType);
+  return applyTextSizes(analysis, image, pixelRatio);
+}
+
+/**
+ * Synchronous analyzeWcagForCvd() (blocks event loop)
+ * @param {string|Buffer|object} img - Image to analyze
+ * @param {string} cvdType - Color blindness type
+ * @param {object} [options] - WcagOptions
+ * @returns {object} WcagAnalysis
+ */
+export function analyzeWcagForCvdSync(img, cvdType, options) {
+  let pixelRatio = checkOptions(options);
+  let input = toEncodedInput(img);
+  let analysis = addon.analyzeWcagForCvdSync(input, cvdType, nativeOptions(options));
+  let image = simulatedPixelsSync(input, analyzedPixelsSync(img), analysis, cvdType);
+  return applyTextSizes(analysis, image, pixelRatio);
+}
+
+/**
+ * Analyze WCAG contrast for normal vision and every CVD type
+ *
+ * Simulations are decoded one type at a time to bound memory use.
+ *
+ * @param {string|Buffer|object} img - Image to analyze
+ * @param {object} [options] - WcagOptions
+ * @returns {Promise<object>} CvdWcagReport
+ */
+export async function analyzeWcagAllCvd(img, options) {
+  let pixelRatio = checkOptions(options);
+  let input = toEncodedInput(img);
+  let report = await addon.analyzeWcagAllCvd(input, nativeOptions(options));
+  let image = await analyzedPixels(img);
+  applyTextSizes(report.normalVision, image, pixelRatio);
+  for (let type of CVD_REPORT_TYPES) {
+    let simulated = await simulatedPixels(input, image, report[type], type);
+    applyTextSizes(report[type], simulated, pixelRatio);
+  }
+  return report;
+}
+
+/**
+ * Synchronous analyzeWcagAllCvd() (blocks event loop)
+ * @param {string|Buffer|object} img - Image to analyze
+ * @param {object} [options] - WcagOptions
+ * @returns {object} CvdWcagReport
+ */
+export function analyzeWcagAllCvdSync(img, options) {
+  let pixelRatio = checkOptions(options);
+  let input = toEncodedInput(img);
+  let report = addon.analyzeWcagAllCvdSync(input, nativeOptions(options));
+  let image = analyzedPixelsSync(img);
+  applyTextSizes(report.normalVision, image, pixelRatio);
+  for (let type of CVD_REPORT_TYPES) {
+    applyTextSizes(report[type], simulatedPixelsSync(input, image, report[type], type), pixelRatio);
+  }
+  return report;
+}
+
+/**
+ * Find contrast failures a change introduced or fixed
+ *
+ * Both images are analyzed with analyzeWcagContrast(); violations failing the
+ * rule for their text size at `level` are matched by location. With `diff`
+ * (a compare() result with clusters), only violations touching a changed
+ * cluster are considered.
+ *
+ * @param {string|Buffer|object} baseline - Baseline image
+ * @param {string|Buffer|object} current - Current image
+ * @param {object} [options] - WcagOptions plus `level` ('AA' or 'AAA') and `diff`
+ * @returns {Promise<object>} WcagComparison
+ */
+export async function compareWcag(baseline, current, options) {
+  checkCompareOptions(options);
+  let [before, after] = await Promise.all([
+    analyzeWcagContrast(baseline, options),
+    analyzeWcagContrast(current, options),
+  ]);
+  return matchViolations(before, after, options);
+}
+
+/**
+ * Synchronous compareWcag() (blocks event loop)
+ * @param {string|Buffer|object} baseline - Baseline image
+ * @param {string|Buffer|object} current - Current image
+ * @param {object} [options] - WcagOptions plus `level` ('AA' or 'AAA') and `diff`
+ * @returns {object} WcagComparison
+ */
+export function compareWcagSync(baseline, current, options) {
+  checkCompareOptions(options);
+  let before = analyzeWcagContrastSync(baseline, options);
+  let after = analyzeWcagContrastSync(current, options);
+  return matchViolations(before, after, options);
+}
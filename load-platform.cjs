@@ -15,7 +15,9 @@ function getPlatformBinary() {
   } else if (platform === 'win32' && arch === 'x64') {
     target = 'x86_64-pc-windows-msvc';
   } else {
-    throw new Error(`Unsupported platform: ${platform} ${arch}. Supported: macOS ARM64, Linux x64/ARM64, Windows x64`);
+    const error = new Error(`Unsupported platform: ${platform} ${arch}. Supported: macOS ARM64, Linux x64/ARM64, Windows x64`);
+    error.code = 'HONEYDIFF_UNSUPPORTED_PLATFORM';
+    throw error;
   }
 
   const binaryPath = path.join(__dirname, 'platforms', `index-${target}.node`);
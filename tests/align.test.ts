@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { alignmentFallback, alignRows, applyAlignment } from '../lib/align.js';
+
+// An image whose rows are solid grays with the given values
+function rows(width, values) {
+  let data = new Uint8Array(width * values.length * 4);
+  for (let [y, value] of values.entries()) {
+    for (let x = 0; x < width; x++) data.set([value, value, value, 255], (y * width + x) * 4);
+  }
+  return { width, height: values.length, data };
+}
+
+function rowValues(image) {
+  let values = [];
+  for (let y = 0; y < image.height; y++) values.push(image.data[y * image.width * 4]);
+  return values;
+}
+
+describe('alignRows', () => {
+  it('reports inserted rows and copies them from the current image', () => {
+    let baseline = rows(3, [1, 2, 3, 4, 5, 6]);
+    let current = rows(3, [1, 2, 3, 100, 101, 4, 5, 6]);
+    let alignment = alignRows(baseline, current);
+
+    assert.deepEqual(alignment.inserted, [{ y: 3, height: 2 }]);
+    assert.deepEqual(alignment.removed, []);
+    assert.deepEqual(alignment.moved, []);
+    assert.deepEqual(rowValues(alignment.aligned), [1, 2, 3, 100, 101, 4, 5, 6]);
+  });
+
+  it('reports removed rows with the position they were removed at', () => {
+    let baseline = rows(3, [1, 2, 3, 4, 5, 6]);
+    let current = rows(3, [1, 2, 5, 6]);
+    let alignment = alignRows(baseline, current);
+
+    assert.deepEqual(alignment.removed, [{ y: 2, height: 2, at: 2 }]);
+    assert.deepEqual(alignment.inserted, []);
+    assert.deepEqual(rowValues(alignment.aligned), [1, 2, 5, 6]);
+  });
+
+  it('pairs changed rows with the baseline rows they replaced', () => {
+    let baseline = rows(3, [1, 2, 3, 4]);
+    let current = rows(3, [1, 50, 51, 4]);
+    let alignment = alignRows(baseline, current);
+
+    assert.deepEqual(alignment.inserted, []);
+    assert.deepEqual(alignment.removed, []);
+    assert.deepEqual(rowValues(alignment.aligned), [1, 2, 3, 4]);
+  });
+
+  it('detects a block that moved unchanged', () => {
+    let baseline = rows(2, [1, 2, 3, 4, 10, 11, 12, 13, 20]);
+    let current = rows(2, [10, 11, 12, 13, 1, 2, 3, 4, 20]);
+    let alignment = alignRows(baseline, current, { minMoveHeight: 4 });
+
+    assert.equal(alignment.moved.length, 1);
+    assert.equal(alignment.moved[0].height, 4);
+    assert.deepEqual(alignment.inserted, []);
+    assert.deepEqual(alignment.removed, []);
+    assert.deepEqual(rowValues(alignment.aligned), rowValues(current));
+  });
+
+  it('does not report uniform blocks as moves', () => {
+    let baseline = rows(2, [7, 7, 7, 7, 1, 2]);
+    let current = rows(2, [1, 2, 7, 7, 7, 7]);
+    assert.deepEqual(alignRows(baseline, current).moved, []);
+  });
+
+  it('gives up on different widths and on too many edited rows', () => {
+    assert.equal(alignRows(rows(2, [1, 2]), rows(3, [1, 2])), null);
+    let baseline = rows(1, [1, 2, 3, 4, 5, 6]);
+    let current = rows(1, [11, 12, 13, 14, 15, 16]);
+    assert.equal(alignRows(baseline, current, { maxEditRows: 4 }), null);
+  });
+});
+
+// A DiffResult of the realigned baseline vs the current image with one differing pixel
+function alignedResult(width, height) {
+  return {
+    isDifferent: true,
+    totalPixels: width * height,
+    diffPixels: 1,
+    diffPercentage: (1 / (width * height)) * 100,
+    boundingBox: { x: 0, y: 0, width: 1, height: 1 },
+    heightDiff: null,
+    diffPixelsList: [{ x: 0, y: 0, intensity: 40 }],
+    diffClusters: [],
+    intensityStats: { min: 40, max: 40, mean: 40, median: 40, stdDev: 0 },
+  };
+}
+
+describe('applyAlignment', () => {
+  it('adds inserted rows to the pixel list and recomputes intensityStats', () => {
+    let baseline = rows(2, [1, 2, 3]);
+    let current = rows(2, [1, 2, 100, 3]);
+    let alignment = alignRows(baseline, current);
+    let result = applyAlignment(alignedResult(2, 4), alignment, baseline);
+
+    assert.equal(result.diffPixels, 3);
+    assert.equal(result.diffPixelsList.length, 3);
+    assert.equal(result.intensityStats.max, 255);
+    assert.equal(result.intensityStats.median, 255);
+    assert.equal(result.diffClusters.length, 1);
+    assert.deepEqual(result.heightDiff, { height1: 3, height2: 4, extraPixels: 2 });
+  });
+
+  it('counts removed rows in diffPixels and totalPixels', () => {
+    let baseline = rows(2, [1, 2, 3, 4]);
+    let current = rows(2, [1, 4]);
+    let alignment = alignRows(baseline, current);
+    let result = applyAlignment(alignedResult(2, 2), alignment, baseline);
+
+    assert.equal(result.diffPixels, 5);
+    assert.equal(result.totalPixels, 8);
+    assert.equal(result.diffPercentage, 62.5);
+    assert.equal(result.diffPixelsList.length, 1);
+    assert.deepEqual(result.boundingBox, { x: 0, y: 0, width: 1, height: 1 });
+  });
+});
+
+describe('alignmentFallback', () => {
+  it('names the reason alignment gave up', () => {
+    assert.equal(alignmentFallback(rows(2, [1]), rows(3, [1])), 'widthMismatch');
+    assert.equal(alignmentFallback(rows(2, [1]), rows(2, [1, 2])), 'maxEditRows');
+  });
+});
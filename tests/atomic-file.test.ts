@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { readJsonFile, WriteQueue, writeJsonAtomic } from '../lib/atomic-file.js';
+import { ErrorCodes } from '../lib/errors.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'honeydiff-atomic-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('readJsonFile', () => {
+  it('reads back what writeJsonAtomic wrote', async () => {
+    let path = join(dir, 'value.json');
+    await writeJsonAtomic(path, { version: 1, entries: {} });
+    assert.deepEqual(await readJsonFile(path, 'test file'), { version: 1, entries: {} });
+    assert.deepEqual(
+      readdirSync(dir).filter((name) => name.endsWith('.tmp')),
+      []
+    );
+  });
+
+  it('reports corrupt files as DECODE_FAILED', async () => {
+    let truncated = join(dir, 'truncated.json');
+    writeFileSync(truncated, '{"version": 1, "entr');
+    await assert.rejects(
+      readJsonFile(truncated, 'test file'),
+      (error) => error.code === ErrorCodes.DECODE_FAILED && error.cause instanceof SyntaxError
+    );
+
+    let notObject = join(dir, 'array.json');
+    writeFileSync(notObject, '[1, 2]');
+    await assert.rejects(
+      readJsonFile(notObject, 'test file'),
+      (error) => error.code === ErrorCodes.DECODE_FAILED
+    );
+  });
+
+  it('passes file system errors through', async () => {
+    await assert.rejects(
+      readJsonFile(join(dir, 'missing.json'), 'test file'),
+      (error) => error.code === 'ENOENT'
+    );
+  });
+});
+
+describe('WriteQueue', () => {
+  it('runs tasks one at a time in order, even after a failure', async () => {
+    let queue = new WriteQueue();
+    let events = [];
+    let task = (name, ms) => async () => {
+      events.push(`start ${name}`);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      events.push(`end ${name}`);
+      return name;
+    };
+
+    let first = queue.run(task('a', 20));
+    let failed = queue.run(() => {
+      throw new Error('boom');
+    });
+    let last = queue.run(task('b', 1));
+
+    assert.equal(await first, 'a');
+    await assert.rejects(failed, /boom/);
+    assert.equal(await last, 'b');
+    assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b']);
+  });
+});
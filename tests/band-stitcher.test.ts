@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BandStitcher } from '../lib/band-stitcher.js';
+
+// A band result with one cluster per group of band-relative pixels
+function band(groups) {
+  let diffPixelsList = groups.flat().map(([x, y]) => ({ x, y, intensity: 100 }));
+  let diffClusters = groups.map((pixels) => {
+    let xs = pixels.map(([x]) => x);
+    let ys = pixels.map(([, y]) => y);
+    let x = Math.min(...xs);
+    let y = Math.min(...ys);
+    return {
+      pixelCount: pixels.length,
+      centerOfMass: [
+        xs.reduce((sum, v) => sum + v, 0) / pixels.length,
+        ys.reduce((sum, v) => sum + v, 0) / pixels.length,
+      ],
+      avgIntensity: 100,
+      boundingBox: { x, y, width: Math.max(...xs) - x + 1, height: Math.max(...ys) - y + 1 },
+    };
+  });
+  return {
+    diffPixels: diffPixelsList.length,
+    aaPixelsIgnored: 0,
+    boundingBox: diffClusters.length ? diffClusters[0].boundingBox : null,
+    diffPixelsList,
+    diffClusters,
+    perceptualScore: null,
+    gmsdScore: null,
+  };
+}
+
+describe('BandStitcher', () => {
+  it('joins a cluster that crosses a band edge', () => {
+    let stitcher = new BandStitcher(10, false);
+    stitcher.addBand(
+      band([
+        [
+          [5, 2],
+          [5, 3],
+        ],
+      ]),
+      0,
+      4
+    );
+    stitcher.addBand(
+      band([
+        [
+          [6, 0],
+          [6, 1],
+        ],
+      ]),
+      4,
+      4
+    );
+
+    let clusters = stitcher.mergedClusters();
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].pixelCount, 4);
+    assert.deepEqual(clusters[0].boundingBox, { x: 5, y: 2, width: 2, height: 4 });
+    assert.deepEqual(clusters[0].centerOfMass, [5.5, 3.5]);
+  });
+
+  it('keeps clusters apart when their edge pixels do not touch', () => {
+    let stitcher = new BandStitcher(10, false);
+    stitcher.addBand(band([[[1, 3]]]), 0, 4);
+    stitcher.addBand(band([[[5, 0]]]), 4, 4);
+
+    assert.equal(stitcher.mergedClusters().length, 2);
+  });
+
+  it('joins edge pixels through the cluster they belong to, not the box they lie in', () => {
+    let stitcher = new BandStitcher(10, false);
+    // An L-shaped cluster whose box covers a separate pixel on the band's last row
+    let corner = [
+      [0, 0],
+      [1, 0],
+      [2, 0],
+      [3, 0],
+      [4, 0],
+      [5, 0],
+      [0, 1],
+      [0, 2],
+      [0, 3],
+    ];
+    stitcher.addBand(band([corner, [[4, 3]]]), 0, 4);
+    stitcher.addBand(band([[[4, 0]]]), 4, 4);
+
+    let clusters = stitcher.mergedClusters();
+    assert.deepEqual(
+      clusters.map((cluster) => cluster.pixelCount),
+      [9, 2]
+    );
+    assert.deepEqual(clusters[1].boundingBox, { x: 4, y: 3, width: 1, height: 2 });
+  });
+
+  it('cannot join clusters without the band pixels', () => {
+    let stitcher = new BandStitcher(10, false);
+    stitcher.addBand({ ...band([[[5, 3]]]), diffPixelsList: null }, 0, 4);
+    stitcher.addBand({ ...band([[[5, 0]]]), diffPixelsList: null }, 4, 4);
+
+    assert.equal(stitcher.mergedClusters().length, 2);
+  });
+
+  it('joins extra rows with the cluster above them', () => {
+    let stitcher = new BandStitcher(4, false);
+    stitcher.addBand(band([[[2, 1]]]), 0, 2);
+    stitcher.addExtraRows(2, 1);
+
+    let clusters = stitcher.mergedClusters();
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].pixelCount, 5);
+    assert.equal(stitcher.diffPixels, 5);
+    assert.deepEqual(stitcher.boundingBox, { x: 0, y: 1, width: 4, height: 2 });
+  });
+
+  it('shifts kept pixels into image coordinates and counts intensities', () => {
+    let stitcher = new BandStitcher(10, true);
+    stitcher.addBand(band([[[3, 1]]]), 8, 4);
+
+    assert.deepEqual(stitcher.diffPixelsList, [{ x: 3, y: 9, intensity: 100 }]);
+    assert.equal(stitcher.histogram[100], 1);
+  });
+});
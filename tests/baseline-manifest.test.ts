@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  approveKey,
+  baselineKey,
+  emptyManifest,
+  formatOf,
+  normalizeVariant,
+} from '../lib/baseline-manifest.js';
+import { ErrorCodes } from '../lib/errors.js';
+
+function pendingEntry(hash, overrides = {}) {
+  return { name: 'home', variant: {}, hash, width: 10, height: 20, status: 'new', ...overrides };
+}
+
+describe('baselineKey', () => {
+  it('appends the browser and viewport to the name', () => {
+    assert.equal(baselineKey('home'), 'home');
+    assert.equal(baselineKey('home', { browser: 'firefox' }), 'home [firefox]');
+    assert.equal(
+      baselineKey('checkout/summary', {
+        browser: 'chromium',
+        viewport: { width: 1280, height: 720 },
+      }),
+      'checkout/summary [chromium 1280x720]'
+    );
+    assert.equal(baselineKey('home', { viewport: '375x812' }), 'home [375x812]');
+  });
+
+  it('rejects empty names', () => {
+    assert.throws(
+      () => baselineKey(''),
+      (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+    );
+    assert.throws(
+      () => baselineKey(undefined),
+      (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+    );
+  });
+});
+
+describe('normalizeVariant', () => {
+  it('keeps only the fields that are set, as strings', () => {
+    assert.deepEqual(normalizeVariant(), {});
+    assert.deepEqual(
+      normalizeVariant({ browser: 'webkit', viewport: { width: 390, height: 844 } }),
+      {
+        browser: 'webkit',
+        viewport: '390x844',
+      }
+    );
+  });
+});
+
+describe('formatOf', () => {
+  it('treats entries without a format as PNG', () => {
+    assert.equal(formatOf({ hash: 'a' }), 'png');
+    assert.equal(formatOf({ hash: 'a', format: 'webp' }), 'webp');
+  });
+});
+
+describe('approveKey', () => {
+  it('promotes the pending entry and returns the baseline it replaced', () => {
+    let manifest = emptyManifest();
+    let old = { name: 'home', variant: {}, hash: 'old', format: 'png', width: 10, height: 20 };
+    manifest.baselines.home = old;
+    manifest.pending.home = pendingEntry('new', { format: 'jpeg', status: 'changed' });
+
+    let { entry, previous } = approveKey(manifest, 'home');
+
+    assert.equal(previous, old);
+    assert.equal(entry.hash, 'new');
+    assert.equal(entry.format, 'jpeg');
+    assert.equal(typeof entry.approvedAt, 'string');
+    assert.equal(entry.status, undefined);
+    assert.equal(manifest.baselines.home, entry);
+    assert.deepEqual(manifest.pending, {});
+  });
+
+  it('reports no replaced baseline when the object is unchanged', () => {
+    let manifest = emptyManifest();
+    manifest.baselines.home = { hash: 'same' };
+    manifest.pending.home = pendingEntry('same');
+    assert.equal(approveKey(manifest, 'home').previous, null);
+
+    manifest.pending.about = pendingEntry('first');
+    assert.equal(approveKey(manifest, 'about').previous, null);
+    assert.equal(manifest.baselines.about.format, 'png');
+  });
+
+  it('fails when nothing is pending for the key', () => {
+    assert.throws(
+      () => approveKey(emptyManifest(), 'missing'),
+      (error) => error.code === ErrorCodes.BASELINE_NOT_FOUND
+    );
+  });
+});
@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { calibrate } from '../lib/calibration.js';
+import { ErrorCodes } from '../lib/errors.js';
+
+// Fake compare(): `noiseAt(threshold)` sizes the largest noise cluster and `aa`
+// counts the edge pixels anti-aliasing detection absorbs
+function fakeCompare(noiseAt, { aa = 0 } = {}) {
+  let calls = [];
+  let compare = async (image1, image2, options) => {
+    calls.push({ images: [image1, image2], options });
+    let size = noiseAt(options.threshold);
+    let clusters = size > 0 ? [{ pixelCount: size }, { pixelCount: 1 }] : [];
+    let diffPixels = clusters.reduce((total, cluster) => total + cluster.pixelCount, 0);
+    return {
+      isDifferent: clusters.some((cluster) => cluster.pixelCount >= options.minClusterSize),
+      diffPixels,
+      aaPixelsIgnored: options.antialiasing ? aa : 0,
+      diffClusters: clusters,
+      intensityStats: diffPixels > 0 ? { mean: 10, max: 30 } : null,
+    };
+  };
+  return { calls, compare };
+}
+
+const shrinking = (threshold) => Math.max(0, 40 - 10 * threshold);
+
+describe('calibrate', () => {
+  it('picks the lowest threshold whose noise clusters can be filtered', async () => {
+    let engine = fakeCompare(shrinking, { aa: 5 });
+    let calibration = await calibrate(['a', 'b', 'c'], {}, engine.compare);
+
+    assert.deepEqual(calibration.options, {
+      threshold: 3.1,
+      minClusterSize: 20,
+      antialiasing: true,
+    });
+    assert.equal(calibration.verified, true);
+    assert.deepEqual(
+      calibration.noise.byThreshold.map((step) => [step.threshold, step.largestCluster]),
+      [
+        [0, 40],
+        [0.5, 35],
+        [1, 30],
+        [1.5, 25],
+        [2, 20],
+        [2.5, 15],
+      ]
+    );
+    assert.match(calibration.explanations.antialiasing, /absorbed up to 5 noisy edge pixels/);
+    assert.match(calibration.explanations.threshold, /At Delta E 2.5 .* gives 3.1\./);
+    assert.match(calibration.explanations.minClusterSize, /under 20 px/);
+  });
+
+  it('summarizes the raw noise of every pair', async () => {
+    let engine = fakeCompare(shrinking);
+    let { noise } = await calibrate(['a', 'b', 'c'], {}, engine.compare);
+    assert.deepEqual(
+      noise.pairs.map((pair) => pair.samples),
+      [
+        [0, 1],
+        [0, 2],
+        [1, 2],
+      ]
+    );
+    assert.deepEqual(noise.pairs[0], {
+      samples: [0, 1],
+      diffPixels: 41,
+      aaPixelsIgnored: 0,
+      clusterCount: 2,
+      largestCluster: 40,
+      intensityStats: { mean: 10, max: 30 },
+    });
+    assert.deepEqual(noise.diffPixels, { max: 41, mean: 41 });
+    assert.equal(noise.maxIntensity, 30);
+    assert.equal(noise.meanIntensity, 10);
+    assert.deepEqual(noise.clusterSizes, { count: 6, max: 40, p95: 40 });
+  });
+
+  it('passes CompareOptions through but sets its own options', async () => {
+    let engine = fakeCompare(() => 0);
+    let ignoreRegions = [{ x: 0, y: 0, width: 10, height: 10 }];
+    await calibrate(
+      ['a', 'b'],
+      { ignoreRegions, threshold: 9, diffPath: 'diff.png', returnImages: ['diff'], margin: 0 },
+      engine.compare
+    );
+
+    let [raw, step, verification] = engine.calls;
+    assert.deepEqual(raw.images, ['a', 'b']);
+    assert.deepEqual(raw.options, {
+      ignoreRegions,
+      includeClusters: true,
+      minClusterSize: 1,
+      threshold: 0,
+      antialiasing: true,
+      includeDiffPixels: true,
+    });
+    assert.deepEqual(step.options, {
+      ignoreRegions,
+      includeClusters: true,
+      minClusterSize: 1,
+      threshold: 0,
+      antialiasing: false,
+    });
+    assert.deepEqual(verification.options, {
+      ignoreRegions,
+      threshold: 0,
+      minClusterSize: 1,
+      antialiasing: false,
+    });
+  });
+
+  it('keeps exact matching for samples without noise', async () => {
+    let calibration = await calibrate(['a', 'b'], {}, fakeCompare(() => 0).compare);
+    assert.deepEqual(calibration.options, { threshold: 0, minClusterSize: 1, antialiasing: false });
+    assert.equal(calibration.verified, true);
+    assert.match(calibration.explanations.threshold, /^Every pair matches at Delta E 0/);
+    assert.match(calibration.explanations.minClusterSize, /^No noise clusters remain/);
+  });
+
+  it('falls back to the highest step when the noise never gets small enough', async () => {
+    let calibration = await calibrate(
+      ['a', 'b'],
+      { maxNoiseCluster: 0, margin: 0 },
+      fakeCompare(() => 50).compare
+    );
+    assert.equal(calibration.noise.byThreshold.length, 12);
+    assert.deepEqual(calibration.options, {
+      threshold: 10,
+      minClusterSize: 51,
+      antialiasing: false,
+    });
+    assert.match(calibration.explanations.threshold, /never fell to 0 px/);
+  });
+
+  it('rejects invalid samples and options', async () => {
+    let { compare } = fakeCompare(() => 0);
+    for (let [samples, options] of [
+      [['a'], {}],
+      ['ab', {}],
+      [['a', 'b'], { margin: -1 }],
+      [['a', 'b'], { maxNoiseCluster: 1.5 }],
+    ]) {
+      await assert.rejects(
+        calibrate(samples, options, compare),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { classifyCluster } from '../lib/classify.js';
+
+const BLACK = [0, 0, 0];
+const RED = [255, 0, 0];
+
+// A white canvas with solid rectangles drawn on it
+function canvas(width, height, rects = []) {
+  let data = new Uint8Array(width * height * 4).fill(255);
+  for (let { x, y, width: w, height: h, color } of rects) {
+    for (let yy = y; yy < y + h; yy++) {
+      for (let xx = x; xx < x + w; xx++) data.set([...color, 255], (yy * width + xx) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+function cluster(boundingBox, overrides = {}) {
+  return { boundingBox, pixelCount: 50, avgIntensity: 200, ...overrides };
+}
+
+const SQUARE = { x: 10, y: 10, width: 8, height: 8 };
+const AROUND_SQUARE = { x: 8, y: 8, width: 12, height: 12 };
+
+describe('classifyCluster', () => {
+  it('labels the same shape in a new color as color', () => {
+    let before = canvas(40, 40, [{ ...SQUARE, color: BLACK }]);
+    let after = canvas(40, 40, [{ ...SQUARE, color: RED }]);
+    assert.equal(classifyCluster(cluster(AROUND_SQUARE), before, after), 'color');
+  });
+
+  it('labels content that appeared or disappeared', () => {
+    let empty = canvas(40, 40);
+    let square = canvas(40, 40, [{ ...SQUARE, color: BLACK }]);
+    assert.equal(classifyCluster(cluster(AROUND_SQUARE), empty, square), 'added');
+    assert.equal(classifyCluster(cluster(AROUND_SQUARE), square, empty), 'removed');
+  });
+
+  it('labels the same shape at an offset as shift', () => {
+    let before = canvas(40, 40, [{ ...SQUARE, color: BLACK }]);
+    let after = canvas(40, 40, [{ ...SQUARE, x: 14, color: BLACK }]);
+    let box = { x: 8, y: 8, width: 18, height: 12 };
+    assert.equal(classifyCluster(cluster(box), before, after), 'shift');
+  });
+
+  it('labels small or faint clusters as noise', () => {
+    let before = canvas(40, 40, [{ ...SQUARE, color: BLACK }]);
+    let after = canvas(40, 40, [{ ...SQUARE, color: RED }]);
+    let box = AROUND_SQUARE;
+    assert.equal(classifyCluster(cluster(box, { pixelCount: 3 }), before, after), 'noise');
+    assert.equal(classifyCluster(cluster(box, { avgIntensity: 5 }), before, after), 'noise');
+  });
+
+  it('labels a glyph removed from a line of glyphs as text', () => {
+    let glyphs = [10, 14, 18, 22, 26].map((x) => ({ x, y: 10, width: 2, height: 6, color: BLACK }));
+    let before = canvas(40, 30, glyphs);
+    let after = canvas(
+      40,
+      30,
+      glyphs.filter((glyph) => glyph.x !== 18)
+    );
+    let box = { x: 18, y: 10, width: 2, height: 6 };
+    assert.equal(classifyCluster(cluster(box), before, after), 'text');
+  });
+
+  it('labels areas beyond the baseline as added', () => {
+    let before = canvas(40, 20);
+    let after = canvas(40, 40, [{ x: 0, y: 20, width: 40, height: 20, color: BLACK }]);
+    let box = { x: 0, y: 20, width: 40, height: 20 };
+    assert.equal(classifyCluster(cluster(box), before, after), 'added');
+  });
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  compareOptionsFrom,
+  parseCommandLine,
+  requirePositionals,
+  toNumber,
+  UsageError,
+} from '../lib/cli-options.js';
+
+function optionsFor(args) {
+  return compareOptionsFrom(parseCommandLine(args).values);
+}
+
+describe('parseCommandLine', () => {
+  it('separates flags from positionals', () => {
+    let { values, positionals } = parseCommandLine(['a.png', '--json', 'b.png', '-h']);
+    assert.deepEqual(positionals, ['a.png', 'b.png']);
+    assert.equal(values.json, true);
+    assert.equal(values.help, true);
+  });
+
+  it('rejects unknown flags', () => {
+    assert.throws(
+      () => parseCommandLine(['--thresold', '3']),
+      (error) => error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+    );
+  });
+});
+
+describe('compareOptionsFrom', () => {
+  it('leaves unset flags out', () => {
+    assert.deepEqual(optionsFor([]), {});
+  });
+
+  it('maps compare flags onto CompareOptions', () => {
+    let options = optionsFor([
+      '--threshold',
+      '3.5',
+      '--no-antialiasing',
+      '--max-diffs',
+      '100',
+      '--clusters',
+      '--ssim',
+      '--min-cluster-size',
+      '4',
+      '--diff-style',
+      'heatmap',
+      '--mask-image',
+      'mask.png',
+      '--align',
+      '--classify',
+      '--perceptual-map',
+    ]);
+    assert.deepEqual(options, {
+      threshold: 3.5,
+      antialiasing: false,
+      maxDiffs: 100,
+      includeClusters: true,
+      includeSSIM: true,
+      minClusterSize: 4,
+      diffStyle: 'heatmap',
+      maskImage: 'mask.png',
+      align: true,
+      classifyChanges: true,
+      perceptualMap: true,
+    });
+  });
+
+  it('collects repeated region flags', () => {
+    let options = optionsFor([
+      '--ignore-region',
+      '0,0,100,20',
+      '--ignore-region',
+      '0,580,100,20',
+      '--include-region',
+      '10,10,50,50',
+    ]);
+    assert.deepEqual(options.ignoreRegions, [
+      { x: 0, y: 0, width: 100, height: 20 },
+      { x: 0, y: 580, width: 100, height: 20 },
+    ]);
+    assert.deepEqual(options.includeRegions, [{ x: 10, y: 10, width: 50, height: 50 }]);
+  });
+
+  it('turns --exclude-moves into detectMoves with exclude', () => {
+    assert.equal(optionsFor(['--detect-moves']).detectMoves, true);
+    assert.deepEqual(optionsFor(['--detect-moves', '--exclude-moves']).detectMoves, {
+      exclude: true,
+    });
+  });
+
+  it('reports malformed numbers and regions as usage errors', () => {
+    assert.throws(() => optionsFor(['--threshold', 'high']), UsageError);
+    assert.throws(() => optionsFor(['--ignore-region', '0,0,10']), UsageError);
+    assert.throws(() => optionsFor(['--include-region', '0,0,ten,10']), /x,y,width,height/);
+  });
+});
+
+describe('toNumber', () => {
+  it('passes undefined through and names the flag in errors', () => {
+    assert.equal(toNumber(undefined, 'margin'), undefined);
+    assert.equal(toNumber('0.25', 'margin'), 0.25);
+    assert.throws(() => toNumber('Infinity', 'margin'), /--margin expects a number/);
+  });
+});
+
+describe('requirePositionals', () => {
+  it('checks the number of positionals', () => {
+    assert.deepEqual(requirePositionals(['a', 'b'], 2, 'quick <a> <b>'), ['a', 'b']);
+    assert.throws(
+      () => requirePositionals(['a'], 2, 'quick <baseline> <current>'),
+      (error) =>
+        error instanceof UsageError &&
+        error.message === 'Usage: honeydiff quick <baseline> <current>'
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ComparisonBatch } from '../lib/comparison-batch.js';
+import { ErrorCodes } from '../lib/errors.js';
+
+// A stand-in for compare(): images are strings, and differ when the strings do
+function fakeCompare({ delay = 1, onStart = () => {} } = {}) {
+  let calls = [];
+  let compare = async (baseline, current, options) => {
+    calls.push({ baseline, current, options });
+    onStart();
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    if (baseline === 'broken') throw new Error('cannot decode');
+    return { isDifferent: baseline !== current };
+  };
+  return { compare, calls };
+}
+
+function pairs(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `page-${i}`,
+    baseline: `a${i}`,
+    current: i % 2 ? `b${i}` : `a${i}`,
+  }));
+}
+
+describe('ComparisonBatch', () => {
+  it('sorts pairs into changed, unchanged and errored', async () => {
+    let { compare } = fakeCompare();
+    let batch = new ComparisonBatch(
+      [...pairs(3), { id: 'broken', baseline: 'broken', current: 'x' }],
+      {},
+      compare
+    );
+    let summary = await batch.done;
+
+    assert.equal(summary.total, 4);
+    assert.deepEqual(
+      summary.changed.map((entry) => entry.id),
+      ['page-1']
+    );
+    assert.deepEqual(
+      summary.unchanged.map((entry) => entry.id),
+      ['page-0', 'page-2']
+    );
+    assert.equal(summary.errored.length, 1);
+    assert.equal(summary.errored[0].status, 'error');
+    assert.match(summary.errored[0].error.message, /cannot decode/);
+    assert.equal(summary.aborted, false);
+    assert.equal(batch.completed, 4);
+  });
+
+  it('never runs more than `concurrency` comparisons at once', async () => {
+    let running = 0;
+    let peak = 0;
+    let compare = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 2));
+      running--;
+      return { isDifferent: false };
+    };
+    await new ComparisonBatch(pairs(7), { concurrency: 3 }, compare).done;
+    assert.equal(peak, 3);
+  });
+
+  it('emits result and progress events for every pair, then end', async () => {
+    let { compare } = fakeCompare();
+    let batch = new ComparisonBatch(pairs(3), { concurrency: 1 }, compare);
+    let events = [];
+    batch.on('result', (entry) => events.push(`result ${entry.index}`));
+    batch.on('progress', ({ completed, total }) => events.push(`progress ${completed}/${total}`));
+    batch.on('end', () => events.push('end'));
+    await batch.done;
+
+    assert.deepEqual(events, [
+      'result 0',
+      'progress 1/3',
+      'result 1',
+      'progress 2/3',
+      'result 2',
+      'progress 3/3',
+      'end',
+    ]);
+  });
+
+  it('merges per-pair options over the shared options', async () => {
+    let { compare, calls } = fakeCompare();
+    await new ComparisonBatch(
+      [
+        { baseline: 'a', current: 'a' },
+        { baseline: 'b', current: 'b', options: { threshold: 5 } },
+      ],
+      { concurrency: 1, threshold: 2, includeClusters: true },
+      compare
+    ).done;
+
+    assert.deepEqual(calls[0].options, { threshold: 2, includeClusters: true });
+    assert.deepEqual(calls[1].options, { threshold: 5, includeClusters: true });
+  });
+
+  it('reports pairs without images as errors', async () => {
+    let { compare, calls } = fakeCompare();
+    let summary = await new ComparisonBatch([{ id: 'half', baseline: 'a' }], {}, compare).done;
+    assert.equal(calls.length, 0);
+    assert.equal(summary.errored[0].error.code, ErrorCodes.INVALID_ARGUMENT);
+  });
+
+  it('stops starting pairs once aborted and lists them as skipped', async () => {
+    let controller = new AbortController();
+    let started = 0;
+    let { compare } = fakeCompare({
+      onStart: () => {
+        started++;
+        if (started === 2) controller.abort();
+      },
+    });
+    let summary = await new ComparisonBatch(
+      pairs(5),
+      { concurrency: 1, signal: controller.signal },
+      compare
+    ).done;
+
+    assert.equal(summary.aborted, true);
+    assert.equal(summary.changed.length + summary.unchanged.length, 2);
+    assert.deepEqual(summary.skipped, [
+      { index: 2, id: 'page-2' },
+      { index: 3, id: 'page-3' },
+      { index: 4, id: 'page-4' },
+    ]);
+  });
+
+  it('rejects invalid arguments up front', () => {
+    let { compare } = fakeCompare();
+    assert.throws(
+      () => new ComparisonBatch('pairs', {}, compare),
+      (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+    );
+    assert.throws(
+      () => new ComparisonBatch([], { concurrency: 0 }, compare),
+      (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  cvdReport,
+  deficiencyReport,
+  findHiddenClusters,
+  planCvdComparison,
+} from '../lib/cvd-visibility.js';
+import { ErrorCodes } from '../lib/errors.js';
+
+function cluster(x, y, width, height) {
+  return { pixelCount: width * height, boundingBox: { x, y, width, height } };
+}
+
+// A simulated result whose differing pixels fill the given boxes
+function simulatedResult(boxes) {
+  let diffPixelsList = [];
+  for (let { x, y, width, height } of boxes) {
+    for (let yy = y; yy < y + height; yy++) {
+      for (let xx = x; xx < x + width; xx++) diffPixelsList.push({ x: xx, y: yy, intensity: 100 });
+    }
+  }
+  let right = Math.max(0, ...boxes.map((box) => box.x + box.width));
+  let bottom = Math.max(0, ...boxes.map((box) => box.y + box.height));
+  return {
+    boundingBox: boxes.length ? { x: 0, y: 0, width: right, height: bottom } : null,
+    diffPixelsList,
+  };
+}
+
+describe('findHiddenClusters', () => {
+  let normal = { diffClusters: [cluster(0, 0, 4, 4), cluster(10, 10, 4, 4)] };
+
+  it('reports clusters that lost most of their pixels', () => {
+    let simulated = simulatedResult([
+      { x: 0, y: 0, width: 4, height: 4 },
+      { x: 10, y: 10, width: 1, height: 2 },
+    ]);
+    let hidden = findHiddenClusters(normal, simulated, 0.25);
+    assert.equal(hidden.length, 1);
+    assert.equal(hidden[0].cluster, normal.diffClusters[1]);
+    assert.equal(hidden[0].visibleShare, 2 / 16);
+  });
+
+  it('keeps clusters that retain at least the minimum share', () => {
+    let simulated = simulatedResult([
+      { x: 0, y: 0, width: 4, height: 1 },
+      { x: 10, y: 10, width: 4, height: 4 },
+    ]);
+    assert.deepEqual(findHiddenClusters(normal, simulated, 0.25), []);
+  });
+
+  it('hides every cluster when the simulated images match', () => {
+    let hidden = findHiddenClusters(normal, simulatedResult([]), 0.25);
+    assert.deepEqual(
+      hidden.map((entry) => entry.visibleShare),
+      [0, 0]
+    );
+  });
+
+  it('treats a result without a pixel list as showing nothing', () => {
+    let simulated = {
+      ...simulatedResult([{ x: 0, y: 0, width: 14, height: 14 }]),
+      diffPixelsList: null,
+    };
+    assert.equal(findHiddenClusters(normal, simulated, 0.25).length, 2);
+  });
+});
+
+const KNOWN_TYPES = [
+  { type: 'protanopia', name: 'Protanopia' },
+  { type: 'tritanopia', name: 'Tritanopia' },
+];
+
+describe('planCvdComparison', () => {
+  it('defaults to every known type and the 25% visibility share', () => {
+    let plan = planCvdComparison(undefined, KNOWN_TYPES);
+    assert.deepEqual(plan.types, ['protanopia', 'tritanopia']);
+    assert.equal(plan.minVisibleShare, 0.25);
+    assert.equal(plan.names.get('tritanopia'), 'Tritanopia');
+  });
+
+  it('keeps artifacts on the normal-vision comparison only', () => {
+    let plan = planCvdComparison(
+      {
+        types: ['protanopia'],
+        minVisibleShare: 0.5,
+        threshold: 2,
+        diffPath: 'diff.png',
+        returnImages: ['overlay'],
+        diffStyle: 'boxes',
+      },
+      KNOWN_TYPES
+    );
+    assert.deepEqual(plan.compareOptions, {
+      threshold: 2,
+      diffPath: 'diff.png',
+      returnImages: ['overlay'],
+      diffStyle: 'boxes',
+      includeClusters: true,
+    });
+    assert.deepEqual(plan.simulatedOptions, {
+      threshold: 2,
+      includeClusters: true,
+      includeDiffPixels: true,
+    });
+  });
+
+  it('rejects invalid types and shares', () => {
+    for (let options of [
+      { types: 'protanopia' },
+      { types: [1] },
+      { minVisibleShare: 2 },
+      { minVisibleShare: '0.5' },
+    ]) {
+      assert.throws(
+        () => planCvdComparison(options, KNOWN_TYPES),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});
+
+describe('deficiencyReport', () => {
+  let normal = { diffClusters: [cluster(0, 0, 4, 4)] };
+
+  it('reports hidden clusters and drops the pixel list fetched to find them', () => {
+    let plan = planCvdComparison({}, KNOWN_TYPES);
+    let simulated = { ...simulatedResult([]), intensityStats: {} };
+    let entry = deficiencyReport('protanopia', normal, simulated, plan);
+    assert.equal(entry.name, 'Protanopia');
+    assert.equal(entry.result, simulated);
+    assert.equal(entry.hasHiddenChanges, true);
+    assert.equal(entry.hiddenClusters.length, 1);
+    assert.equal(simulated.diffPixelsList, null);
+    assert.equal(simulated.intensityStats, null);
+
+    let report = cvdReport(normal, [entry]);
+    assert.equal(report.normalVision, normal);
+    assert.equal(report.hasHiddenChanges, true);
+  });
+
+  it('keeps the pixel list when the caller asked for it', () => {
+    let plan = planCvdComparison({ includeDiffPixels: true }, KNOWN_TYPES);
+    let simulated = simulatedResult([{ x: 0, y: 0, width: 4, height: 4 }]);
+    let entry = deficiencyReport('achromatopsia', normal, simulated, plan);
+    assert.equal(entry.name, 'achromatopsia');
+    assert.equal(entry.hasHiddenChanges, false);
+    assert.equal(simulated.diffPixelsList.length, 16);
+    assert.equal(cvdReport(normal, [entry]).hasHiddenChanges, false);
+  });
+});
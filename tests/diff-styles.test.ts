@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseColor, renderDiffStyle, usesDiffStyle } from '../lib/diff-styles.js';
+import { ErrorCodes } from '../lib/errors.js';
+import { decodePng } from '../lib/png.js';
+
+function solid(width, height, rgba) {
+  let data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+  return { width, height, data };
+}
+
+function pixel(image, x, y) {
+  let o = (y * image.width + x) * 4;
+  return [...image.data.subarray(o, o + 4)];
+}
+
+function isInvalidArgument(error) {
+  return error.code === ErrorCodes.INVALID_ARGUMENT;
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+const RED = [255, 0, 0, 255];
+
+describe('usesDiffStyle', () => {
+  it('leaves the default highlight style to the engine', () => {
+    assert.equal(usesDiffStyle(undefined), false);
+    assert.equal(usesDiffStyle({}), false);
+    assert.equal(usesDiffStyle({ diffStyle: 'highlight' }), false);
+    assert.equal(usesDiffStyle({ diffStyle: 'heatmap' }), true);
+  });
+
+  it('rejects unknown styles', () => {
+    assert.throws(() => usesDiffStyle({ diffStyle: 'sparkle' }), isInvalidArgument);
+  });
+});
+
+describe('parseColor', () => {
+  it('accepts hex strings and channel arrays', () => {
+    assert.deepEqual(parseColor(undefined), RED);
+    assert.deepEqual(parseColor('00ff00'), [0, 255, 0, 255]);
+    assert.deepEqual(parseColor('#0000FF80'), [0, 0, 255, 128]);
+    assert.deepEqual(parseColor([10, 20, 30]), [10, 20, 30, 255]);
+  });
+
+  it('rejects malformed colors', () => {
+    for (let color of ['red', '#fff', 'ff00001']) {
+      assert.throws(() => parseColor(color), isInvalidArgument);
+    }
+  });
+});
+
+describe('renderDiffStyle', () => {
+  it('heatmap colors diff pixels by intensity over a dimmed image', () => {
+    let image = solid(3, 1, BLACK);
+    let result = {
+      diffPixelsList: [
+        { x: 0, y: 0, intensity: 0 },
+        { x: 1, y: 0, intensity: 255 },
+      ],
+    };
+    let out = decodePng(renderDiffStyle('heatmap', image, image, result));
+    assert.deepEqual(pixel(out, 0, 0), [0, 0, 255, 255]);
+    assert.deepEqual(pixel(out, 1, 0), RED);
+    // Unchanged pixels are lightened to 30% of their darkness
+    assert.deepEqual(pixel(out, 2, 0), [178, 178, 178, 255]);
+  });
+
+  it('grayscale blends diff pixels in diffMaskColor', () => {
+    let image = solid(2, 1, WHITE);
+    let result = { diffPixelsList: [{ x: 0, y: 0, intensity: 40 }] };
+    let out = decodePng(
+      renderDiffStyle('grayscale', image, image, result, { diffMaskColor: '#00ff0080' })
+    );
+    assert.deepEqual(pixel(out, 0, 0), [127, 255, 127, 255]);
+    assert.deepEqual(pixel(out, 1, 0), WHITE);
+  });
+
+  it('boxes outlines clusters on the current image', () => {
+    let baseline = solid(20, 20, BLACK);
+    let current = solid(20, 20, WHITE);
+    let result = { diffClusters: [{ boundingBox: { x: 8, y: 15, width: 3, height: 3 } }] };
+    let out = decodePng(renderDiffStyle('boxes', baseline, current, result));
+    assert.deepEqual(pixel(out, 7, 16), RED);
+    assert.deepEqual(pixel(out, 11, 16), RED);
+    assert.deepEqual(pixel(out, 9, 18), RED);
+    assert.deepEqual(pixel(out, 9, 16), WHITE);
+    assert.deepEqual(pixel(out, 0, 0), WHITE);
+    // The cluster number is drawn on a label above the box
+    assert.deepEqual(pixel(out, 6, 1), RED);
+  });
+
+  it('blink animates between both images on a common canvas', () => {
+    let baseline = solid(2, 1, BLACK);
+    let current = solid(2, 2, WHITE);
+    let png = renderDiffStyle('blink', baseline, current, {});
+    let actl = png.indexOf('acTL');
+    assert.notEqual(actl, -1);
+    assert.equal(png.readUInt32BE(actl + 4), 2);
+
+    let first = decodePng(png);
+    assert.equal(first.height, 2);
+    assert.deepEqual(pixel(first, 0, 0), BLACK);
+    assert.deepEqual(pixel(first, 0, 1), [0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  ErrorCodes,
+  HoneydiffError,
+  invalidArgument,
+  toHoneydiffError,
+  withErrorCodes,
+} from '../lib/errors.js';
+
+function systemError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+describe('toHoneydiffError', () => {
+  it('keeps errors that already carry a Honeydiff code', () => {
+    let error = new HoneydiffError(ErrorCodes.DECODE_FAILED, 'bad');
+    assert.equal(toHoneydiffError(error), error);
+    let typeError = invalidArgument('bad option');
+    assert.equal(toHoneydiffError(typeError), typeError);
+  });
+
+  it('maps Node file system errors by their code', () => {
+    let cases = [
+      ['ENOENT', ErrorCodes.FILE_NOT_FOUND],
+      ['EISDIR', ErrorCodes.FILE_NOT_FOUND],
+      ['EEXIST', ErrorCodes.OUTPUT_EXISTS],
+      ['EACCES', ErrorCodes.ENGINE_ERROR],
+    ];
+    for (let [code, expected] of cases) {
+      let mapped = toHoneydiffError(systemError(code, `${code}: failed`));
+      assert.equal(mapped.code, expected, code);
+      assert.equal(mapped.cause.code, code);
+    }
+  });
+
+  it('maps argument conversion failures to INVALID_ARGUMENT', () => {
+    let mapped = toHoneydiffError(systemError('InvalidArg', 'Failed to convert napi value'));
+    assert.ok(mapped instanceof TypeError);
+    assert.equal(mapped.code, ErrorCodes.INVALID_ARGUMENT);
+    assert.equal(
+      toHoneydiffError(new TypeError('expected a string')).code,
+      ErrorCodes.INVALID_ARGUMENT
+    );
+  });
+
+  it('maps the native engine messages it knows', () => {
+    let cases = [
+      ['No such file or directory (os error 2)', ErrorCodes.FILE_NOT_FOUND],
+      ['The system cannot find the file specified. (os error 2)', ErrorCodes.FILE_NOT_FOUND],
+      ['File exists (os error 17)', ErrorCodes.OUTPUT_EXISTS],
+      ['Output file already exists: diff.png', ErrorCodes.OUTPUT_EXISTS],
+      ['The image format could not be determined', ErrorCodes.UNSUPPORTED_FORMAT],
+      [
+        'The file extension `.txt` was not recognized as an image format',
+        ErrorCodes.UNSUPPORTED_FORMAT,
+      ],
+      ['Unsupported image format: tiff', ErrorCodes.UNSUPPORTED_FORMAT],
+      ['Image dimension mismatch: 10x10 vs 20x20', ErrorCodes.DIMENSION_MISMATCH],
+      ['Images have different dimensions', ErrorCodes.DIMENSION_MISMATCH],
+      ['Frames have different sizes', ErrorCodes.DIMENSION_MISMATCH],
+      ['Format error decoding Png: CRC error', ErrorCodes.DECODE_FAILED],
+      ['Error decoding JPEG: marker not found', ErrorCodes.DECODE_FAILED],
+      ['failed to fill whole buffer', ErrorCodes.DECODE_FAILED],
+    ];
+    for (let [message, expected] of cases) {
+      let mapped = toHoneydiffError(new Error(message));
+      assert.ok(mapped instanceof HoneydiffError, message);
+      assert.equal(mapped.code, expected, message);
+      assert.equal(mapped.message, message);
+    }
+  });
+
+  it('does not guess a code from loosely related words', () => {
+    for (let message of [
+      'invalid cvd type',
+      'cluster not found',
+      'pixel buffer size is invalid',
+      'Image dimensions are too large',
+    ]) {
+      assert.equal(toHoneydiffError(new Error(message)).code, ErrorCodes.ENGINE_ERROR, message);
+    }
+  });
+
+  it('wraps values that are not errors', () => {
+    let mapped = toHoneydiffError('boom');
+    assert.equal(mapped.code, ErrorCodes.ENGINE_ERROR);
+    assert.equal(mapped.message, 'boom');
+  });
+});
+
+describe('withErrorCodes', () => {
+  it('converts thrown and rejected errors', async () => {
+    let sync = withErrorCodes(() => {
+      throw new Error('No such file or directory (os error 2)');
+    });
+    assert.throws(sync, (error) => error.code === ErrorCodes.FILE_NOT_FOUND);
+
+    let async = withErrorCodes(async () => {
+      throw new Error('Format error decoding Png');
+    });
+    await assert.rejects(async(), (error) => error.code === ErrorCodes.DECODE_FAILED);
+  });
+
+  it('passes results through', async () => {
+    assert.equal(withErrorCodes((a, b) => a + b)(1, 2), 3);
+    assert.equal(await withErrorCodes(async () => 'ok')(), 'ok');
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import {
+  decodeFingerprint,
+  encodeFingerprint,
+  FINGERPRINT_FORMAT_VERSION,
+  fingerprintFromJSON,
+  fingerprintToJSON,
+} from '../lib/fingerprint-codec.js';
+
+// Values that survive the 32-bit float fields exactly
+let fingerprint = {
+  clusterCount: 2,
+  clusterPositions: [
+    [0.25, 0.5],
+    [0.75, 0.125],
+  ],
+  clusterSizes: [0.0625, 0.5],
+  avgIntensity: 100,
+  avgDensity: 0.5,
+  zoneMask: 0x8001,
+  diffMagnitude: 'medium',
+  hash: '0000000000008001',
+};
+
+function withCode(code) {
+  return (error) => error.code === code;
+}
+
+describe('encodeFingerprint / decodeFingerprint', () => {
+  it('round-trips a fingerprint', () => {
+    let encoded = encodeFingerprint(fingerprint);
+    assert.equal(encoded.toString('latin1', 0, 4), 'HDFP');
+    assert.equal(encoded[4], FINGERPRINT_FORMAT_VERSION);
+    assert.deepEqual(decodeFingerprint(encoded), fingerprint);
+  });
+
+  it('decodes from a Uint8Array view', () => {
+    let encoded = encodeFingerprint(fingerprint);
+    let copy = new Uint8Array(encoded.length + 3);
+    copy.set(encoded, 3);
+    assert.deepEqual(decodeFingerprint(copy.subarray(3)), fingerprint);
+  });
+
+  it('rejects data that is not a fingerprint', () => {
+    assert.throws(
+      () => decodeFingerprint(Buffer.from('nope')),
+      withCode(ErrorCodes.UNSUPPORTED_FORMAT)
+    );
+  });
+
+  it('rejects unknown format versions', () => {
+    let encoded = encodeFingerprint(fingerprint);
+    encoded[4] = FINGERPRINT_FORMAT_VERSION + 1;
+    assert.throws(() => decodeFingerprint(encoded), withCode(ErrorCodes.UNSUPPORTED_FORMAT));
+  });
+
+  it('reports truncated data as DECODE_FAILED', () => {
+    let encoded = encodeFingerprint(fingerprint);
+    assert.throws(
+      () => decodeFingerprint(encoded.subarray(0, encoded.length - 2)),
+      withCode(ErrorCodes.DECODE_FAILED)
+    );
+  });
+
+  it('rejects values that are not fingerprints', () => {
+    assert.throws(
+      () => encodeFingerprint({ ...fingerprint, diffMagnitude: 'huge' }),
+      withCode(ErrorCodes.INVALID_ARGUMENT)
+    );
+  });
+});
+
+describe('fingerprintToJSON / fingerprintFromJSON', () => {
+  it('round-trips through a JSON string', () => {
+    let json = JSON.stringify(fingerprintToJSON(fingerprint));
+    assert.equal(JSON.parse(json).version, FINGERPRINT_FORMAT_VERSION);
+    assert.deepEqual(fingerprintFromJSON(json), fingerprint);
+  });
+
+  it('rejects invalid JSON and unknown versions', () => {
+    assert.throws(() => fingerprintFromJSON('{'), withCode(ErrorCodes.DECODE_FAILED));
+    assert.throws(
+      () => fingerprintFromJSON({ ...fingerprint, version: 0 }),
+      withCode(ErrorCodes.UNSUPPORTED_FORMAT)
+    );
+  });
+});
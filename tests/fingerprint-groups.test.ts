@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { groupFingerprints } from '../lib/fingerprint-groups.js';
+
+// Fake engine: hashes by zone and scores by how close two values are
+function fakeEngine() {
+  let scored = [];
+  return {
+    scored,
+    fingerprintHashSync: (fingerprint) => `zone-${fingerprint.zone}`,
+    fingerprintSimilaritySync: (a, b) => {
+      scored.push([a.id, b.id]);
+      return 1 - Math.abs(a.value - b.value);
+    },
+  };
+}
+
+function fingerprint(id, zone, value) {
+  return { id, zone, value };
+}
+
+function summary(groups) {
+  return groups.map(({ hash, representative, members }) => ({ hash, representative, members }));
+}
+
+describe('groupFingerprints', () => {
+  it('groups similar fingerprints, largest groups first then in input order', () => {
+    let engine = fakeEngine();
+    let groups = groupFingerprints(
+      [
+        fingerprint('a', 1, 0),
+        fingerprint('b', 2, 0),
+        fingerprint('c', 1, 0.1),
+        null,
+        fingerprint('d', 1, 0.5),
+        fingerprint('e', 1, 0.05),
+      ],
+      {},
+      engine
+    );
+    assert.deepEqual(summary(groups), [
+      { hash: 'zone-1', representative: 0, members: [0, 2, 5] },
+      { hash: 'zone-2', representative: 1, members: [1] },
+      { hash: 'zone-1', representative: 4, members: [4] },
+    ]);
+    assert.equal(groups[0].fingerprint.id, 'a');
+  });
+
+  it('only scores fingerprints within the same hash bucket', () => {
+    let engine = fakeEngine();
+    groupFingerprints(
+      [fingerprint('a', 1, 0), fingerprint('b', 2, 0), fingerprint('c', 1, 0)],
+      {},
+      engine
+    );
+    assert.deepEqual(engine.scored, [['a', 'c']]);
+  });
+
+  it('uses a precomputed hash when the fingerprint has one', () => {
+    let engine = fakeEngine();
+    let groups = groupFingerprints(
+      [
+        { ...fingerprint('a', 1, 0), hash: 'same' },
+        { ...fingerprint('b', 2, 0), hash: 'same' },
+      ],
+      {},
+      engine
+    );
+    assert.deepEqual(summary(groups), [{ hash: 'same', representative: 0, members: [0, 1] }]);
+  });
+
+  it('joins the most similar group above minSimilarity', () => {
+    let groups = groupFingerprints(
+      [fingerprint('a', 1, 0), fingerprint('b', 1, 0.4), fingerprint('c', 1, 0.3)],
+      { minSimilarity: 0.65 },
+      fakeEngine()
+    );
+    assert.deepEqual(summary(groups), [
+      { hash: 'zone-1', representative: 1, members: [1, 2] },
+      { hash: 'zone-1', representative: 0, members: [0] },
+    ]);
+  });
+
+  it('rejects invalid input', () => {
+    for (let [fingerprints, options] of [
+      ['not an array', {}],
+      [[], { minSimilarity: 1.5 }],
+      [[], { minSimilarity: '0.5' }],
+    ]) {
+      assert.throws(
+        () => groupFingerprints(fingerprints, options, fakeEngine()),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});
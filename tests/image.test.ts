@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import {
+  acceptRawInput,
+  isRawImage,
+  rawToRgba,
+  readImage,
+  readImageBuffer,
+  readImageSync,
+  toEncodedInput,
+} from '../lib/image.js';
+import { isPng } from '../lib/png.js';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+// Two pixels: opaque red and half-transparent blue
+const RGBA = [255, 0, 0, 255, 0, 0, 255, 128];
+
+function isInvalidArgument(error) {
+  return error.code === ErrorCodes.INVALID_ARGUMENT;
+}
+
+describe('readImage', () => {
+  it('rejects formats the JavaScript decoder cannot read', async () => {
+    await assert.rejects(readImage(JPEG), (error) => error.code === ErrorCodes.UNSUPPORTED_FORMAT);
+    assert.throws(
+      () => readImageSync(JPEG),
+      (error) => error.code === ErrorCodes.UNSUPPORTED_FORMAT
+    );
+  });
+
+  it('reports missing files as FILE_NOT_FOUND', async () => {
+    await assert.rejects(
+      readImage('/nonexistent/honeydiff.png'),
+      (error) => error.code === ErrorCodes.FILE_NOT_FOUND
+    );
+  });
+
+  it('returns raw pixels as RGBA without decoding', async () => {
+    let raw = { data: Buffer.from(RGBA), width: 2, height: 1 };
+    assert.deepEqual(await readImage(raw), { width: 2, height: 1, data: new Uint8Array(RGBA) });
+    assert.deepEqual(readImageSync(raw), { width: 2, height: 1, data: new Uint8Array(RGBA) });
+  });
+});
+
+describe('isRawImage', () => {
+  it('recognizes objects with data, width and height', () => {
+    assert.equal(isRawImage({ data: new Uint8Array(4), width: 1, height: 1 }), true);
+    assert.equal(isRawImage('image.png'), false);
+    assert.equal(isRawImage(Buffer.from(RGBA)), false);
+    assert.equal(isRawImage({ data: new Uint8Array(4), width: 1 }), false);
+    assert.equal(isRawImage(null), false);
+  });
+});
+
+describe('rawToRgba', () => {
+  it('copies RGBA pixels', () => {
+    let data = new Uint8Array(RGBA);
+    let image = rawToRgba({ data, width: 1, height: 2 });
+    assert.deepEqual(image, { width: 1, height: 2, data: new Uint8Array(RGBA) });
+    image.data[0] = 0;
+    assert.equal(data[0], 255);
+  });
+
+  it('swaps BGRA channels', () => {
+    let bgra = [0, 0, 255, 255, 255, 0, 0, 128];
+    assert.deepEqual(rawToRgba({ data: Buffer.from(bgra), width: 2, height: 1, format: 'bgra' }), {
+      width: 2,
+      height: 1,
+      data: new Uint8Array(RGBA),
+    });
+  });
+
+  it('makes RGB pixels opaque', () => {
+    let rgb = [255, 0, 0, 0, 0, 255];
+    assert.deepEqual(
+      rawToRgba({ data: new Uint8Array(rgb), width: 2, height: 1, format: 'rgb' }).data,
+      new Uint8Array([255, 0, 0, 255, 0, 0, 255, 255])
+    );
+  });
+
+  it('reads typed array views and ArrayBuffers', () => {
+    let padded = new Uint8Array([9, 9, ...RGBA, 9]);
+    let view = padded.subarray(2, 2 + RGBA.length);
+    assert.deepEqual(rawToRgba({ data: view, width: 2, height: 1 }).data, new Uint8Array(RGBA));
+
+    let words = new Uint32Array(new Uint8Array(RGBA).buffer);
+    assert.deepEqual(rawToRgba({ data: words, width: 2, height: 1 }).data, new Uint8Array(RGBA));
+    assert.deepEqual(
+      rawToRgba({ data: new Uint8Array(RGBA).buffer, width: 2, height: 1 }).data,
+      new Uint8Array(RGBA)
+    );
+  });
+
+  it('rejects unknown formats, bad dimensions and mismatched data', () => {
+    let data = new Uint8Array(RGBA);
+    for (let raw of [
+      { data, width: 2, height: 1, format: 'argb' },
+      { data, width: 0, height: 1 },
+      { data, width: 1.5, height: 1 },
+      { data, width: 3, height: 1 },
+      { data, width: 2, height: 1, format: 'rgb' },
+      { data: [...RGBA], width: 2, height: 1 },
+    ]) {
+      assert.throws(() => rawToRgba(raw), isInvalidArgument);
+    }
+  });
+});
+
+describe('readImageBuffer', () => {
+  it('encodes raw pixels as PNG', async () => {
+    let buffer = await readImageBuffer({ data: Buffer.from(RGBA), width: 2, height: 1 });
+    assert.equal(isPng(buffer), true);
+    assert.deepEqual(readImageSync(buffer), { width: 2, height: 1, data: new Uint8Array(RGBA) });
+  });
+
+  it('passes encoded buffers through and wraps typed arrays', async () => {
+    assert.equal(await readImageBuffer(JPEG), JPEG);
+    let copy = await readImageBuffer(new Uint8Array(JPEG));
+    assert.equal(Buffer.isBuffer(copy), true);
+    assert.deepEqual(copy, JPEG);
+  });
+});
+
+describe('toEncodedInput', () => {
+  it('encodes raw pixels and leaves paths and buffers alone', () => {
+    let encoded = toEncodedInput({ data: Buffer.from(RGBA), width: 2, height: 1 });
+    assert.equal(isPng(encoded), true);
+    assert.deepEqual(readImageSync(encoded).data, new Uint8Array(RGBA));
+    assert.equal(toEncodedInput('image.png'), 'image.png');
+    assert.equal(toEncodedInput(JPEG), JPEG);
+  });
+});
+
+describe('acceptRawInput', () => {
+  let raw = { data: Buffer.from(RGBA), width: 2, height: 1 };
+
+  it('converts only the leading image arguments', () => {
+    let fn = acceptRawInput((...args) => args, 2);
+    let [first, second, third] = fn(raw, 'current.png', raw);
+    assert.equal(isPng(first), true);
+    assert.equal(second, 'current.png');
+    assert.equal(third, raw);
+  });
+
+  it('throws or rejects on invalid raw input', async () => {
+    let bad = { data: Buffer.alloc(3), width: 2, height: 1 };
+    assert.throws(() => acceptRawInput(() => {}, 1)(bad), isInvalidArgument);
+    await assert.rejects(
+      acceptRawInput(async () => {}, 1, { async: true })(bad),
+      isInvalidArgument
+    );
+  });
+});
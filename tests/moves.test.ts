@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectMoves } from '../lib/moves.js';
+
+// A white canvas with solid black rectangles drawn on it
+function canvas(width, height, rects) {
+  let data = new Uint8Array(width * height * 4).fill(255);
+  for (let { x, y, width: w, height: h } of rects) {
+    for (let yy = y; yy < y + h; yy++) {
+      for (let xx = x; xx < x + w; xx++) data.set([0, 0, 0, 255], (yy * width + xx) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+function pixelsIn({ x, y, width, height }) {
+  let pixels = [];
+  for (let yy = y; yy < y + height; yy++) {
+    for (let xx = x; xx < x + width; xx++) pixels.push({ x: xx, y: yy, intensity: 100 });
+  }
+  return pixels;
+}
+
+function cluster(boundingBox) {
+  return { boundingBox, pixelCount: boundingBox.width * boundingBox.height, avgIntensity: 100 };
+}
+
+// A 10x10 square moved 4px right, and an unrelated 4x4 change overlapping the moved area
+const BEFORE = canvas(60, 40, [{ x: 10, y: 10, width: 10, height: 10 }]);
+const AFTER = canvas(60, 40, [
+  { x: 14, y: 10, width: 10, height: 10 },
+  { x: 40, y: 20, width: 4, height: 4 },
+]);
+const LEFT_EDGE = { x: 10, y: 10, width: 4, height: 10 };
+const RIGHT_EDGE = { x: 20, y: 10, width: 4, height: 10 };
+const OTHER = { x: 40, y: 20, width: 4, height: 4 };
+
+function diffResult() {
+  let diffPixelsList = [...pixelsIn(LEFT_EDGE), ...pixelsIn(RIGHT_EDGE), ...pixelsIn(OTHER)];
+  return {
+    isDifferent: true,
+    totalPixels: 60 * 40,
+    diffPixels: diffPixelsList.length,
+    diffPercentage: (diffPixelsList.length / (60 * 40)) * 100,
+    heightDiff: null,
+    boundingBox: { x: 10, y: 10, width: 34, height: 14 },
+    diffPixelsList,
+    diffClusters: [cluster(LEFT_EDGE), cluster(RIGHT_EDGE), cluster(OTHER)],
+    intensityStats: null,
+  };
+}
+
+describe('detectMoves', () => {
+  it('reports a shape that moved and the pixels it accounts for', () => {
+    let result = detectMoves(diffResult(), BEFORE, AFTER);
+    assert.equal(result.moves.length, 1);
+    assert.deepEqual(result.moves[0].from, { x: 10, y: 10, width: 10, height: 10 });
+    assert.equal(result.moves[0].dx, 4);
+    assert.equal(result.moves[0].dy, 0);
+    assert.equal(result.moves[0].pixelCount, 80);
+    assert.equal(result.diffPixels, 96);
+  });
+
+  it('removes the moved clusters and only their pixels with exclude', () => {
+    let result = detectMoves(diffResult(), BEFORE, AFTER, { exclude: true });
+    assert.deepEqual(
+      result.diffClusters.map((c) => c.boundingBox),
+      [OTHER]
+    );
+    assert.equal(result.diffPixels, 16);
+    assert.equal(result.diffPixelsList.length, 16);
+    assert.deepEqual(result.boundingBox, OTHER);
+    assert.equal(result.intensityStats.mean, 100);
+    assert.equal(result.isDifferent, true);
+  });
+
+  it('keeps pixels that also belong to a remaining cluster', () => {
+    // New content right of the moved square, clustered with part of its edge
+    let block = { x: 26, y: 16, width: 2, height: 4 };
+    let after = canvas(60, 40, [{ x: 14, y: 10, width: 10, height: 10 }, OTHER, block]);
+    let result = diffResult();
+    result.diffPixelsList.push(...pixelsIn(block));
+    result.diffPixels += 8;
+    let beside = { x: 18, y: 16, width: 10, height: 4 };
+    result.diffClusters.push({ ...cluster(beside), pixelCount: 24 });
+
+    detectMoves(result, BEFORE, after, { exclude: true });
+    assert.equal(result.moves.length, 1);
+    assert.deepEqual(
+      result.diffClusters.map((c) => c.boundingBox),
+      [OTHER, beside]
+    );
+    // The block, the unrelated change and the edge rows inside the remaining cluster
+    assert.equal(result.diffPixels, 8 + 16 + 16);
+    assert.equal(result.diffPixelsList.length, result.diffPixels);
+  });
+
+  it('clears isDifferent when every cluster was a move', () => {
+    let result = diffResult();
+    result.diffPixelsList = [...pixelsIn(LEFT_EDGE), ...pixelsIn(RIGHT_EDGE)];
+    result.diffPixels = result.diffPixelsList.length;
+    result.diffClusters = result.diffClusters.slice(0, 2);
+    detectMoves(result, BEFORE, canvas(60, 40, [{ x: 14, y: 10, width: 10, height: 10 }]), {
+      exclude: true,
+    });
+    assert.equal(result.diffPixels, 0);
+    assert.equal(result.boundingBox, null);
+    assert.equal(result.isDifferent, false);
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { applyPerceptualMap } from '../lib/perceptual.js';
+
+// Grayscale image from a function of the pixel position
+function image(width, height, value) {
+  let data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let v = value(x, y);
+      data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const stripes = (x) => (x % 4 < 2 ? 40 : 200);
+const wideStripes = (x) => (x % 8 < 4 ? 40 : 200);
+
+describe('applyPerceptualMap', () => {
+  it('scores identical images as perfectly similar', () => {
+    let baseline = image(40, 20, stripes);
+    let { perceptualMap } = applyPerceptualMap({}, baseline, baseline, { cellSize: 16 });
+    assert.equal(perceptualMap.cellSize, 16);
+    assert.equal(perceptualMap.columns, 3);
+    assert.equal(perceptualMap.rows, 2);
+    assert.equal(perceptualMap.ssim.length, 6);
+    for (let score of perceptualMap.ssim) assert.ok(Math.abs(score - 1) < 1e-9);
+    for (let score of perceptualMap.gmsd) assert.ok(Math.abs(score) < 1e-6);
+  });
+
+  it('clips edge cells to the compared area', () => {
+    let baseline = image(40, 20, stripes);
+    let { perceptualMap } = applyPerceptualMap({}, baseline, baseline, { cellSize: 16 });
+    assert.deepEqual(perceptualMap.worstSsim.box, { x: 0, y: 0, width: 16, height: 16 });
+
+    let current = image(40, 20, (x, y) => (x >= 32 && y >= 16 ? 255 - stripes(x) : stripes(x)));
+    let changed = applyPerceptualMap({}, baseline, current, { cellSize: 16 }).perceptualMap;
+    assert.deepEqual(changed.worstSsim.box, { x: 32, y: 16, width: 8, height: 4 });
+  });
+
+  it('finds the cell with the local change', () => {
+    let baseline = image(64, 64, stripes);
+    // Widen the stripes in the top-right cell only
+    let current = image(64, 64, (x, y) => (x >= 32 && y < 32 ? wideStripes(x) : stripes(x)));
+    let { perceptualMap } = applyPerceptualMap({}, baseline, current);
+    assert.equal(perceptualMap.cellSize, 32);
+    assert.deepEqual(perceptualMap.worstSsim.box, { x: 32, y: 0, width: 32, height: 32 });
+    assert.deepEqual(perceptualMap.worstGmsd.box, { x: 32, y: 0, width: 32, height: 32 });
+    assert.ok(perceptualMap.ssim[1] < 0.5);
+    assert.ok(Math.abs(perceptualMap.ssim[2] - 1) < 1e-9);
+  });
+
+  it('scores clusters over their bounding boxes', () => {
+    let baseline = image(64, 64, stripes);
+    let current = image(64, 64, (x, y) => (x >= 32 && y < 32 ? wideStripes(x) : stripes(x)));
+    let result = {
+      diffClusters: [
+        { boundingBox: { x: 40, y: 4, width: 16, height: 16 } },
+        { boundingBox: { x: 4, y: 40, width: 16, height: 16 } },
+        { boundingBox: { x: 100, y: 100, width: 4, height: 4 } },
+      ],
+    };
+    applyPerceptualMap(result, baseline, current);
+    let [changed, unchanged, outside] = result.diffClusters;
+    assert.ok(changed.ssim < 0.5);
+    assert.ok(changed.gmsd > 0);
+    assert.ok(Math.abs(unchanged.ssim - 1) < 1e-9);
+    assert.equal(outside.ssim, null);
+    assert.equal(outside.gmsd, null);
+  });
+
+  it('compares the area both images cover', () => {
+    let { perceptualMap } = applyPerceptualMap({}, image(20, 40, stripes), image(30, 10, stripes), {
+      cellSize: 8,
+    });
+    assert.equal(perceptualMap.columns, 3);
+    assert.equal(perceptualMap.rows, 2);
+  });
+
+  it('rejects cells smaller than the SSIM window', () => {
+    let baseline = image(8, 8, stripes);
+    for (let cellSize of [4, 12.5, '32']) {
+      assert.throws(
+        () => applyPerceptualMap({}, baseline, baseline, { cellSize }),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { createHoneydiffFixtures } from '../lib/playwright-fixtures.js';
+
+// Run expectScreenshot once against a fake page, testInfo and snapshot workflow
+async function expectScreenshot(outcome, { name = 'Home page', options, updateSnapshots } = {}) {
+  let calls = [];
+  let attachments = [];
+  let fixtures = createHoneydiffFixtures(async (params) => {
+    calls.push(params);
+    return outcome;
+  });
+  let page = { screenshot: async (screenshotOptions) => ({ page: true, screenshotOptions }) };
+  let testInfo = {
+    config: { updateSnapshots },
+    snapshotPath: (file) => `snapshots/${file}`,
+    outputPath: (file) => `output/${file}`,
+    attach: async (attachmentName, attachment) => {
+      attachments.push({ name: attachmentName, ...attachment });
+    },
+  };
+
+  let run = null;
+  await fixtures.expectScreenshot(
+    { page, honeydiffOptions: { threshold: 2, failureThreshold: 1 } },
+    async (fn) => {
+      run = fn(name, options);
+      await run.catch(() => {});
+    },
+    testInfo
+  );
+  return { run, calls, attachments };
+}
+
+const passed = { status: 'passed', result: { isDifferent: false }, artifacts: {} };
+
+describe('expectScreenshot fixture', () => {
+  it('screenshots the page and compares against the snapshot path', async () => {
+    let { run, calls } = await expectScreenshot(passed, {
+      options: { screenshotOptions: { fullPage: true }, failureThreshold: 5 },
+    });
+    assert.deepEqual(await run, { isDifferent: false });
+    assert.deepEqual(calls, [
+      {
+        received: { page: true, screenshotOptions: { fullPage: true } },
+        baselinePath: 'snapshots/home-page.png',
+        diffDir: 'output/honeydiff',
+        name: 'home-page',
+        update: 'new',
+        options: { threshold: 2, failureThreshold: 5 },
+      },
+    ]);
+  });
+
+  it('uses a screenshot or target passed in the options', async () => {
+    let screenshot = Buffer.from('screenshot');
+    let { calls } = await expectScreenshot(passed, { options: { screenshot } });
+    assert.equal(calls[0].received, screenshot);
+
+    let target = { screenshot: async () => 'element' };
+    ({ calls } = await expectScreenshot(passed, { options: { target } }));
+    assert.equal(calls[0].received, 'element');
+  });
+
+  it("maps Playwright's update modes onto the snapshot workflow", async () => {
+    let modes = { all: 'all', changed: 'all', missing: 'new', none: 'none' };
+    for (let [updateSnapshots, update] of Object.entries(modes)) {
+      let { calls } = await expectScreenshot(passed, { updateSnapshots });
+      assert.equal(calls[0].update, update);
+    }
+  });
+
+  it('attaches the artifacts and throws on failure', async () => {
+    let { run, attachments } = await expectScreenshot({
+      status: 'failed',
+      result: { isDifferent: true },
+      baselinePath: 'snapshots/home-page.jpeg',
+      artifacts: {
+        received: 'output/honeydiff/home-page-received.jpeg',
+        diff: 'output/honeydiff/home-page-diff.png',
+        overlay: 'output/honeydiff/home-page-overlay.png',
+      },
+      message: 'Screenshot "home-page" does not match its baseline.',
+    });
+    await assert.rejects(run, { message: 'Screenshot "home-page" does not match its baseline.' });
+    assert.deepEqual(attachments, [
+      {
+        name: 'home-page-expected.jpeg',
+        path: 'snapshots/home-page.jpeg',
+        contentType: 'image/jpeg',
+      },
+      {
+        name: 'home-page-actual.jpeg',
+        path: 'output/honeydiff/home-page-received.jpeg',
+        contentType: 'image/jpeg',
+      },
+      {
+        name: 'home-page-diff.png',
+        path: 'output/honeydiff/home-page-diff.png',
+        contentType: 'image/png',
+      },
+      {
+        name: 'home-page-overlay.png',
+        path: 'output/honeydiff/home-page-overlay.png',
+        contentType: 'image/png',
+      },
+    ]);
+  });
+
+  it('throws without attachments when the baseline is missing in CI', async () => {
+    let { run, attachments } = await expectScreenshot(
+      { status: 'missing', result: null, artifacts: {}, message: 'No baseline' },
+      { updateSnapshots: 'none' }
+    );
+    await assert.rejects(run, { message: 'No baseline' });
+    assert.deepEqual(attachments, []);
+  });
+
+  it('rejects empty names', async () => {
+    let { run, calls } = await expectScreenshot(passed, { name: '' });
+    await assert.rejects(run, (error) => error.code === ErrorCodes.INVALID_ARGUMENT);
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { encodePng } from '../lib/png.js';
+import { openPngRows } from '../lib/png-rows.js';
+
+function gradient(width, height) {
+  let data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set([i % 256, (i * 3) % 256, 90, 255], i * 4);
+  return { width, height, data };
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'honeydiff-png-rows-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function saved(name, buffer) {
+  let path = join(dir, name);
+  writeFileSync(path, buffer);
+  return path;
+}
+
+async function readAll(input, band) {
+  let reader = await openPngRows(input);
+  let rows = [];
+  try {
+    while (reader.remaining > 0) rows.push(...(await reader.read(band)).data);
+  } finally {
+    await reader.close();
+  }
+  return { width: reader.width, height: reader.height, data: new Uint8Array(rows) };
+}
+
+const decodeFailed = (error) => error.code === ErrorCodes.DECODE_FAILED;
+
+describe('openPngRows', () => {
+  it('reads a file and a buffer band by band', async () => {
+    let image = gradient(7, 11);
+    let png = encodePng(image);
+    assert.deepEqual(await readAll(png, 4), image);
+    assert.deepEqual(await readAll(saved('ok.png', png), 3), image);
+  });
+
+  it('rejects a chunk whose CRC does not match', async () => {
+    let png = encodePng(gradient(4, 4));
+    png[png.length - 12 - 5] ^= 0xff;
+    await assert.rejects(readAll(png, 2), decodeFailed);
+    await assert.rejects(readAll(saved('crc.png', png), 2), decodeFailed);
+  });
+
+  it('rejects a chunk length past the end of the file before allocating', async () => {
+    let png = encodePng(gradient(4, 4));
+    png.writeUInt32BE(0xfffffff0, 33);
+    await assert.rejects(readAll(png, 2), decodeFailed);
+    await assert.rejects(readAll(saved('length.png', png), 2), decodeFailed);
+  });
+
+  it('rejects input that is not a PNG', async () => {
+    await assert.rejects(
+      openPngRows(Buffer.from('GIF89a')),
+      (error) => error.code === ErrorCodes.UNSUPPORTED_FORMAT
+    );
+  });
+});
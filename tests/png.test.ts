@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { crc32, deflateSync } from 'node:zlib';
+import { ErrorCodes, HoneydiffError } from '../lib/errors.js';
+import { decodePng, encodeApng, encodePng, isPng, parsePngChunks, rgbaHeader } from '../lib/png.js';
+
+function gradient(width, height) {
+  let data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([i % 256, (i * 7) % 256, (i * 13) % 256, 255 - (i % 200)], i * 4);
+  }
+  return { width, height, data };
+}
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// A PNG file made of the given [type, data] chunks
+function pngWith(chunks) {
+  let parts = [SIGNATURE];
+  for (let [type, data] of chunks) {
+    let out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    parts.push(out);
+  }
+  return Buffer.concat(parts);
+}
+
+function header(width, height, bitDepth = 8, colorType = 6) {
+  let ihdr = rgbaHeader(width, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return ihdr;
+}
+
+function assertDecodeFailed(fn) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof HoneydiffError);
+    assert.equal(error.code, ErrorCodes.DECODE_FAILED);
+    return true;
+  });
+}
+
+describe('png', () => {
+  it('round-trips RGBA pixels', () => {
+    let image = gradient(37, 23);
+    let encoded = encodePng(image);
+    assert.ok(isPng(encoded));
+    assert.deepEqual(decodePng(encoded), image);
+  });
+
+  it('round-trips fast-mode encodings', () => {
+    let image = gradient(16, 9);
+    assert.deepEqual(decodePng(encodePng(image, { fast: true })), image);
+  });
+
+  it('decodes the first frame of an APNG', () => {
+    let first = gradient(8, 8);
+    let second = { ...first, data: first.data.map((value) => 255 - value) };
+    assert.deepEqual(decodePng(encodeApng([first, second])), first);
+  });
+
+  it('reports the header of an encoded image', () => {
+    let { header } = parsePngChunks(encodePng(gradient(5, 3)));
+    assert.equal(header.width, 5);
+    assert.equal(header.height, 3);
+  });
+
+  it('rejects input without the PNG signature', () => {
+    assert.throws(
+      () => decodePng(Buffer.from('GIF89a')),
+      (error) => error.code === ErrorCodes.UNSUPPORTED_FORMAT
+    );
+  });
+
+  it('rejects a truncated IHDR with DECODE_FAILED', () => {
+    assertDecodeFailed(() => decodePng(pngWith([['IHDR', Buffer.alloc(4)]])));
+  });
+
+  it('rejects corrupt image data with DECODE_FAILED', () => {
+    let png = pngWith([
+      ['IHDR', rgbaHeader(2, 2)],
+      ['IDAT', Buffer.from([0x78, 0x9c, 0xff, 0xff, 0xff])],
+      ['IEND', Buffer.alloc(0)],
+    ]);
+    assertDecodeFailed(() => decodePng(png));
+  });
+
+  it('rejects image data that ends early with DECODE_FAILED', () => {
+    let png = pngWith([
+      ['IHDR', rgbaHeader(4, 4)],
+      ['IDAT', deflateSync(Buffer.alloc(17))],
+      ['IEND', Buffer.alloc(0)],
+    ]);
+    assertDecodeFailed(() => decodePng(png));
+  });
+
+  it('rejects a chunk whose CRC does not match with DECODE_FAILED', () => {
+    let png = encodePng(gradient(4, 4));
+    // Last byte of the IDAT data, just before its CRC
+    png[png.length - 12 - 5] ^= 0xff;
+    assert.throws(
+      () => decodePng(png),
+      (error) => error.code === ErrorCodes.DECODE_FAILED && /CRC/.test(error.message)
+    );
+  });
+
+  it('rejects impossible headers with DECODE_FAILED before allocating', () => {
+    let idat = ['IDAT', deflateSync(Buffer.alloc(8))];
+    let iend = ['IEND', Buffer.alloc(0)];
+    for (let ihdr of [
+      header(0, 4),
+      header(4, 0),
+      header(2 ** 31, 1),
+      header(4, 4, 3, 6),
+      header(4, 4, 16, 3),
+      header(100000, 100000),
+    ]) {
+      assertDecodeFailed(() => decodePng(pngWith([['IHDR', ihdr], idat, iend])));
+    }
+  });
+
+  it('rejects an unknown interlace method with DECODE_FAILED', () => {
+    let ihdr = header(2, 2);
+    ihdr[12] = 2;
+    assertDecodeFailed(() =>
+      decodePng(
+        pngWith([
+          ['IHDR', ihdr],
+          ['IEND', Buffer.alloc(0)],
+        ])
+      )
+    );
+  });
+
+  it('rejects a chunk length past the end of the data with DECODE_FAILED', () => {
+    let png = encodePng(gradient(4, 4));
+    png.writeUInt32BE(0xfffffff0, 33);
+    assertDecodeFailed(() => decodePng(png));
+  });
+
+  it('decodes low bit depths', () => {
+    // 2-bit grayscale: one row of four pixels 0, 1, 2, 3
+    let png = pngWith([
+      ['IHDR', header(4, 1, 2, 0)],
+      ['IDAT', deflateSync(Buffer.from([0, 0b00011011]))],
+      ['IEND', Buffer.alloc(0)],
+    ]);
+    let { data } = decodePng(png);
+    assert.deepEqual([data[0], data[4], data[8], data[12]], [0, 85, 170, 255]);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { evaluate } from '../lib/policy.js';
+
+function diffResult(overrides = {}) {
+  return {
+    isDifferent: true,
+    totalPixels: 10000,
+    diffPixels: 3,
+    diffPercentage: 0.03,
+    heightDiff: null,
+    perceptualScore: null,
+    gmsdScore: null,
+    intensityStats: { max: 90, min: 10, mean: 50, median: 50, stdDev: 32.7 },
+    diffPixelsList: [
+      { x: 1, y: 1, intensity: 10 },
+      { x: 2, y: 1, intensity: 50 },
+      { x: 50, y: 50, intensity: 90 },
+    ],
+    diffClusters: [
+      { pixelCount: 2, boundingBox: { x: 1, y: 1, width: 2, height: 1 } },
+      { pixelCount: 1, boundingBox: { x: 50, y: 50, width: 1, height: 1 } },
+    ],
+    ...overrides,
+  };
+}
+
+describe('evaluate', () => {
+  it('passes when every rule is within bounds', () => {
+    let verdict = evaluate(diffResult(), [
+      { metric: 'diffPixels', max: 5 },
+      { metric: 'clusterCount', max: 2 },
+    ]);
+    assert.equal(verdict.verdict, 'pass');
+    assert.equal(verdict.checks.length, 2);
+    assert.deepEqual(verdict.failures, []);
+  });
+
+  it('reports the rules that failed', () => {
+    let verdict = evaluate(diffResult(), { all: [{ metric: 'diffPixels', max: 2 }] });
+    assert.equal(verdict.pass, false);
+    assert.equal(verdict.failures.length, 1);
+    assert.equal(verdict.failures[0].measured, 3);
+    assert.equal(verdict.failures[0].message, 'diffPixels 3 exceeds max 2');
+  });
+
+  it('passes an any group when one member passes', () => {
+    let verdict = evaluate(diffResult(), {
+      any: [
+        { metric: 'diffPixels', max: 0 },
+        { metric: 'maxClusterSize', max: 2 },
+      ],
+    });
+    assert.equal(verdict.pass, true);
+    assert.deepEqual(verdict.failures, []);
+  });
+
+  it('measures inside a region from the diff pixels and clusters', () => {
+    let region = { x: 0, y: 0, width: 10, height: 10 };
+    let verdict = evaluate(diffResult(), [
+      { metric: 'diffPixels', region, max: 2 },
+      { metric: 'diffPercentage', region, max: 2 },
+      { metric: 'intensityStats.max', region, max: 50 },
+      { metric: 'clusterCount', region, max: 1 },
+    ]);
+    assert.deepEqual(
+      verdict.checks.map((check) => check.measured),
+      [2, 2, 50, 1]
+    );
+    assert.equal(verdict.pass, true);
+    assert.equal(verdict.checks[0].name, 'diffPixels in 0,0 10x10');
+  });
+
+  it('fails rules whose metric the result does not carry', () => {
+    let verdict = evaluate(diffResult(), { metric: 'perceptualScore', min: 0.9 });
+    assert.equal(verdict.pass, false);
+    assert.equal(verdict.checks[0].measured, null);
+    assert.match(verdict.checks[0].message, /includeSSIM/);
+  });
+
+  it('rejects malformed policies', () => {
+    let invalid = (error) => error.code === ErrorCodes.INVALID_ARGUMENT;
+    assert.throws(() => evaluate(diffResult(), { metric: 'nope', max: 1 }), invalid);
+    assert.throws(() => evaluate(diffResult(), { metric: 'diffPixels' }), invalid);
+    assert.throws(
+      () => evaluate(diffResult(), { metric: 'heightDiff', max: 0, region: { x: 0, y: 0 } }),
+      invalid
+    );
+    assert.throws(() => evaluate({}, { metric: 'diffPixels', max: 0 }), invalid);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  applyComparedPercentages,
+  applyRegionMask,
+  buildMask,
+  hasRegionOptions,
+} from '../lib/regions.js';
+
+function solid(width, height, rgba) {
+  let data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set(rgba, i * 4);
+  return { width, height, data };
+}
+
+describe('hasRegionOptions', () => {
+  it('ignores empty region lists', () => {
+    assert.equal(hasRegionOptions({ ignoreRegions: [], includeRegions: [] }), false);
+    assert.equal(hasRegionOptions({ ignoreRegions: [{ x: 0, y: 0, width: 1, height: 1 }] }), true);
+    assert.equal(hasRegionOptions(undefined), false);
+  });
+});
+
+describe('buildMask', () => {
+  it('excludes ignore regions, clipped to the image', () => {
+    let mask = buildMask(4, 3, { ignoreRegions: [{ x: 2, y: 1, width: 10, height: 1 }] }, null);
+    assert.deepEqual([...mask], [0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0]);
+  });
+
+  it('excludes everything outside include regions', () => {
+    let mask = buildMask(3, 2, { includeRegions: [{ x: 1, y: 0, width: 1, height: 2 }] }, null);
+    assert.deepEqual([...mask], [1, 0, 1, 1, 0, 1]);
+  });
+
+  it('lets ignore regions cut into include regions', () => {
+    let mask = buildMask(
+      3,
+      1,
+      {
+        includeRegions: [{ x: 0, y: 0, width: 3, height: 1 }],
+        ignoreRegions: [{ x: 1, y: 0, width: 1, height: 1 }],
+      },
+      null
+    );
+    assert.deepEqual([...mask], [0, 1, 0]);
+  });
+
+  it('excludes bright, opaque mask image pixels', () => {
+    let maskImage = solid(2, 1, [0, 0, 0, 255]);
+    maskImage.data.set([255, 255, 255, 255], 4);
+    assert.deepEqual([...buildMask(3, 1, {}, maskImage)], [0, 1, 0]);
+  });
+
+  it('rejects malformed regions', () => {
+    assert.throws(
+      () => buildMask(2, 2, { ignoreRegions: [{ x: 0, y: 0, width: -1, height: 1 }] }, null),
+      (error) => error.code === 'HONEYDIFF_INVALID_ARGUMENT'
+    );
+  });
+});
+
+describe('applyRegionMask', () => {
+  it('paints excluded pixels identically in both images', () => {
+    let image1 = solid(2, 2, [255, 0, 0, 255]);
+    let image2 = solid(2, 2, [0, 0, 255, 255]);
+    let masked = applyRegionMask(
+      image1,
+      image2,
+      { ignoreRegions: [{ x: 0, y: 0, width: 2, height: 1 }] },
+      null
+    );
+    assert.equal(masked, 2);
+    assert.deepEqual(image1.data.subarray(0, 8), image2.data.subarray(0, 8));
+    assert.notDeepEqual(image1.data.subarray(8), image2.data.subarray(8));
+  });
+});
+
+describe('applyComparedPercentages', () => {
+  it('divides by the unmasked pixels', () => {
+    let result = applyComparedPercentages({
+      totalPixels: 100,
+      maskedPixels: 50,
+      diffPixels: 50,
+      aaPixelsIgnored: 5,
+    });
+    assert.equal(result.diffPercentage, 100);
+    assert.equal(result.aaPercentage, 10);
+  });
+
+  it('reports 0 when everything is masked', () => {
+    let result = applyComparedPercentages({
+      totalPixels: 4,
+      maskedPixels: 4,
+      diffPixels: 0,
+      aaPixelsIgnored: 0,
+    });
+    assert.equal(result.diffPercentage, 0);
+  });
+});
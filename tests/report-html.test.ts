@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { encodePng } from '../lib/png.js';
+import { renderReport } from '../lib/report-html.js';
+
+const PNG = encodePng({ width: 1, height: 1, data: new Uint8Array([255, 255, 255, 255]) });
+
+function result(overrides = {}) {
+  return {
+    isDifferent: false,
+    diffPercentage: 0,
+    diffPixels: 0,
+    totalPixels: 20000,
+    aaPixelsIgnored: 0,
+    perceptualScore: null,
+    gmsdScore: null,
+    diffClusters: null,
+    intensityStats: null,
+    heightDiff: null,
+    maskedPixels: 0,
+    ...overrides,
+  };
+}
+
+function page(entry, images = {}) {
+  return {
+    entry: { baseline: 'a.png', current: 'b.png', ...entry },
+    images: { baseline: PNG, current: PNG, diff: null, ...images },
+    width: 200,
+    height: 100,
+  };
+}
+
+function violation(overrides = {}) {
+  return {
+    boundingBox: { x: 10, y: 20, width: 40, height: 10 },
+    foregroundColor: [119, 119, 119],
+    backgroundColor: [255, 255, 255],
+    contrastRatio: 4.48,
+    textSize: 'normal',
+    applicableFailure: true,
+    ...overrides,
+  };
+}
+
+describe('renderReport', () => {
+  it('summarizes changed and unchanged entries', () => {
+    let html = renderReport('Nightly', [
+      page({ name: 'home', result: result({ isDifferent: true, diffPercentage: 1.5 }) }),
+      page({ result: result() }),
+    ]);
+
+    assert.match(html, /<title>Nightly<\/title>/);
+    assert.match(html, /2 comparisons: 1 changed, 1 unchanged/);
+    assert.match(html, /<section class="entry changed" id="entry-0">/);
+    assert.match(html, /<h2>Comparison 2<\/h2>/);
+    assert.match(html, /<td>1\.50%<\/td>/);
+  });
+
+  it('embeds images as data URIs and offers the diff view only with a diff image', () => {
+    let withDiff = renderReport('r', [page({ result: result() }, { diff: PNG })]);
+    let withoutDiff = renderReport('r', [page({ result: result() })]);
+
+    assert.ok(withDiff.includes(`src="data:image/png;base64,${PNG.toString('base64')}"`));
+    assert.match(withDiff, /<button data-mode="diff">/);
+    assert.doesNotMatch(withoutDiff, /<button data-mode="diff">/);
+  });
+
+  it('escapes names and titles', () => {
+    let html = renderReport('<b>"R&D"</b>', [
+      page({ name: '<script>x</script>', result: result() }),
+    ]);
+    assert.match(html, /<title>&lt;b&gt;&quot;R&amp;D&quot;&lt;\/b&gt;<\/title>/);
+    assert.match(html, /<h2>&lt;script&gt;x&lt;\/script&gt;<\/h2>/);
+  });
+
+  it('places cluster outlines relative to the current image', () => {
+    let clusters = [
+      {
+        boundingBox: { x: 50, y: 25, width: 20, height: 10 },
+        pixelCount: 120,
+        avgIntensity: 87.25,
+      },
+    ];
+    let html = renderReport('r', [page({ result: result({ diffClusters: clusters }) })]);
+
+    assert.ok(html.includes('style="left:25%;top:25%;width:10%;height:10%"'));
+    assert.match(html, /<h3>Diff clusters<\/h3>/);
+    assert.match(html, /<tr data-id="c0"><td>1<\/td><td>50, 25<\/td><td>20×10<\/td><td>120<\/td>/);
+  });
+
+  it('lists optional metrics only when present', () => {
+    let plain = renderReport('r', [page({ result: result() })]);
+    assert.doesNotMatch(plain, /Masked pixels|Height|Intensity/);
+    assert.match(plain, /<th>SSIM \(perceptualScore\)<\/th><td>n\/a<\/td>/);
+
+    let html = renderReport('r', [
+      page({
+        result: result({
+          maskedPixels: 300,
+          heightDiff: { height1: 100, height2: 120, extraPixels: 4000 },
+          intensityStats: { min: 3, max: 250, mean: 90.04, median: 80, stdDev: 12.34 },
+        }),
+      }),
+    ]);
+    assert.match(html, /<th>Masked pixels<\/th><td>300<\/td>/);
+    assert.match(html, /100px → 120px \(4000 extra pixels\)/);
+    assert.match(html, /<td>90\.0 \/ 80\.0<\/td>/);
+  });
+
+  it('shows WCAG violations with their text size and verdict', () => {
+    let wcag = {
+      aaNormalPassPercentage: 75,
+      aaLargePassPercentage: 100,
+      violations: [violation(), violation({ textSize: 'large', applicableFailure: false })],
+    };
+    let html = renderReport('r', [page({ result: result(), wcag })]);
+
+    assert.match(html, /WCAG contrast: 2 violations/);
+    assert.match(html, /<td>4\.48:1<\/td><td>normal<\/td><td>fail<\/td>/);
+    assert.match(html, /<td>large<\/td><td>pass<\/td>/);
+    assert.match(html, /class="outline violation" data-target="w1"/);
+  });
+
+  it('lists violations for every simulated color vision deficiency', () => {
+    let none = { violations: [] };
+    let cvd = {
+      totalViolations: 1,
+      cvdOnlyViolationCount: 1,
+      normalVision: none,
+      protanopia: { violations: [violation()] },
+      deuteranopia: none,
+      tritanopia: none,
+    };
+    let html = renderReport('r', [page({ result: result(), cvd })]);
+
+    assert.match(html, /1 violations in total, ~1 only affecting colorblind users/);
+    assert.match(html, /<h4>normalVision: no violations<\/h4>/);
+    assert.match(html, /<h4>protanopia: 1 violations<\/h4>/);
+    assert.match(html, /<tr data-id="protanopia-0">/);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { withReturnedImages, withReturnedImagesSync } from '../lib/returned-images.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'honeydiff-returned-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Stands in for the engine: writes each artifact path it is given and records the options
+function fakeEngine(skip = []) {
+  let calls = [];
+  let run = (options) => {
+    calls.push(options);
+    for (let key of ['diffPath', 'maskPath', 'overlayPath']) {
+      if (options[key] && !skip.includes(key)) writeFileSync(options[key], key);
+    }
+    return { isDifferent: true };
+  };
+  return { calls, run };
+}
+
+describe('withReturnedImages', () => {
+  it('runs the comparison unchanged without returnImages', async () => {
+    let engine = fakeEngine();
+    let options = { threshold: 2 };
+    assert.deepEqual(await withReturnedImages(options, engine.run), { isDifferent: true });
+    assert.equal(engine.calls[0], options);
+
+    assert.deepEqual(withReturnedImagesSync({ returnImages: [] }, engine.run), {
+      isDifferent: true,
+    });
+  });
+
+  it('returns requested artifacts as Buffers and removes the temporary files', async () => {
+    let engine = fakeEngine();
+    let result = await withReturnedImages(
+      { threshold: 2, returnImages: ['diff', 'overlay'] },
+      async (options) => engine.run(options)
+    );
+
+    assert.deepEqual(Object.keys(result.images), ['diff', 'overlay']);
+    assert.equal(result.images.diff.toString(), 'diffPath');
+    assert.equal(result.images.overlay.toString(), 'overlayPath');
+
+    let [options] = engine.calls;
+    assert.equal(options.threshold, 2);
+    assert.equal(options.maskPath, undefined);
+    assert.equal(existsSync(options.diffPath), false);
+    assert.equal(existsSync(options.overlayPath), false);
+  });
+
+  it("writes through the caller's own paths and keeps those files", () => {
+    let engine = fakeEngine();
+    let maskPath = join(dir, 'mask.png');
+    let result = withReturnedImagesSync({ maskPath, returnImages: ['mask'] }, engine.run);
+
+    assert.equal(engine.calls[0].maskPath, maskPath);
+    assert.equal(result.images.mask.toString(), 'maskPath');
+    assert.equal(readFileSync(maskPath, 'utf8'), 'maskPath');
+  });
+
+  it('returns null for artifacts the engine did not write', async () => {
+    let engine = fakeEngine(['diffPath']);
+    let result = await withReturnedImages({ returnImages: ['diff'] }, async (options) =>
+      engine.run(options)
+    );
+    assert.deepEqual(result.images, { diff: null });
+  });
+
+  it('removes the temporary directory when the comparison fails', async () => {
+    let seen = null;
+    await assert.rejects(
+      withReturnedImages({ returnImages: ['diff'] }, async (options) => {
+        seen = options.diffPath;
+        throw new Error('engine failed');
+      }),
+      { message: 'engine failed' }
+    );
+    assert.equal(existsSync(join(seen, '..')), false);
+  });
+
+  it('rejects unknown artifact kinds', async () => {
+    for (let returnImages of [['diff', 'heatmap'], 'diff']) {
+      await assert.rejects(
+        withReturnedImages({ returnImages }, async () => ({})),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});
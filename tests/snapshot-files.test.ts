@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { findBaseline, writeBaseline } from '../lib/snapshot-files.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'honeydiff-snapshot-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Only the signature matters to the file helpers
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+describe('findBaseline', () => {
+  it('returns null when there is no baseline', () => {
+    assert.equal(findBaseline(join(dir, 'missing.png')), null);
+  });
+
+  it('finds a baseline written in another format', () => {
+    let path = join(dir, 'find.jpeg');
+    writeFileSync(path, jpeg);
+    assert.equal(findBaseline(join(dir, 'find.png')), path);
+  });
+
+  it('prefers the baseline at the requested path', () => {
+    writeFileSync(join(dir, 'both.png'), png);
+    writeFileSync(join(dir, 'both.jpeg'), jpeg);
+    assert.equal(findBaseline(join(dir, 'both.png')), join(dir, 'both.png'));
+  });
+});
+
+describe('writeBaseline', () => {
+  it('writes the screenshot in its own format, creating directories', async () => {
+    let baselinePath = join(dir, 'nested', 'home.png');
+    let path = await writeBaseline(baselinePath, null, jpeg);
+    assert.equal(path, join(dir, 'nested', 'home.jpeg'));
+    assert.deepEqual(readFileSync(path), jpeg);
+    assert.equal(existsSync(baselinePath), false);
+  });
+
+  it('removes a previous baseline written in another format', async () => {
+    let baselinePath = join(dir, 'switch.png');
+    let previous = await writeBaseline(baselinePath, null, jpeg);
+    let path = await writeBaseline(baselinePath, findBaseline(baselinePath), png);
+    assert.equal(path, baselinePath);
+    assert.equal(existsSync(previous), false);
+    assert.equal(findBaseline(baselinePath), baselinePath);
+  });
+
+  it('keeps the requested path for unrecognized data', async () => {
+    let baselinePath = join(dir, 'unknown.png');
+    assert.equal(
+      await writeBaseline(baselinePath, null, Buffer.from('not an image')),
+      baselinePath
+    );
+  });
+});
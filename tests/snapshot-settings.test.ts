@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import {
+  exceedsThreshold,
+  formatSnapshotFailure,
+  sanitizeSnapshotName,
+  splitSnapshotOptions,
+} from '../lib/snapshot-settings.js';
+
+const different = { isDifferent: true, diffPixels: 120, diffPercentage: 0.5 };
+
+describe('sanitizeSnapshotName', () => {
+  it('turns test titles into file names', () => {
+    assert.equal(sanitizeSnapshotName('  Home page > Header (dark) '), 'home-page-header-dark');
+    assert.equal(sanitizeSnapshotName('login.form_v2'), 'login.form_v2');
+  });
+
+  it('falls back to "snapshot" for names without usable characters', () => {
+    assert.equal(sanitizeSnapshotName('***'), 'snapshot');
+    assert.equal(sanitizeSnapshotName(''), 'snapshot');
+  });
+});
+
+describe('splitSnapshotOptions', () => {
+  it('separates snapshot settings from CompareOptions', () => {
+    let settings = splitSnapshotOptions({
+      threshold: 2,
+      failureThreshold: 1,
+      failureThresholdType: 'percent',
+      snapshotName: 'home',
+      snapshotsDir: 'baselines',
+      diffDir: 'diffs',
+    });
+    assert.deepEqual(settings, {
+      compareOptions: { threshold: 2 },
+      failureThreshold: 1,
+      failureThresholdType: 'percent',
+    });
+  });
+
+  it('defaults to failing on any differing pixel', () => {
+    assert.deepEqual(splitSnapshotOptions(), {
+      compareOptions: {},
+      failureThreshold: 0,
+      failureThresholdType: 'pixel',
+    });
+  });
+
+  it('rejects invalid thresholds', () => {
+    for (let options of [
+      { failureThreshold: -1 },
+      { failureThreshold: Number.NaN },
+      { failureThreshold: '5' },
+      { failureThresholdType: 'ratio' },
+    ]) {
+      assert.throws(
+        () => splitSnapshotOptions(options),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});
+
+describe('exceedsThreshold', () => {
+  it('compares pixel counts for pixel thresholds', () => {
+    assert.equal(exceedsThreshold(different, 119, 'pixel'), true);
+    assert.equal(exceedsThreshold(different, 120, 'pixel'), false);
+  });
+
+  it('compares percentages for percent thresholds', () => {
+    assert.equal(exceedsThreshold(different, 0.4, 'percent'), true);
+    assert.equal(exceedsThreshold(different, 0.5, 'percent'), false);
+  });
+
+  it('never fails results the engine considers identical', () => {
+    let filtered = { isDifferent: false, diffPixels: 12, diffPercentage: 0.1 };
+    assert.equal(exceedsThreshold(filtered, 0, 'pixel'), false);
+  });
+});
+
+describe('formatSnapshotFailure', () => {
+  it('describes the difference, threshold and artifacts', () => {
+    let message = formatSnapshotFailure(
+      'home',
+      { ...different, diffClusters: [{}], heightDiff: { height1: 800, height2: 900 } },
+      { failureThreshold: 0.25, failureThresholdType: 'percent' },
+      { received: 'diffs/home-received.png', diff: 'diffs/home-diff.png' }
+    );
+    assert.equal(
+      message,
+      [
+        'Screenshot "home" does not match its baseline.',
+        '  0.50% different (120 pixels), 1 cluster (failure threshold: 0.25%)',
+        '  Height changed: 800px → 900px',
+        '  Received: diffs/home-received.png',
+        '  Diff:     diffs/home-diff.png',
+      ].join('\n')
+    );
+  });
+
+  it('counts missing clusters as zero', () => {
+    let message = formatSnapshotFailure(
+      'home',
+      different,
+      { failureThreshold: 3, failureThresholdType: 'pixel' },
+      {}
+    );
+    assert.match(message, /0 clusters \(failure threshold: 3 pixels\)$/);
+  });
+});
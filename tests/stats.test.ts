@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { intensityHistogram, intensityStats } from '../lib/stats.js';
+
+describe('intensityHistogram', () => {
+  it('rounds and clamps intensities into 256 bins', () => {
+    let histogram = intensityHistogram([
+      { intensity: 1.4 },
+      { intensity: 1.6 },
+      { intensity: -3 },
+      { intensity: 300 },
+    ]);
+    assert.equal(histogram.length, 256);
+    assert.equal(histogram[0], 1);
+    assert.equal(histogram[1], 1);
+    assert.equal(histogram[2], 1);
+    assert.equal(histogram[255], 1);
+  });
+});
+
+describe('intensityStats', () => {
+  it('returns null for an empty histogram', () => {
+    assert.equal(intensityStats(new Array(256).fill(0)), null);
+  });
+
+  it('computes min, max, mean and standard deviation', () => {
+    let stats = intensityStats(
+      intensityHistogram([10, 20, 30, 40].map((intensity) => ({ intensity })))
+    );
+    assert.equal(stats.min, 10);
+    assert.equal(stats.max, 40);
+    assert.equal(stats.mean, 25);
+    assert.equal(stats.stdDev, Math.sqrt(125));
+  });
+
+  it('averages the middle pair for an even count', () => {
+    let stats = intensityStats(
+      intensityHistogram([10, 20, 30, 40].map((intensity) => ({ intensity })))
+    );
+    assert.equal(stats.median, 25);
+  });
+
+  it('takes the middle value for an odd count', () => {
+    let stats = intensityStats(intensityHistogram([5, 5, 200].map((intensity) => ({ intensity }))));
+    assert.equal(stats.median, 5);
+  });
+});
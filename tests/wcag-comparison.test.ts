@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ErrorCodes } from '../lib/errors.js';
+import { matchViolations } from '../lib/wcag-comparison.js';
+
+function violation(id, x, y, { aa = true, aaa = true, contrastRatio = 2 } = {}) {
+  return {
+    id,
+    boundingBox: { x, y, width: 10, height: 10 },
+    applicableFailure: aa,
+    applicableAaaFailure: aaa,
+    contrastRatio,
+  };
+}
+
+function analysis(violations) {
+  return { violations };
+}
+
+function ids(violations) {
+  return violations.map((v) => v.id);
+}
+
+describe('matchViolations', () => {
+  it('sorts failures into introduced, fixed and unchanged by location', () => {
+    let baseline = analysis([
+      violation('kept', 0, 0, { contrastRatio: 2 }),
+      violation('gone', 50, 0),
+    ]);
+    let current = analysis([
+      violation('kept2', 2, 1, { contrastRatio: 2.5 }),
+      violation('new', 0, 50),
+    ]);
+    let comparison = matchViolations(baseline, current);
+
+    assert.equal(comparison.baseline, baseline);
+    assert.equal(comparison.current, current);
+    assert.deepEqual(ids(comparison.introduced), ['new']);
+    assert.deepEqual(ids(comparison.fixed), ['gone']);
+    assert.equal(comparison.unchanged.length, 1);
+    assert.equal(comparison.unchanged[0].baseline.id, 'kept');
+    assert.equal(comparison.unchanged[0].current.id, 'kept2');
+    assert.equal(comparison.unchanged[0].contrastChange, 0.5);
+    assert.equal(comparison.hasNewViolations, true);
+  });
+
+  it('pairs the largest overlaps first', () => {
+    let baseline = analysis([violation('a', 0, 0), violation('b', 6, 0)]);
+    let current = analysis([violation('near-b', 7, 0)]);
+    let comparison = matchViolations(baseline, current);
+    assert.deepEqual(
+      comparison.unchanged.map((pair) => [pair.baseline.id, pair.current.id]),
+      [['b', 'near-b']]
+    );
+    assert.deepEqual(ids(comparison.fixed), ['a']);
+    assert.equal(comparison.hasNewViolations, false);
+  });
+
+  it('only considers violations failing at the requested level', () => {
+    let baseline = analysis([]);
+    let current = analysis([violation('aaa-only', 0, 0, { aa: false })]);
+    assert.deepEqual(ids(matchViolations(baseline, current).introduced), []);
+    assert.deepEqual(ids(matchViolations(baseline, current, { level: 'AAA' }).introduced), [
+      'aaa-only',
+    ]);
+  });
+
+  it('limits the comparison to changed clusters with diff', () => {
+    let baseline = analysis([]);
+    let current = analysis([violation('changed', 0, 0), violation('elsewhere', 100, 100)]);
+    let diff = { diffClusters: [{ boundingBox: { x: 5, y: 5, width: 20, height: 20 } }] };
+    assert.deepEqual(ids(matchViolations(baseline, current, { diff }).introduced), ['changed']);
+  });
+
+  it('rejects unknown levels and diffs without clusters', () => {
+    for (let options of [{ level: 'A' }, { diff: { isDifferent: true } }]) {
+      assert.throws(
+        () => matchViolations(analysis([]), analysis([]), options),
+        (error) => error.code === ErrorCodes.INVALID_ARGUMENT
+      );
+    }
+  });
+});